@@ -0,0 +1,235 @@
+/**
+ * Local stand-in price feed for developing and testing the streaming transport.
+ *
+ * Serves the protocol of the "local" provider (src/engine/priceFeeds.js) for every
+ * market in the registry (src/engine/markets.js):
+ * - GET /prices?markets=BTC,ETH -> { prices, time }
+ * - GET /candles?market=BTC&timeframe=1m&limit=500 -> { candles }: a made-up history
+ *   that ends at the current price, for backfilling charts
+ * - WebSocket on any path: send { type: 'subscribe', markets } and receive a
+ *   { type: 'snapshot', prices, time } followed by { type: 'ticker', prices, time }
+ *   every tick
+ *
+ * Dependency-free: the WebSocket handshake and framing are done by hand, which is
+ * enough for one browser tab talking JSON text frames.
+ *
+ * Usage: npm run mock-feed -- [--port=8787] [--interval=250] [--drop-every=0] [--silent-after=0]
+ * --drop-every closes every socket on that period (ms) to exercise reconnects, and
+ * --silent-after stops ticking that long (ms) after a subscribe to exercise the stale timeout.
+ */
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { MARKET_SYMBOLS, getMarketField } from '../src/engine/markets.js';
+import { TIMEFRAME_MS, getBucketStart } from '../src/engine/candles.js';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const options = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  return [key, Number(value)];
+}));
+const port = options.port || 8787;
+const interval = options.interval || 250;
+const dropEvery = options['drop-every'] || 0;
+const silentAfter = options['silent-after'] || 0;
+const volatility = 0.0005;
+
+// One random walk shared by REST and every socket, so both transports agree
+let prices = getMarketField('basePrice');
+const step = () => {
+  prices = Object.fromEntries(Object.entries(prices).map(([market, price]) => [
+    market,
+    price * (1 + (Math.random() - 0.5) * 2 * volatility)
+  ]));
+};
+
+const pick = (markets) => Object.fromEntries(
+  markets.filter(market => prices[market] !== undefined).map(market => [market, prices[market]])
+);
+
+// Walk backwards from the current price so the history joins the live ticks
+const makeCandles = (market, timeframe, limit) => {
+  const size = TIMEFRAME_MS[timeframe];
+  const range = 0.001 * Math.sqrt(size / 60000); // typical move per candle
+  const current = getBucketStart(Date.now(), timeframe);
+  let close = prices[market];
+
+  return Array.from({ length: limit }, (_, i) => {
+    const open = close * (1 + (Math.random() - 0.5) * 2 * range);
+    const candle = {
+      time: current - i * size,
+      open,
+      high: Math.max(open, close) * (1 + Math.random() * range / 2),
+      low: Math.min(open, close) * (1 - Math.random() * range / 2),
+      close,
+      volume: Math.round(Math.random() * 1000),
+      ticks: Math.round(size / interval)
+    };
+    close = open;
+    return candle;
+  }).reverse();
+};
+
+// Server frames are never masked; lengths past 16 bits are not needed for JSON ticks
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const header = payload.length < 126
+    ? Buffer.from([0x80 | opcode, payload.length])
+    : Buffer.from([0x80 | opcode, 126, payload.length >> 8, payload.length & 0xff]);
+  return Buffer.concat([header, payload]);
+};
+
+/**
+ * Split complete frames off the front of the buffer
+ * @param {Buffer} buffer - Bytes received so far
+ * @returns {Object} - { frames: [{ opcode, payload }], rest }
+ */
+const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    if (masked) cursor += 4;
+    if (buffer.length < cursor + length) break;
+
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) payload.forEach((byte, i) => { payload[i] = byte ^ mask[i % 4]; });
+    frames.push({ opcode, payload });
+    offset = cursor + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+const clients = new Set(); // { socket, markets, subscribedAt }
+
+const send = (client, message) => {
+  if (!client.socket.destroyed) client.socket.write(encodeFrame(0x1, Buffer.from(JSON.stringify(message))));
+};
+
+const handleMessage = (client, text) => {
+  let message;
+  try {
+    message = JSON.parse(text);
+  } catch {
+    send(client, { type: 'error', error: 'Messages must be JSON' });
+    return;
+  }
+
+  if (message.type !== 'subscribe') {
+    send(client, { type: 'error', error: `Unknown message type "${message.type}"` });
+    return;
+  }
+
+  client.markets = Array.isArray(message.markets) ? message.markets : MARKET_SYMBOLS;
+  client.subscribedAt = Date.now();
+  send(client, { type: 'snapshot', prices: pick(client.markets), time: Date.now() });
+  console.log(`📡 Client subscribed to ${client.markets.join(', ')}`);
+};
+
+const server = createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  if (req.method === 'GET' && url.pathname === '/prices') {
+    const markets = url.searchParams.get('markets')?.split(',').filter(Boolean) ?? MARKET_SYMBOLS;
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ prices: pick(markets), time: Date.now() }));
+    return;
+  }
+
+  if (req.method === 'GET' && url.pathname === '/candles') {
+    const market = url.searchParams.get('market');
+    const timeframe = url.searchParams.get('timeframe') ?? '1m';
+    const limit = Math.min(Number(url.searchParams.get('limit')) || 500, 1000);
+    if (prices[market] === undefined || !TIMEFRAME_MS[timeframe]) {
+      res.writeHead(400, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Unknown market or timeframe' }));
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ candles: makeCandles(market, timeframe, limit) }));
+    return;
+  }
+
+  res.writeHead(404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ error: 'Not found' }));
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+
+  const client = { socket, markets: null, subscribedAt: null };
+  clients.add(client);
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([buffer, chunk]));
+    buffer = rest;
+
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === 0x1) handleMessage(client, payload.toString('utf8'));
+      if (opcode === 0x9) socket.write(encodeFrame(0xa, payload)); // ping -> pong
+      if (opcode === 0x8) {
+        socket.end(encodeFrame(0x8, payload.subarray(0, 2)));
+        clients.delete(client);
+      }
+    });
+  });
+  socket.on('close', () => clients.delete(client));
+  socket.on('error', () => clients.delete(client));
+});
+
+setInterval(() => {
+  step();
+  const now = Date.now();
+  clients.forEach(client => {
+    if (!client.markets) return;
+    if (silentAfter && now - client.subscribedAt > silentAfter) return;
+    send(client, { type: 'ticker', prices: pick(client.markets), time: now });
+  });
+}, interval);
+
+if (dropEvery) {
+  setInterval(() => {
+    if (clients.size === 0) return;
+    console.log(`🔌 Dropping ${clients.size} connection(s)`);
+    clients.forEach(client => {
+      client.socket.end(encodeFrame(0x8, Buffer.from([0x03, 0xe9]))); // 1001 going away
+      clients.delete(client);
+    });
+  }, dropEvery);
+}
+
+server.listen(port, () => {
+  console.log(`✅ Mock price feed on http://localhost:${port} (ws://localhost:${port}), ticking every ${interval}ms`);
+});
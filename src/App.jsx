@@ -1,320 +1,461 @@
-import React, { createContext, useContext, useState, useEffect } from 'react';
-import { useTradingEngine } from './hooks/useTradingEngine';
+import React, { createContext, useState, useEffect, useMemo, useRef } from 'react';
+import * as engine from './engine/tradingEngine';
+import * as orderBook from './engine/orderBook';
+import { FEE_TIERS, getFeeRates } from './engine/fees';
+import * as tradeHistory from './engine/history';
+import * as analytics from './engine/analytics';
+import { collectEquityEvents } from './engine/equity';
+import * as ledgerExport from './engine/exportData';
+import * as persistence from './engine/persistence';
+import { getAccountStorageKey, getAccountBackupKey } from './engine/accounts';
+import { PRICE_SOURCES, selectPrices } from './engine/prices';
+import { createProviders, DEFAULT_FEED_CONFIG } from './engine/priceFeeds';
+import { MARKET_SYMBOLS, DEFAULT_MARKET, getMarket, getVolatility, searchMarkets, formatMarketPrice } from './engine/markets';
 import { useLivePrices } from './hooks/useLivePrices';
+import { useCandles } from './hooks/useCandles';
+import { useFunding } from './hooks/useFunding';
+import { useMarketPrices } from './hooks/useMarketPrices';
+import { useEquityHistory } from './hooks/useEquityHistory';
+import { useAccounts } from './hooks/useAccounts';
 import AlivePriceChart from './components/AlivePriceChart';
+import OrderBook from './components/OrderBook';
+import EquityChart from './components/EquityChart';
 
 // Context for global state
 const AppContext = createContext();
 
-const useAppState = () => {
-  // Initialize from localStorage or use defaults
-  const getInitialState = () => {
+// Spot feeds behind the index, e.g. VITE_PRICE_FEEDS="coingecko,binance:2,kraken", "mock" offline
+// or "local" for the stand-in server (npm run mock-feed) at VITE_LOCAL_FEED_URL
+const PRICE_FEEDS = createProviders(import.meta.env.VITE_PRICE_FEEDS || DEFAULT_FEED_CONFIG, {
+  localUrl: import.meta.env.VITE_LOCAL_FEED_URL
+});
+
+// VITE_PRICE_TRANSPORT="REST" turns streaming off and polls every feed
+const PRICE_TRANSPORT = import.meta.env.VITE_PRICE_TRANSPORT === 'REST' ? 'REST' : 'STREAM';
+
+// Fallback prices drift a quarter as fast as the market's demo volatility, enough to look alive
+const FALLBACK_JITTER = 0.25;
+
+// Save text as a file through a temporary download link
+const downloadFile = (fileName, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const useAppState = (activeAccount) => {
+  // Each named account is saved under its own key
+  const storageKey = getAccountStorageKey(activeAccount.id);
+  const backupKey = getAccountBackupKey(activeAccount.id);
+  const { startingBalance } = activeAccount;
+
+  // Initialize from localStorage (migrated to the current schema) or use defaults
+  const loadSavedState = () => {
+    let saved = null;
     try {
-      const saved = localStorage.getItem('perpsx_state');
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        console.log('✅ Loaded trading state from cache');
-        return parsed;
-      }
+      saved = localStorage.getItem(storageKey);
     } catch (error) {
-      console.warn('⚠️ Failed to load cached state:', error);
+      console.warn('⚠️ Failed to read cached state:', error);
     }
-    return null;
+
+    const restored = persistence.parseSavedState(saved);
+    if (restored.error) {
+      console.warn('⚠️ Failed to load cached state, starting fresh:', restored.error);
+      try {
+        // Keep the unreadable snapshot around instead of overwriting it on the next save
+        localStorage.setItem(backupKey, saved);
+      } catch (error) {
+        console.warn('⚠️ Failed to back up cached state:', error);
+      }
+    } else if (restored.state) {
+      restored.problems.forEach(problem => console.warn(`⚠️ Cached state: ${problem}`));
+      console.log('✅ Loaded trading state from cache');
+    }
+    return restored;
   };
 
-  const initialState = getInitialState();
-  const [balance, setBalance] = useState(initialState?.balance ?? 1000);
-  const [selectedMarket, setSelectedMarket] = useState(initialState?.selectedMarket ?? 'BTC');
-  const [positions, setPositions] = useState(initialState?.positions ?? []);
+  const [restored] = useState(loadSavedState);
+  const initialState = restored.state;
+  const [restoreNotice, setRestoreNotice] = useState(() => {
+    if (restored.error) return `Saved state couldn't be loaded (${restored.error}). A copy was kept as ${backupKey}.`;
+    if (restored.problems.length > 0) return `Saved state was repaired: ${restored.problems.join('; ')}.`;
+    return null;
+  });
+  const [account, setAccount] = useState(() => ({
+    ...engine.createAccount(initialState?.balance ?? startingBalance),
+    positions: initialState?.positions ?? [],
+    orders: initialState?.orders ?? [],
+    positionMode: initialState?.positionMode ?? 'ONE_WAY',
+    marginMode: initialState?.marginMode ?? 'ISOLATED',
+    feesPaid: initialState?.feesPaid ?? 0,
+    volume: initialState?.volume ?? [],
+    tradeHistory: initialState?.tradeHistory ?? [],
+    fundingHistory: initialState?.fundingHistory ?? [],
+    feeHistory: initialState?.feeHistory ?? []
+  }));
+  const { balance, positions, orders, positionMode, marginMode, feesPaid, volume } = account;
+  const [selectedMarket, setSelectedMarket] = useState(initialState?.selectedMarket ?? DEFAULT_MARKET);
   const [direction, setDirection] = useState(initialState?.direction ?? 'LONG');
   const [positionSize, setPositionSize] = useState(initialState?.positionSize ?? 50);
   const [riskMode, setRiskMode] = useState(initialState?.riskMode ?? 'BALANCED');
   const [showAdvanced, setShowAdvanced] = useState(initialState?.showAdvanced ?? false);
-  const [advancedSettings, setAdvancedSettings] = useState(
-    initialState?.advancedSettings ?? {
-      orderType: 'MARKET',
-      limitPrice: '',
-      customLeverage: '',
-      takeProfit: '',
-      stopLoss: ''
-    }
-  );
-
-  // Use CoinGecko API for live prices (polls every 2 seconds for better chart sync, max 50 history points)
-  const { prices: livePrices, priceHistory: liveHistory, error: priceError } = useLivePrices(
-    ['bitcoin', 'ethereum', 'solana'],
-    2000,
-    50
-  );
+  const [pnlPriceSource, setPnlPriceSource] = useState(initialState?.pnlPriceSource ?? 'MARK');
+  const [portfolioTab, setPortfolioTab] = useState(initialState?.portfolioTab ?? 'POSITIONS');
+  // Settings saved by older versions are missing the newer fields
+  const [advancedSettings, setAdvancedSettings] = useState(() => ({
+    orderType: 'MARKET',
+    limitPrice: '',
+    stopPrice: '',
+    customLeverage: '',
+    takeProfit: '',
+    stopLoss: '',
+    takeProfitLevels: [], // [{ price, percent }] scale-out targets
+    trailingStop: '',
+    trailingStopType: 'PERCENT',
+    marginMode: '', // empty uses the account margin mode
+    maxSlippage: String(orderBook.DEFAULT_MAX_SLIPPAGE), // percent
+    ...initialState?.advancedSettings
+  }));
+
+  // Index prices from the median of the spot feeds, streamed where possible (history every 2 seconds for better chart sync, max 50 points)
+  const {
+    prices: livePrices,
+    priceHistory: liveHistory,
+    error: priceError,
+    sources: priceSources,
+    details: priceDetails,
+    connection: priceConnection
+  } = useLivePrices(PRICE_FEEDS, 2000, 50, { transport: PRICE_TRANSPORT });
   
   // Fallback to local state if API fails
-  const [fallbackPrices, setFallbackPrices] = useState({
-    BTC: 95000,
-    ETH: 3500,
-    SOL: 140
-  });
-  const [fallbackHistory, setFallbackHistory] = useState({
-    BTC: [95000],
-    ETH: [3500],
-    SOL: [140]
-  });
-  
-  // Use live prices if available, fallback otherwise
-  const prices = (livePrices.BTC && livePrices.ETH && livePrices.SOL) ? livePrices : fallbackPrices;
-  const priceHistory = (liveHistory.BTC && liveHistory.BTC.length > 0) ? liveHistory : fallbackHistory;
-
-  // Map risk modes to leverage
-  const leverageMap = {
-    SAFE: 2,
-    BALANCED: 5,
-    DEGENERATE: 10
-  };
+  const [fallbackPrices, setFallbackPrices] = useState(() => Object.fromEntries(
+    MARKET_SYMBOLS.map(market => [market, getMarket(market).basePrice])
+  ));
+  const [fallbackHistory, setFallbackHistory] = useState(() => Object.fromEntries(
+    MARKET_SYMBOLS.map(market => [market, [getMarket(market).basePrice]])
+  ));
+
+  // Use live prices as the index for every market a feed quotes, fallback for the rest
+  const indexPrices = useMemo(() => Object.fromEntries(MARKET_SYMBOLS.map(market => [
+    market,
+    livePrices[market] || fallbackPrices[market]
+  ])), [livePrices, fallbackPrices]);
+  const priceHistory = useMemo(() => Object.fromEntries(MARKET_SYMBOLS.map(market => [
+    market,
+    liveHistory[market]?.length > 0 ? liveHistory[market] : fallbackHistory[market]
+  ])), [liveHistory, fallbackHistory]);
+  const missingLivePrice = MARKET_SYMBOLS.some(market => !livePrices[market]);
+
+  // Timestamped OHLCV candles of the index on every timeframe, backfilled from the feeds' history
+  const { candles, backfill: candleBackfill } = useCandles(indexPrices, { providers: PRICE_FEEDS });
+
+  // Equity timeline. Unrealized PnL on the account is refreshed on every mark
+  // update, so no prices are needed here.
+  const equityHistory = useEquityHistory(engine.calculateEquity(account), initialState?.equityHistory ?? []);
+  const equityEvents = useMemo(
+    () => collectEquityEvents({ positions, tradeHistory: account.tradeHistory, fundingHistory: account.fundingHistory }),
+    [positions, account.tradeHistory, account.fundingHistory]
+  );
+
+  // Everything that is saved, also used for backup files
+  const snapshot = useMemo(() => ({
+    version: persistence.STATE_VERSION,
+    balance,
+    selectedMarket,
+    positions,
+    orders,
+    positionMode,
+    marginMode,
+    feesPaid,
+    volume,
+    tradeHistory: account.tradeHistory,
+    fundingHistory: account.fundingHistory,
+    feeHistory: account.feeHistory,
+    equityHistory,
+    direction,
+    positionSize,
+    riskMode,
+    showAdvanced,
+    advancedSettings,
+    pnlPriceSource,
+    portfolioTab
+  }), [balance, selectedMarket, positions, orders, positionMode, marginMode, feesPaid, volume, account.tradeHistory, account.fundingHistory, account.feeHistory, equityHistory, direction, positionSize, riskMode, showAdvanced, advancedSettings, pnlPriceSource, portfolioTab]);
 
   // Auto-save state to localStorage
   useEffect(() => {
-    const stateToSave = {
-      balance,
-      selectedMarket,
-      positions,
-      direction,
-      positionSize,
-      riskMode,
-      showAdvanced,
-      advancedSettings,
-      lastSaved: new Date().toISOString()
-    };
-    
     try {
-      localStorage.setItem('perpsx_state', JSON.stringify(stateToSave));
+      localStorage.setItem(storageKey, JSON.stringify({ ...snapshot, lastSaved: new Date().toISOString() }));
     } catch (error) {
       console.warn('⚠️ Failed to save state to cache:', error);
     }
-  }, [balance, selectedMarket, positions, direction, positionSize, riskMode, showAdvanced, advancedSettings]);
+  }, [storageKey, snapshot]);
   useEffect(() => {
     if (priceError) {
-      console.warn('⚠️ CoinGecko API error - using demo prices:', priceError);
+      console.warn('⚠️ Price feed error - using demo prices:', priceError);
     }
   }, [priceError]);
   
   // Add slight random jitter to fallback prices for demo mode
   useEffect(() => {
     const interval = setInterval(() => {
-      if (!livePrices.BTC || !livePrices.ETH || !livePrices.SOL) {
+      if (missingLivePrice) {
         // Only add jitter if using fallback prices (live prices already updating via API)
-        setFallbackPrices(prev => ({
-          BTC: prev.BTC * (1 + (Math.random() - 0.5) * 0.0005),
-          ETH: prev.ETH * (1 + (Math.random() - 0.5) * 0.0005),
-          SOL: prev.SOL * (1 + (Math.random() - 0.5) * 0.0005)
-        }));
-        
-        setFallbackHistory(prevHistory => ({
-          BTC: [...prevHistory.BTC, fallbackPrices.BTC].slice(-50),
-          ETH: [...prevHistory.ETH, fallbackPrices.ETH].slice(-50),
-          SOL: [...prevHistory.SOL, fallbackPrices.SOL].slice(-50)
-        }));
+        setFallbackPrices(prev => Object.fromEntries(MARKET_SYMBOLS.map(market => [
+          market,
+          prev[market] * (1 + (Math.random() - 0.5) * getVolatility(market) * FALLBACK_JITTER)
+        ])));
+
+        setFallbackHistory(prevHistory => Object.fromEntries(MARKET_SYMBOLS.map(market => [
+          market,
+          [...prevHistory[market], fallbackPrices[market]].slice(-50)
+        ])));
       }
     }, 2000);
 
     return () => clearInterval(interval);
-  }, [livePrices.BTC, livePrices.ETH, livePrices.SOL, fallbackPrices]);
+  }, [missingLivePrice, fallbackPrices]);
 
-  // Update unrealized PnL for all positions
-  useEffect(() => {
-    if (positions.length > 0 && prices.BTC) {
-      setPositions(prevPositions => {
-        const closedPositions = [];
-
-        // In one pass: update PnL, detect closures, collect closed positions
-        const updatedPositions = prevPositions.map(pos => {
-          const currentPrice = prices[pos.market];
-          const priceDiff = currentPrice - pos.entryPrice;
-          const multiplier = pos.direction === 'LONG' ? 1 : -1;
-          // pos.size is now notional size (riskAmount * leverage), so no need to multiply by leverage again
-          const pnl = (priceDiff / pos.entryPrice) * pos.size * multiplier;
-
-          // Check take profit
-          if (pos.takeProfit) {
-            const tpHit = pos.direction === 'LONG'
-              ? currentPrice >= pos.takeProfit
-              : currentPrice <= pos.takeProfit;
-            if (tpHit) {
-              const closedPos = { ...pos, unrealizedPnL: pnl, closedByTP: true };
-              closedPositions.push(closedPos);
-              return closedPos;
-            }
-          }
-
-          // Check stop loss
-          if (pos.stopLoss) {
-            const slHit = pos.direction === 'LONG'
-              ? currentPrice <= pos.stopLoss
-              : currentPrice >= pos.stopLoss;
-            if (slHit) {
-              const closedPos = { ...pos, unrealizedPnL: pnl, closedBySL: true };
-              closedPositions.push(closedPos);
-              return closedPos;
-            }
-          }
-
-          // Check liquidation: loss equals exactly the risk amount at liquidation
-          // unrealizedPnL = (priceDiff / entryPrice) * notionalSize * multiplier
-          // At liquidation: unrealizedPnL = -riskAmount (since notionalSize = riskAmount * leverage)
-          const riskAmount = pos.riskAmount || pos.initialMargin;
-          if (pnl <= -riskAmount) {
-            const closedPos = { ...pos, unrealizedPnL: -riskAmount, liquidated: true };
-            closedPositions.push(closedPos);
-            return closedPos;
-          }
-
-          return { ...pos, unrealizedPnL: pnl };
-        });
-
-        // Externally compute balance adjustments from closed positions
-        if (closedPositions.length > 0) {
-          const totalReturn = closedPositions.reduce((sum, p) => {
-            if (p.liquidated) {
-              // For liquidation: return margin + negative PnL (which is -positionSize)
-              return sum + p.initialMargin + p.unrealizedPnL;
-            }
-            // For TP/SL: return margin + PnL
-            return sum + p.initialMargin + p.unrealizedPnL;
-          }, 0);
-          setBalance(b => b + totalReturn);
-
-          // Log liquidation events
-          closedPositions.forEach(p => {
-            if (p.liquidated) {
-              console.log(`💥 Position liquidated! ${p.direction} ${p.size} at ${p.leverage}x leverage. Loss: $${p.unrealizedPnL.toFixed(2)}`);
-            }
-          });
-        }
+  // Latest mark prices, read by the funding settlement (which runs before the
+  // mark hook in render order)
+  const markPricesRef = useRef({});
+
+  // Funding from the simulated perp premium over the index, settled every funding
+  // interval on the position value at the mark
+  const settleFunding = (rates) => {
+    setAccount(prev => {
+      if (prev.positions.length === 0) return prev;
+
+      const { state, payment } = engine.applyFunding(prev, rates, { prices: markPricesRef.current });
+      if (Math.abs(payment) > 0.01) { // Only log significant funding payments
+        console.log(`💰 Funding ${payment >= 0 ? 'paid' : 'received'}: $${Math.abs(payment).toFixed(4)} (Balance: $${state.balance.toFixed(2)})`);
+      }
+
+      return state;
+    });
+  };
+  const { perpPrices, predictedRates, nextFundingTime, timeToFunding, sampledAt } = useFunding(indexPrices, settleFunding);
+
+  // Fill crossed limit orders, then update unrealized PnL and settle TP/SL/liquidations
+  // on every mark update
+  const markToMarket = (markPrices) => {
+    if (!Object.values(markPrices).some(Boolean)) return;
+    markPricesRef.current = markPrices;
+
+    setAccount(prev => {
+      if (prev.positions.length === 0 && prev.orders.length === 0) return prev;
+
+      const { state: filledState, filled, triggered, fees: fillFees } = engine.fillOrders(prev, markPrices, { feeSchedule: FEE_TIERS });
+      const { state, closed } = engine.markToMarket(filledState, markPrices, { feeSchedule: FEE_TIERS });
 
-        // Return only open positions (filter out closed ones)
-        return updatedPositions.filter(pos => !pos.liquidated && !pos.closedByTP && !pos.closedBySL);
+      triggered.forEach(o => {
+        console.log(`⚡ ${o.type} ${o.direction} ${o.market} triggered at $${o.events[o.events.length - 1].price.toFixed(2)}`);
+      });
+      filled.forEach((p, i) => {
+        console.log(`✅ ${p.orderType} order filled: ${p.direction} ${p.market} ${p.size} at $${p.entryPrice.toFixed(2)}. ${fillFees[i].liquidity === 'MAKER' ? 'Maker' : 'Taker'} fee: $${fillFees[i].amount.toFixed(4)}`);
+      });
+
+      // Log liquidation and scale-out events
+      closed.forEach(p => {
+        if (p.exitReason === 'LIQUIDATION') {
+          console.log(`💥 ${p.marginMode === 'CROSS' ? 'Cross margin' : 'Position'} liquidated! ${p.direction} ${p.market} ${p.size.toFixed(2)} at mark $${p.liquidation.markPrice.toFixed(2)}, closed at bankruptcy $${p.exitPrice.toFixed(2)}. Margin left: $${p.liquidation.margin.toFixed(2)}, Fee: $${p.liquidation.fee.toFixed(2)}`);
+        } else if (p.partial) {
+          console.log(`🎯 Scaled out ${(p.closedFraction * 100).toFixed(0)}% of ${p.direction} ${p.market} at $${p.exitPrice.toFixed(2)}. PnL: ${p.realizedPnL >= 0 ? '+' : ''}$${p.realizedPnL.toFixed(2)}, Fee: $${p.closeFee.toFixed(4)}`);
+        }
       });
-    }
-  }, [prices]);
+
+      return state;
+    });
+  };
+
+  // The perp's last-trade price is what the UI quotes and market orders fill at;
+  // the smoothed mark drives stops, liquidations and margin
+  const prices = perpPrices;
+  const { marketPrices, markPrices } = useMarketPrices(indexPrices, perpPrices, markToMarket);
+
+  // Synthetic L2 books around the mark; market orders walk them
+  const orderBooks = useMemo(() => orderBook.generateOrderBooks(markPrices), [markPrices]);
 
   const openPosition = () => {
     const currentPrice = prices[selectedMarket];
     if (!currentPrice) return;
 
     // Use custom leverage if advanced mode is on, otherwise use risk mode
-    const leverage = showAdvanced && advancedSettings.customLeverage
-      ? parseFloat(advancedSettings.customLeverage)
-      : leverageMap[riskMode];
+    const leverage = engine.resolveLeverage(riskMode, showAdvanced && advancedSettings.customLeverage);
 
-    const initialMargin = positionSize / leverage;
+    const order = {
+      ...engine.parseOrderSettings(advancedSettings),
+      market: selectedMarket,
+      direction,
+      riskAmount: positionSize, // positionSize represents risk amount
+      leverage,
+      riskMode: showAdvanced ? 'CUSTOM' : riskMode
+    };
+
+    // Market orders fill at the book's VWAP, rejected beyond the slippage tolerance
+    let fill = null;
+    if (order.type === 'MARKET') {
+      fill = orderBook.quoteMarketOrder(orderBooks[selectedMarket], direction, positionSize * leverage, {
+        maxSlippage: order.maxSlippage ?? orderBook.DEFAULT_MAX_SLIPPAGE
+      });
+      if (fill.error) {
+        console.log(`❌ ${fill.error}`);
+        return;
+      }
+    }
 
-    // Check if balance is sufficient
-    if (balance < initialMargin) {
-      console.log(`❌ Insufficient balance. Required: $${initialMargin.toFixed(2)}, Available: $${balance.toFixed(2)}`);
+    // Limit and stop orders rest until the price crosses them
+    const result = order.type === 'MARKET'
+      ? engine.openPosition(account, order, fill.price, { feeSchedule: FEE_TIERS })
+      : engine.placeOrder(account, order, markPrices[selectedMarket], { feeSchedule: FEE_TIERS });
+    if (result.error) {
+      console.log(`❌ ${result.error}`);
       return;
     }
 
-    // For limit orders, check if price needs to be triggered
-    if (advancedSettings.orderType === 'LIMIT' && advancedSettings.limitPrice) {
-      const limitPrice = parseFloat(advancedSettings.limitPrice);
-      // In real app, this would be queued. For demo, we'll just use limit as entry
-      const entryPrice = limitPrice;
-
-      const riskAmount = positionSize; // positionSize now represents risk amount
-      const notionalSize = riskAmount * leverage;
-      const margin = riskAmount; // margin equals risk amount
-      const maintenanceMargin = 0; // no maintenance margin, liquidation at full loss
-      const liquidationPrice = direction === 'LONG'
-        ? entryPrice * (1 - 1/leverage) // lose full margin at liquidation
-        : entryPrice * (1 + 1/leverage);
-
-      const newPosition = {
-        id: Date.now(),
-        market: selectedMarket,
-        entryPrice: entryPrice,
-        direction,
-        size: notionalSize, // display notional size
-        riskAmount, // store risk amount separately
-        riskMode: showAdvanced ? 'CUSTOM' : riskMode,
-        leverage,
-        initialMargin: margin,
-        maintenanceMargin,
-        marginUsed: margin,
-        liquidationPrice,
-        unrealizedPnL: 0,
-        openedAt: new Date().toLocaleTimeString(),
-        takeProfit: advancedSettings.takeProfit ? parseFloat(advancedSettings.takeProfit) : null,
-        stopLoss: advancedSettings.stopLoss ? parseFloat(advancedSettings.stopLoss) : null
-      };
-
-      // Atomic state update: deduct margin and add position
-      setBalance(prev => prev - margin);
-      setPositions(prev => [...prev, newPosition]);
-      console.log(`✅ Opened ${direction} position: ${notionalSize} at ${leverage}x leverage. Risk: $${riskAmount.toFixed(2)}`);
+    setAccount(result.state);
+    if (result.order) {
+      console.log(`📋 Placed ${result.order.type} ${direction} order at ${engine.describeOrderPrice(result.order)}. Reserved: $${result.order.reservedMargin.toFixed(2)}`);
       return;
     }
+    if (result.closed) {
+      console.log(`↔️ Reduced ${result.closed.direction} ${result.closed.market} by ${result.closed.size.toFixed(2)}. PnL: ${result.closed.realizedPnL >= 0 ? '+' : ''}$${result.closed.realizedPnL.toFixed(2)}`);
+    }
+    if (fill) {
+      console.log(`📊 Filled at VWAP $${fill.price.toFixed(2)} across ${fill.levelsUsed} level${fill.levelsUsed === 1 ? '' : 's'}, slippage ${(fill.slippage * 100).toFixed(3)}%`);
+    }
+    if (result.position && result.position.direction === direction) {
+      console.log(`✅ ${direction} ${selectedMarket} position now ${result.position.size.toFixed(2)} at $${result.position.entryPrice.toFixed(2)} avg entry, ${result.position.leverage.toFixed(2)}x leverage. Risk: $${positionSize.toFixed(2)}, Taker fee: $${result.fee.toFixed(4)}`);
+    }
+  };
 
-    // Market order
-    const riskAmount = positionSize; // positionSize now represents risk amount
-    const notionalSize = riskAmount * leverage;
-    const margin = riskAmount; // margin equals risk amount
-    const maintenanceMargin = 0; // no maintenance margin, liquidation at full loss
-    const liquidationPrice = direction === 'LONG'
-      ? currentPrice * (1 - 1/leverage) // lose full margin at liquidation
-      : currentPrice * (1 + 1/leverage);
-
-    const newPosition = {
-      id: Date.now(),
-      market: selectedMarket,
-      entryPrice: currentPrice,
-      direction,
-      size: notionalSize, // display notional size
-      riskAmount, // store risk amount separately
-      riskMode: showAdvanced ? 'CUSTOM' : riskMode,
-      leverage,
-      initialMargin: margin,
-      maintenanceMargin,
-      marginUsed: margin,
-      liquidationPrice,
-      unrealizedPnL: 0,
-      openedAt: new Date().toLocaleTimeString(),
-      takeProfit: advancedSettings.takeProfit ? parseFloat(advancedSettings.takeProfit) : null,
-      stopLoss: advancedSettings.stopLoss ? parseFloat(advancedSettings.stopLoss) : null
-    };
+  // portion: { fraction } (0-1) or { notional }; omit to close the whole position
+  const closePosition = (positionId, portion = {}) => {
+    const position = positions.find(p => p.id === positionId);
+    if (!position) return;
+
+    const { state, closed } = engine.closePosition(account, positionId, prices[position.market], { ...portion, feeSchedule: FEE_TIERS });
+    if (!closed) return;
+
+    setAccount(state);
+    console.log(`✅ Closed ${closed.partial ? `${(closed.closedFraction * 100).toFixed(0)}% of ` : ''}${closed.direction} position: ${closed.size} at ${closed.leverage}x leverage. Margin returned: $${closed.initialMargin.toFixed(2)}, PnL: ${closed.realizedPnL >= 0 ? '+' : ''}$${closed.realizedPnL.toFixed(2)}, Fee: $${closed.closeFee.toFixed(4)}`);
+  };
+
+  const closeAllPositions = () => {
+    const { state, closed, fees } = engine.closeAllPositions(account, prices, { feeSchedule: FEE_TIERS });
+    const totalPnL = closed.reduce((sum, pos) => sum + pos.realizedPnL, 0);
+    const totalMargin = closed.reduce((sum, pos) => sum + pos.initialMargin, 0);
+    const totalFees = fees.reduce((sum, fee) => sum + fee.amount, 0);
 
-    // Atomic state update: deduct margin and add position
-    setBalance(prev => prev - margin);
-    setPositions(prev => [...prev, newPosition]);
-    console.log(`✅ Opened ${direction} position: ${notionalSize} at ${leverage}x leverage. Risk: $${riskAmount.toFixed(2)}`);
+    setAccount(state);
+    console.log(`✅ Closed all positions. Total margin returned: $${totalMargin.toFixed(2)}, Total PnL: ${totalPnL >= 0 ? '+' : ''}$${totalPnL.toFixed(2)}, Total fees: $${totalFees.toFixed(4)}`);
   };
 
-  const closePosition = (positionId) => {
+  const setTrailingStop = (positionId, settings) => {
     const position = positions.find(p => p.id === positionId);
     if (!position) return;
 
-    const pnl = position.unrealizedPnL;
-    const margin = position.initialMargin;
+    const result = engine.setTrailingStop(account, positionId, settings, markPrices[position.market]);
+    if (result.error) {
+      console.log(`❌ ${result.error}`);
+      return;
+    }
+
+    setAccount(result.state);
+    console.log(result.position.trailingStop
+      ? `🎯 Trailing stop set on ${position.direction} ${position.market} at $${result.position.trailingStop.level.toFixed(2)}`
+      : `🎯 Trailing stop removed from ${position.direction} ${position.market}`);
+  };
 
-    // Atomic state update: return margin + PnL and remove position
-    setBalance(prev => prev + margin + pnl);
-    setPositions(prev => prev.filter(p => p.id !== positionId));
+  const cancelOrder = (orderId) => {
+    const { state, cancelled } = engine.cancelOrder(account, orderId);
+    if (!cancelled) return;
 
-    console.log(`✅ Closed ${position.direction} position: ${position.size} at ${position.leverage}x leverage. Margin returned: $${margin.toFixed(2)}, PnL: ${pnl >= 0 ? '+' : ''}$${pnl.toFixed(2)}`);
+    setAccount(state);
+    console.log(`🚫 Cancelled ${cancelled.type} ${cancelled.direction} order at ${engine.describeOrderPrice(cancelled)}. Released: $${cancelled.reservedMargin.toFixed(2)}`);
   };
 
-  const closeAllPositions = () => {
-    const totalPnL = positions.reduce((sum, pos) => sum + pos.unrealizedPnL, 0);
-    const totalMargin = positions.reduce((sum, pos) => sum + pos.initialMargin, 0);
+  const amendOrder = (orderId, changes) => {
+    const order = orders.find(o => o.id === orderId);
+    if (!order) return;
 
-    // Atomic state update: return all margin + total PnL and clear positions
-    setBalance(prev => prev + totalMargin + totalPnL);
-    setPositions([]);
+    // An amend that crosses the book fills at once, at the touch like a taker
+    const book = orderBooks[order.market];
+    const touch = order.direction === 'LONG' ? book?.asks[0] : book?.bids[0];
+    const result = engine.amendOrder(account, orderId, changes, touch?.price ?? markPrices[order.market], { feeSchedule: FEE_TIERS });
+    if (result.error) {
+      console.log(`❌ ${result.error}`);
+      return;
+    }
 
-    console.log(`✅ Closed all positions. Total margin returned: $${totalMargin.toFixed(2)}, Total PnL: ${totalPnL >= 0 ? '+' : ''}$${totalPnL.toFixed(2)}`);
+    setAccount(result.state);
+    if (result.order) {
+      console.log(`✏️ Amended ${result.order.type} ${result.order.direction} order to ${engine.describeOrderPrice(result.order)}`);
+      return;
+    }
+    console.log(`✅ Amended ${order.type} ${order.direction} ${order.market} order filled at $${result.position.entryPrice.toFixed(2)}. Taker fee: $${result.fee.toFixed(4)}`);
   };
 
+  const setPositionMode = (mode) => {
+    const result = engine.setPositionMode(account, mode);
+    if (result.error) {
+      console.log(`❌ ${result.error}`);
+      return;
+    }
+
+    setAccount(result.state);
+    console.log(`⚙️ Position mode: ${mode === 'ONE_WAY' ? 'One-way' : 'Hedge'}`);
+  };
+
+  const setMarginMode = (mode) => {
+    const result = engine.setMarginMode(account, mode);
+    if (result.error) {
+      console.log(`❌ ${result.error}`);
+      return;
+    }
+
+    setAccount(result.state);
+    console.log(`⚙️ Default margin mode: ${mode === 'CROSS' ? 'Cross' : 'Isolated'}`);
+  };
+
+  const setPositionMarginMode = (positionId, mode) => {
+    const position = positions.find(p => p.id === positionId);
+    if (!position) return;
+
+    const result = engine.setPositionMarginMode(account, positionId, mode, markPrices[position.market]);
+    if (result.error) {
+      console.log(`❌ ${result.error}`);
+      return;
+    }
+
+    setAccount(result.state);
+    console.log(`⚙️ ${position.direction} ${position.market} switched to ${mode === 'CROSS' ? 'cross' : 'isolated'} margin`);
+  };
+
+  // Clicking a book level prices a limit order there
+  const selectBookPrice = (price) => {
+    setShowAdvanced(true);
+    setAdvancedSettings(prev => ({
+      ...prev,
+      orderType: prev.orderType === 'STOP_LIMIT' ? 'STOP_LIMIT' : 'LIMIT',
+      limitPrice: String(price)
+    }));
+    console.log(`📖 Limit price set from book: $${price}`);
+  };
+
+  // Current maker/taker rates from the 30-day volume tier, as of the last
+  // price sample (the engine charges fees at the order's own time)
+  const feeRates = getFeeRates(volume, FEE_TIERS, sampledAt);
+
+  // Cross-margin pool summary shown in the header
+  const accountMargin = engine.calculateAccountMargin(account, markPrices);
+
   const resetState = () => {
-    if (window.confirm('🔄 Clear all data and reset to defaults? This cannot be undone.')) {
+    if (window.confirm(`🔄 Clear all data in ${activeAccount.name} and reset it to $${startingBalance.toFixed(2)}? This cannot be undone.`)) {
       try {
-        localStorage.removeItem('perpsx_state');
+        localStorage.removeItem(storageKey);
         console.log('✅ Cache cleared');
         // Reload page to reset all state
         window.location.reload();
@@ -324,13 +465,81 @@ const useAppState = () => {
     }
   };
 
+  // Backup file of the whole account; restoring it goes through the same
+  // migrations and validation as the saved state, after a preview
+  const [pendingRestore, setPendingRestore] = useState(null);
+
+  const downloadBackup = () => {
+    const now = Date.now();
+    downloadFile(`perpsx-backup-${new Date(now).toISOString().slice(0, 10)}.json`, persistence.createBackup(snapshot, now), 'application/json');
+    console.log('💾 Downloaded account backup');
+  };
+
+  const loadBackupFile = async (file) => {
+    if (!file) return;
+
+    let restored;
+    try {
+      restored = persistence.parseBackup(await file.text());
+    } catch (error) {
+      restored = { state: null, problems: [], exportedAt: null, error: error.message };
+    }
+    setPendingRestore({
+      fileName: file.name,
+      ...restored,
+      diff: restored.state ? persistence.diffSnapshots(snapshot, restored.state) : []
+    });
+  };
+
+  const confirmRestore = () => {
+    try {
+      localStorage.setItem(storageKey, JSON.stringify(pendingRestore.state));
+      console.log(`✅ Restored account from ${pendingRestore.fileName}`);
+      // Reload page to start from the restored state
+      window.location.reload();
+    } catch (error) {
+      console.error('Failed to restore backup:', error);
+    }
+  };
+
   return {
+    startingBalance,
+    restoreNotice,
+    dismissRestoreNotice: () => setRestoreNotice(null),
     balance,
     prices,
+    marketPrices,
+    priceSources,
+    priceDetails,
+    priceConnection,
+    orderBooks,
+    pnlPriceSource,
+    setPnlPriceSource,
+    portfolioTab,
+    setPortfolioTab,
+    tradeHistory: account.tradeHistory,
+    fundingHistory: account.fundingHistory,
+    feeHistory: account.feeHistory,
+    equityHistory,
+    equityEvents,
     priceHistory,
+    candles,
+    candleBackfill,
     selectedMarket,
     setSelectedMarket,
     positions,
+    orders,
+    positionMode,
+    setPositionMode,
+    marginMode,
+    setMarginMode,
+    setPositionMarginMode,
+    accountMargin,
+    feesPaid,
+    feeRates,
+    predictedRates,
+    nextFundingTime,
+    timeToFunding,
     direction,
     setDirection,
     positionSize,
@@ -341,24 +550,260 @@ const useAppState = () => {
     setShowAdvanced,
     advancedSettings,
     setAdvancedSettings,
+    selectBookPrice,
     openPosition,
     closePosition,
     closeAllPositions,
-    resetState
+    setTrailingStop,
+    cancelOrder,
+    amendOrder,
+    resetState,
+    downloadBackup,
+    loadBackupFile,
+    pendingRestore,
+    confirmRestore,
+    cancelRestore: () => setPendingRestore(null)
   };
 };
 
 // Components
-const Header = ({ balance, positions, onReset }) => {
+const RestoreNotice = ({ notice, onDismiss }) => (
+  <div className="fixed top-4 left-1/2 -translate-x-1/2 z-50 max-w-lg w-[calc(100%-2rem)] bg-yellow-900/90 border border-yellow-600 rounded-2xl p-3 text-xs text-yellow-100 flex gap-3 items-start shadow-lg">
+    <span className="flex-1">⚠️ {notice}</span>
+    <button onClick={onDismiss} className="text-yellow-300 hover:text-white font-bold">✕</button>
+  </div>
+);
+
+const RestorePreview = ({ restore, onConfirm, onCancel }) => (
+  <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center p-4">
+    <div className="bg-gray-900 border border-gray-700 rounded-2xl p-5 w-full max-w-md text-sm">
+      <h2 className="text-lg font-bold mb-1">Restore Account</h2>
+      <div className="text-xs text-gray-500 mb-4">
+        {restore.fileName}
+        {restore.exportedAt && ` · saved ${new Date(restore.exportedAt).toLocaleString()}`}
+      </div>
+
+      {restore.error ? (
+        <div className="text-red-400 text-xs mb-4">This file can't be restored: {restore.error}</div>
+      ) : (
+        <>
+          <div className="grid grid-cols-3 gap-x-3 gap-y-1 text-xs mb-4">
+            <span className="text-gray-500">Field</span>
+            <span className="text-gray-500">Current</span>
+            <span className="text-gray-500">Backup</span>
+            {restore.diff.map(row => (
+              <React.Fragment key={row.label}>
+                <span className="text-gray-400">{row.label}</span>
+                <span className="text-gray-300 break-words">{row.current}</span>
+                <span className={`break-words ${row.changed ? 'text-yellow-300 font-semibold' : 'text-gray-300'}`}>{row.incoming}</span>
+              </React.Fragment>
+            ))}
+          </div>
+          {restore.problems.length > 0 && (
+            <div className="text-yellow-400 text-xs mb-4">
+              Repaired while loading: {restore.problems.join('; ')}
+            </div>
+          )}
+          <div className="text-xs text-gray-500 mb-4">Restoring replaces the current account. Download a backup first to keep it.</div>
+        </>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={onCancel}
+          className="flex-1 py-2 rounded-2xl font-semibold bg-gray-800 text-gray-300 hover:bg-gray-700 transition-colors"
+        >
+          Cancel
+        </button>
+        {!restore.error && (
+          <button
+            onClick={onConfirm}
+            className="flex-1 py-2 rounded-2xl font-semibold bg-blue-500 text-white hover:bg-blue-600 transition-colors"
+          >
+            Restore
+          </button>
+        )}
+      </div>
+    </div>
+  </div>
+);
+
+const AccountManager = ({ accounts, onClose }) => {
+  const [error, setError] = useState(null);
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [draft, setDraft] = useState({ name: '', startingBalance: String(engine.DEFAULT_BALANCE) });
+
+  // Actions return an error message, or null when they went through
+  const run = (result) => {
+    setError(result);
+    return result === null;
+  };
+
+  const create = () => {
+    if (run(accounts.createAccount({ name: draft.name, startingBalance: parseFloat(draft.startingBalance) }))) {
+      onClose();
+    }
+  };
+
+  const rename = () => {
+    if (run(accounts.renameAccount(renaming.id, renaming.name))) setRenaming(null);
+  };
+
+  const remove = (account) => {
+    if (window.confirm(`🗑️ Delete ${account.name}? Its positions, orders and history are removed. This cannot be undone.`)) {
+      run(accounts.deleteAccount(account.id));
+    }
+  };
+
+  const inputClass = 'bg-gray-800 rounded-xl px-2 py-1 text-white text-xs';
+  const linkClass = 'text-xs text-gray-400 hover:text-gray-300 transition-colors disabled:text-gray-600';
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/70 flex items-center justify-center p-4">
+      <div className="bg-gray-900 border border-gray-700 rounded-2xl p-5 w-full max-w-md text-sm text-left">
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-bold">Accounts</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-white font-bold">✕</button>
+        </div>
+
+        <div className="space-y-2 mb-4 max-h-72 overflow-y-auto">
+          {accounts.accounts.map(account => {
+            const isActive = account.id === accounts.activeAccount.id;
+            return (
+              <div key={account.id} className={`rounded-2xl p-3 ${isActive ? 'bg-blue-500/10 border border-blue-500/40' : 'bg-gray-800/40'}`}>
+                {renaming?.id === account.id ? (
+                  <div className="flex gap-2">
+                    <input
+                      value={renaming.name}
+                      onChange={(e) => setRenaming({ ...renaming, name: e.target.value })}
+                      onKeyDown={(e) => e.key === 'Enter' && rename()}
+                      className={`${inputClass} flex-1`}
+                      autoFocus
+                    />
+                    <button onClick={rename} className={linkClass}>Save</button>
+                    <button onClick={() => setRenaming(null)} className={linkClass}>Cancel</button>
+                  </div>
+                ) : (
+                  <div className="flex justify-between items-center">
+                    <span>
+                      <span className="font-semibold">{account.name}</span>
+                      <span className="text-xs text-gray-500 ml-2">from ${account.startingBalance.toFixed(2)}</span>
+                    </span>
+                    <span className="flex gap-2">
+                      {isActive ? (
+                        <span className="text-xs text-blue-400">Active</span>
+                      ) : (
+                        <button onClick={() => accounts.switchAccount(account.id)} className={linkClass}>Switch</button>
+                      )}
+                      <button onClick={() => setRenaming({ id: account.id, name: account.name })} className={linkClass}>Rename</button>
+                      <button onClick={() => run(accounts.duplicateAccount(account.id))} className={linkClass}>Duplicate</button>
+                      <button
+                        onClick={() => remove(account)}
+                        disabled={accounts.accounts.length <= 1}
+                        className={linkClass}
+                      >
+                        Delete
+                      </button>
+                    </span>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="text-xs text-gray-400 mb-2">New account</div>
+        <div className="flex gap-2 mb-2">
+          <input
+            placeholder="Name"
+            value={draft.name}
+            onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+            className={`${inputClass} flex-1`}
+          />
+          <input
+            type="number"
+            min="1"
+            placeholder="Starting balance"
+            value={draft.startingBalance}
+            onChange={(e) => setDraft({ ...draft, startingBalance: e.target.value })}
+            className={`${inputClass} w-28`}
+          />
+          <button
+            onClick={create}
+            className="px-3 py-1 rounded-xl text-xs font-semibold bg-blue-500 text-white hover:bg-blue-600 transition-colors"
+          >
+            Create
+          </button>
+        </div>
+        {error && <div className="text-xs text-red-400">{error}</div>}
+      </div>
+    </div>
+  );
+};
+
+const AccountSwitcher = ({ accounts }) => {
+  const [managing, setManaging] = useState(false);
+
+  return (
+    <div className="flex items-center gap-2 mt-2">
+      <select
+        value={accounts.activeAccount.id}
+        onChange={(e) => accounts.switchAccount(e.target.value)}
+        className="bg-gray-800 rounded-xl px-2 py-1 text-xs text-white max-w-[10rem]"
+        title="Switch paper-trading account"
+      >
+        {accounts.accounts.map(account => (
+          <option key={account.id} value={account.id}>{account.name}</option>
+        ))}
+      </select>
+      <button
+        onClick={() => setManaging(true)}
+        className="text-xs text-gray-400 hover:text-gray-300 transition-colors"
+        title="Create, rename, duplicate or delete accounts"
+      >
+        Manage
+      </button>
+      {managing && <AccountManager accounts={accounts} onClose={() => setManaging(false)} />}
+    </div>
+  );
+};
+
+const FundingCountdown = ({ market, predictedRate, timeToFunding }) => {
+  // Refreshed every second by the funding sampler
+  const secondsLeft = Math.ceil(timeToFunding / 1000);
+  const rateColor = predictedRate === undefined || predictedRate >= 0 ? 'text-green-400' : 'text-red-400';
+
+  return (
+    <div
+      className="text-xs text-gray-500 mt-1"
+      title="Predicted rate for the next funding. Positive: longs pay shorts. Negative: shorts pay longs."
+    >
+      {market} Funding:{' '}
+      <span className={`font-bold ${rateColor}`}>
+        {predictedRate === undefined ? '--' : `${(predictedRate * 100).toFixed(4)}%`}
+      </span>
+      {' '}in {Math.floor(secondsLeft / 60)}:{String(secondsLeft % 60).padStart(2, '0')}
+    </div>
+  );
+};
+
+const Header = ({ balance, positions, positionMode, setPositionMode, marginMode, setMarginMode, accountMargin, feesPaid, feeRates, selectedMarket, predictedRates, timeToFunding, onReset, onBackup, onRestoreFile, accounts }) => {
   const totalUnrealizedPnL = positions.reduce((sum, pos) => sum + pos.unrealizedPnL, 0);
   const liveBalance = balance + totalUnrealizedPnL;
   const balanceColor = totalUnrealizedPnL >= 0 ? 'text-green-500' : 'text-red-500';
+
+  // Liquidation of all cross positions happens at 100%
+  const marginRatioPercent = Math.min(accountMargin.marginRatio, 1) * 100;
+  const marginRatioColor = marginRatioPercent >= 80
+    ? 'text-red-400'
+    : marginRatioPercent >= 50 ? 'text-yellow-400' : 'text-green-400';
   
   return (
     <div className="flex justify-between items-center mb-8">
       <div>
         <h1 className="text-2xl font-bold text-white">PerpsX</h1>
         <span className="text-xs text-gray-500 uppercase tracking-wider">Demo Mode</span>
+        <AccountSwitcher accounts={accounts} />
       </div>
       <div className="text-right">
         <div className="text-xs text-gray-500 mb-1">Demo Balance</div>
@@ -370,51 +815,207 @@ const Header = ({ balance, positions, onReset }) => {
             Base: ${balance.toFixed(2)}
           </div>
         )}
-        <button
-          onClick={onReset}
-          className="text-xs text-gray-400 hover:text-gray-300 mt-2 transition-colors"
-          title="Clear all data and reset to defaults"
+        <div
+          className="text-xs text-gray-500 mt-1"
+          title="Cross-margin maintenance margin / cross margin balance. Cross positions are liquidated at 100%."
         >
-          Reset
-        </button>
+          Margin Ratio: <span className={`font-bold ${marginRatioColor}`}>{marginRatioPercent.toFixed(2)}%</span>
+        </div>
+        <FundingCountdown
+          market={selectedMarket}
+          predictedRate={predictedRates[selectedMarket]}
+          timeToFunding={timeToFunding}
+        />
+        <div
+          className="text-xs text-gray-500 mt-1"
+          title={`30-day volume: $${feeRates.volume.toFixed(0)}${feeRates.nextTier ? `. ${feeRates.nextTier.name} at $${feeRates.nextTier.minVolume.toLocaleString('en-US')}` : ''}`}
+        >
+          Fees Paid: <span className="font-bold text-gray-300">${feesPaid.toFixed(2)}</span>
+          {' · '}{feeRates.tier.name} {(feeRates.maker * 100).toFixed(3)}% / {(feeRates.taker * 100).toFixed(3)}%
+        </div>
+        <div className="flex justify-end gap-3 mt-2">
+          <button
+            onClick={() => setPositionMode(positionMode === 'ONE_WAY' ? 'HEDGE' : 'ONE_WAY')}
+            className="text-xs text-gray-400 hover:text-gray-300 transition-colors"
+            title="One-way nets orders on a market into one position. Hedge keeps each order separate. Switch while flat."
+          >
+            {positionMode === 'ONE_WAY' ? 'One-way' : 'Hedge'} Mode
+          </button>
+          <button
+            onClick={() => setMarginMode(marginMode === 'CROSS' ? 'ISOLATED' : 'CROSS')}
+            className="text-xs text-gray-400 hover:text-gray-300 transition-colors"
+            title="Default margin mode for new orders. Isolated risks only the position's margin, cross backs it with the whole balance."
+          >
+            {marginMode === 'CROSS' ? 'Cross' : 'Isolated'} Margin
+          </button>
+          <button
+            onClick={onBackup}
+            className="text-xs text-gray-400 hover:text-gray-300 transition-colors"
+            title="Download the whole account (balance, positions, orders, history and settings) as a file"
+          >
+            Backup
+          </button>
+          <label
+            className="text-xs text-gray-400 hover:text-gray-300 transition-colors cursor-pointer"
+            title="Restore the account from a backup file"
+          >
+            Restore
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="hidden"
+              onChange={(e) => {
+                onRestoreFile(e.target.files[0]);
+                e.target.value = ''; // allow picking the same file again
+              }}
+            />
+          </label>
+          <button
+            onClick={onReset}
+            className="text-xs text-gray-400 hover:text-gray-300 transition-colors"
+            title="Clear all data in this account and reset it to its starting balance"
+          >
+            Reset
+          </button>
+        </div>
       </div>
     </div>
   );
 };
 
-const MarketSelector = ({ selectedMarket, setSelectedMarket, prices }) => {
-  const markets = ['BTC', 'ETH', 'SOL'];
-  
+// Searchable list of every market in the registry; Enter picks the first match
+const MarketPicker = ({ selectedMarket, setSelectedMarket, prices, className = 'mb-6' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const results = searchMarkets(query);
+  const current = getMarket(selectedMarket);
+
+  const close = () => {
+    setIsOpen(false);
+    setQuery('');
+  };
+
+  const select = (symbol) => {
+    setSelectedMarket(symbol);
+    close();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter' && results.length > 0) select(results[0].symbol);
+    if (e.key === 'Escape') close();
+  };
+
   return (
-    <div className="mb-6">
-      <div className="grid grid-cols-3 gap-3">
-        {markets.map(market => (
-          <button
-            key={market}
-            onClick={() => setSelectedMarket(market)}
-            className={`py-4 px-4 rounded-2xl font-semibold transition-all duration-300 ease-smooth transform hover:scale-105 active:scale-95 ${
-              selectedMarket === market
-                ? 'bg-blue-500 text-white shadow-lg shadow-blue-500/50 scale-105'
-                : 'bg-gray-800 text-gray-400 hover:bg-gray-700 hover:shadow-lg hover:shadow-gray-700/30'
-            }`}
+    <div className={`relative ${className}`}>
+      <button
+        onClick={() => (isOpen ? close() : setIsOpen(true))}
+        className="w-full flex justify-between items-center py-3 px-4 rounded-2xl bg-gray-800 hover:bg-gray-700 transition-all duration-300 ease-smooth"
+      >
+        <span className="text-left">
+          <span className="block text-white font-bold">{selectedMarket}-USDT</span>
+          <span className="block text-xs text-gray-400">{current?.name} · up to {current?.maxLeverage}x</span>
+        </span>
+        <span className="flex items-center gap-3">
+          <span className="text-white font-bold">{formatMarketPrice(selectedMarket, prices[selectedMarket])}</span>
+          <span className="text-xs text-gray-400">{isOpen ? '▲' : '▼'}</span>
+        </span>
+      </button>
+      {isOpen && (
+        <div className="absolute z-30 left-0 right-0 mt-2 bg-gray-900 border border-gray-700 rounded-2xl shadow-2xl p-2">
+          <input
+            type="text"
+            autoFocus
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={handleKeyDown}
+            placeholder="Search markets"
+            className="w-full py-2 px-3 rounded-xl bg-gray-800 text-white text-sm placeholder-gray-500 border border-gray-700 focus:border-blue-500 focus:outline-none"
+          />
+          <div className="max-h-72 overflow-y-auto mt-2 space-y-1">
+            {results.length === 0 && (
+              <div className="text-xs text-gray-500 text-center py-4">No market matches "{query}"</div>
+            )}
+            {results.map(market => (
+              <button
+                key={market.symbol}
+                onClick={() => select(market.symbol)}
+                className={`w-full flex justify-between items-center px-3 py-2 rounded-xl text-sm transition-colors ${
+                  market.symbol === selectedMarket ? 'bg-blue-500/20 text-white' : 'text-gray-300 hover:bg-gray-800'
+                }`}
+              >
+                <span className="text-left">
+                  <span className="font-semibold">{market.symbol}</span>
+                  <span className="text-xs text-gray-500 ml-2">{market.name}</span>
+                </span>
+                <span className="text-right">
+                  <span className="block font-bold">{formatMarketPrice(market.symbol, prices[market.symbol])}</span>
+                  <span className="block text-xs text-gray-500">{market.maxLeverage}x max</span>
+                </span>
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Transport badge; REST alone (streaming off) needs no badge
+const CONNECTION_BADGES = {
+  STREAMING: { label: '● Streaming', className: 'text-green-400', title: 'Every stream is live' },
+  PARTIAL: { label: '● Partial', className: 'text-yellow-400', title: 'Some streams are down; their feeds are polled' },
+  FALLBACK: { label: '● REST fallback', className: 'text-red-400', title: 'No stream is live; every feed is polled' }
+};
+
+// Each feed's quote behind the index: rejected outliers and failing feeds are flagged
+const PriceSources = ({ market, sources, details, connection }) => {
+  if (sources.length === 0) return null;
+
+  const quotes = Object.fromEntries((details[market]?.quotes || []).map(quote => [quote.source, quote]));
+  const used = Object.values(quotes).filter(quote => !quote.rejected).length;
+  const badge = CONNECTION_BADGES[connection];
+
+  return (
+    <div className="flex flex-wrap gap-x-3 text-xs text-gray-500 mt-1">
+      {badge && <span className={badge.className} title={badge.title}>{badge.label}</span>}
+      <span>Index from {used}/{sources.length} feeds:</span>
+      {sources.map(source => {
+        const quote = quotes[source.id];
+        const via = source.stream ? ` · stream ${source.stream.toLowerCase()}` : '';
+        if (!quote) {
+          return (
+            <span key={source.id} className="text-red-400" title={`${source.error ?? 'No quote for this market'}${via}`}>
+              {source.name} ✗
+            </span>
+          );
+        }
+        return (
+          <span
+            key={source.id}
+            className={quote.rejected ? 'text-yellow-400 line-through' : ''}
+            title={`${formatMarketPrice(market, quote.price)} · weight ${quote.weight} · ${(quote.deviation * 100).toFixed(3)}% from median${quote.rejected ? ' (outlier, rejected)' : ''}${via}`}
           >
-            <div className="text-xs font-semibold opacity-90">{market}-USDT</div>
-            <div className="text-sm font-bold mt-1">
-              {prices[market] ? `$${Number(prices[market]).toFixed(2)}` : '...'}
-            </div>
-          </button>
-        ))}
-      </div>
+            {source.name}
+          </span>
+        );
+      })}
     </div>
   );
 };
 
-const MarketPrice = ({ market, price }) => (
+// price is the last trade; snapshot adds the mark and index under it
+const MarketPrice = ({ market, price, snapshot, sources = [], details = {}, connection }) => (
   <div className="mb-8">
     <div className="text-sm text-gray-500 mb-2">{market}-USDT</div>
     <div className="text-4xl font-bold text-white">
-      {price ? `$${Number(price).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}` : '...'}
+      {formatMarketPrice(market, price)}
     </div>
+    {snapshot && (
+      <div className="text-xs text-gray-500 mt-1">
+        Mark {formatMarketPrice(market, snapshot.mark)} · Index {formatMarketPrice(market, snapshot.index)}
+      </div>
+    )}
+    <PriceSources market={market} sources={sources} details={details} connection={connection} />
   </div>
 );
 
@@ -517,43 +1118,84 @@ const AdvancedToggle = ({ showAdvanced, setShowAdvanced }) => (
   </div>
 );
 
-const AdvancedSettings = ({ advancedSettings, setAdvancedSettings, selectedMarket, prices, direction, positionSize, riskMode }) => {
+const TrailingTypeToggle = ({ value, onChange }) => (
+  <div className="grid grid-cols-2 gap-1 bg-gray-800 rounded-2xl p-1 border border-gray-700">
+    {[{ type: 'PERCENT', label: '%' }, { type: 'AMOUNT', label: '$' }].map(option => (
+      <button
+        key={option.type}
+        onClick={() => onChange(option.type)}
+        className={`px-3 rounded-xl text-sm font-bold transition-all duration-200 ${
+          value === option.type ? 'bg-blue-500 text-white' : 'text-gray-400 hover:text-gray-300'
+        }`}
+      >
+        {option.label}
+      </button>
+    ))}
+  </div>
+);
+
+const AdvancedSettings = ({ advancedSettings, setAdvancedSettings, selectedMarket, prices, direction, positionSize, riskMode, marginMode }) => {
   const currentPrice = prices[selectedMarket];
   
-  const leverageMap = {
-    SAFE: 2,
-    BALANCED: 5,
-    DEGENERATE: 10
-  };
-  
-  const leverage = advancedSettings.customLeverage 
-    ? parseFloat(advancedSettings.customLeverage) 
-    : leverageMap[riskMode];
+  const leverage = engine.resolveLeverage(riskMode, advancedSettings.customLeverage);
+  const maxLeverage = getMarket(selectedMarket)?.maxLeverage ?? 100;
   
-  const entryPrice = advancedSettings.orderType === 'LIMIT' && advancedSettings.limitPrice
-    ? parseFloat(advancedSettings.limitPrice)
-    : currentPrice;
+  const entryPrice = engine.estimateEntryPrice(engine.parseOrderSettings(advancedSettings), currentPrice);
+
+  const orderTypes = [
+    { value: 'MARKET', label: 'Market' },
+    { value: 'LIMIT', label: 'Limit' },
+    { value: 'STOP', label: 'Stop' },
+    { value: 'STOP_LIMIT', label: 'Stop Limit' }
+  ];
+
+  // Empty value follows the account margin mode set in the header
+  const marginModes = [
+    { value: '', label: `Account (${marginMode === 'CROSS' ? 'Cross' : 'Isolated'})` },
+    { value: 'ISOLATED', label: 'Isolated' },
+    { value: 'CROSS', label: 'Cross' }
+  ];
+
+  // Hypothetical position used to preview PnL at the TP/SL prices
+  const previewPosition = {
+    entryPrice,
+    direction,
+    size: positionSize * leverage // positionSize is riskAmount
+  };
   
   // Calculate PnL at Take Profit price
   const calculateTPPnL = () => {
     if (!advancedSettings.takeProfit || !entryPrice) return null;
-    const tp = parseFloat(advancedSettings.takeProfit);
-    const priceDiff = tp - entryPrice;
-    const multiplier = direction === 'LONG' ? 1 : -1;
-    const notionalSize = positionSize * leverage; // positionSize is now riskAmount
-    return (priceDiff / entryPrice) * notionalSize * multiplier;
+    return engine.calculatePnL(previewPosition, parseFloat(advancedSettings.takeProfit));
   };
 
   // Calculate PnL at Stop Loss price
   const calculateSLPnL = () => {
     if (!advancedSettings.stopLoss || !entryPrice) return null;
-    const sl = parseFloat(advancedSettings.stopLoss);
-    const priceDiff = sl - entryPrice;
-    const multiplier = direction === 'LONG' ? 1 : -1;
-    const notionalSize = positionSize * leverage; // positionSize is now riskAmount
-    return (priceDiff / entryPrice) * notionalSize * multiplier;
+    return engine.calculatePnL(previewPosition, parseFloat(advancedSettings.stopLoss));
   };
   
+  const takeProfitLevels = advancedSettings.takeProfitLevels || [];
+
+  const addTakeProfitLevel = () => setAdvancedSettings(prev => ({
+    ...prev,
+    takeProfitLevels: [...(prev.takeProfitLevels || []), { price: '', percent: '' }]
+  }));
+
+  const updateTakeProfitLevel = (index, changes) => setAdvancedSettings(prev => ({
+    ...prev,
+    takeProfitLevels: prev.takeProfitLevels.map((level, i) => (i === index ? { ...level, ...changes } : level))
+  }));
+
+  const removeTakeProfitLevel = (index) => setAdvancedSettings(prev => ({
+    ...prev,
+    takeProfitLevels: prev.takeProfitLevels.filter((_, i) => i !== index)
+  }));
+
+  const trailingStopType = advancedSettings.trailingStopType || 'PERCENT';
+  const trailingPreview = entryPrice
+    && engine.createTrailingStop(engine.parseOrderSettings(advancedSettings).trailingStop, direction, entryPrice);
+
   const tpPnL = calculateTPPnL();
   const slPnL = calculateSLPnL();
 
@@ -563,56 +1205,108 @@ const AdvancedSettings = ({ advancedSettings, setAdvancedSettings, selectedMarke
       <div>
         <div className="text-sm text-gray-400 mb-3 font-medium">Order Type</div>
         <div className="grid grid-cols-2 gap-3">
-          <button
-            onClick={() => setAdvancedSettings(prev => ({ ...prev, orderType: 'MARKET' }))}
-            className={`py-3 rounded-2xl font-bold transition-all duration-300 ease-smooth transform hover:scale-105 active:scale-95 ${
-              advancedSettings.orderType === 'MARKET'
-                ? 'bg-blue-500 text-white shadow-lg shadow-blue-500/50'
-                : 'bg-gray-800 text-gray-400 hover:bg-gray-700 hover:shadow-lg'
-            }`}
-          >
-            Market
-          </button>
-          <button
-            onClick={() => setAdvancedSettings(prev => ({ ...prev, orderType: 'LIMIT' }))}
-            className={`py-3 rounded-2xl font-bold transition-all duration-300 ease-smooth transform hover:scale-105 active:scale-95 ${
-              advancedSettings.orderType === 'LIMIT'
-                ? 'bg-blue-500 text-white shadow-lg shadow-blue-500/50'
-                : 'bg-gray-800 text-gray-400 hover:bg-gray-700 hover:shadow-lg'
-            }`}
-          >
-            Limit
-          </button>
+          {orderTypes.map(type => (
+            <button
+              key={type.value}
+              onClick={() => setAdvancedSettings(prev => ({ ...prev, orderType: type.value }))}
+              className={`py-3 rounded-2xl font-bold transition-all duration-300 ease-smooth transform hover:scale-105 active:scale-95 ${
+                advancedSettings.orderType === type.value
+                  ? 'bg-blue-500 text-white shadow-lg shadow-blue-500/50'
+                  : 'bg-gray-800 text-gray-400 hover:bg-gray-700 hover:shadow-lg'
+              }`}
+            >
+              {type.label}
+            </button>
+          ))}
         </div>
       </div>
 
+      {/* Stop Trigger Price */}
+      {(advancedSettings.orderType === 'STOP' || advancedSettings.orderType === 'STOP_LIMIT') && (
+        <div className="animate-float-in">
+          <div className="text-sm text-gray-400 mb-2 font-medium">Stop Trigger Price</div>
+          <input
+            type="number"
+            value={advancedSettings.stopPrice ?? ''}
+            onChange={(e) => setAdvancedSettings(prev => ({ ...prev, stopPrice: e.target.value }))}
+            placeholder={currentPrice ? `Current: ${formatMarketPrice(selectedMarket, currentPrice)}` : 'Enter price'}
+            className="w-full py-3 px-4 rounded-2xl bg-gray-800 text-white placeholder-gray-500 border border-gray-700 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/30 focus:outline-none transition-all duration-200"
+          />
+          <div className="text-xs text-gray-500 mt-2">
+            {direction === 'LONG' ? 'Triggers when price rises to or above' : 'Triggers when price falls to or below'}
+          </div>
+        </div>
+      )}
+
       {/* Limit Price */}
-      {advancedSettings.orderType === 'LIMIT' && (
+      {(advancedSettings.orderType === 'LIMIT' || advancedSettings.orderType === 'STOP_LIMIT') && (
         <div className="animate-float-in">
           <div className="text-sm text-gray-400 mb-2 font-medium">Limit Entry Price</div>
           <input
             type="number"
             value={advancedSettings.limitPrice}
             onChange={(e) => setAdvancedSettings(prev => ({ ...prev, limitPrice: e.target.value }))}
-            placeholder={currentPrice ? `Current: $${currentPrice.toFixed(2)}` : 'Enter price'}
+            placeholder={currentPrice ? `Current: ${formatMarketPrice(selectedMarket, currentPrice)}` : 'Enter price'}
             className="w-full py-3 px-4 rounded-2xl bg-gray-800 text-white placeholder-gray-500 border border-gray-700 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/30 focus:outline-none transition-all duration-200"
           />
         </div>
       )}
       {/* Custom Leverage */}
       <div>
-        <div className="text-sm text-gray-400 mb-2 font-medium">Custom Leverage (1-100x)</div>
+        <div className="text-sm text-gray-400 mb-2 font-medium">Custom Leverage (1-{maxLeverage}x)</div>
         <input
           type="number"
           value={advancedSettings.customLeverage}
           onChange={(e) => setAdvancedSettings(prev => ({ ...prev, customLeverage: e.target.value }))}
           placeholder="e.g., 5"
           min="1"
-          max="100"
+          max={maxLeverage}
           className="w-full py-3 px-4 rounded-2xl bg-gray-800 text-white placeholder-gray-500 border border-gray-700 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/30 focus:outline-none transition-all duration-200"
         />
       </div>
 
+      {/* Margin Mode */}
+      <div>
+        <div className="text-sm text-gray-400 mb-2 font-medium">Margin Mode</div>
+        <div className="grid grid-cols-3 gap-2">
+          {marginModes.map(mode => (
+            <button
+              key={mode.value}
+              onClick={() => setAdvancedSettings(prev => ({ ...prev, marginMode: mode.value }))}
+              className={`py-2 rounded-2xl text-xs font-bold transition-all duration-300 ${
+                (advancedSettings.marginMode || '') === mode.value
+                  ? 'bg-blue-500 text-white shadow-lg shadow-blue-500/50'
+                  : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+              }`}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+        <div className="text-xs text-gray-500 mt-2">
+          Cross positions share the free balance and are liquidated together on the account margin ratio
+        </div>
+      </div>
+
+      {/* Max Slippage */}
+      {advancedSettings.orderType === 'MARKET' && (
+        <div>
+          <div className="text-sm text-gray-400 mb-2 font-medium">Max Slippage (%)</div>
+          <input
+            type="number"
+            value={advancedSettings.maxSlippage ?? ''}
+            onChange={(e) => setAdvancedSettings(prev => ({ ...prev, maxSlippage: e.target.value }))}
+            placeholder={`Default: ${orderBook.DEFAULT_MAX_SLIPPAGE}`}
+            min="0"
+            step="0.1"
+            className="w-full py-3 px-4 rounded-2xl bg-gray-800 text-white placeholder-gray-500 border border-gray-700 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/30 focus:outline-none transition-all duration-200"
+          />
+          <div className="text-xs text-gray-500 mt-2">
+            Market orders whose estimated fill is further than this from the mark are rejected
+          </div>
+        </div>
+      )}
+
       {/* Take Profit */}
       <div>
         <div className="text-sm text-gray-400 mb-2 font-medium">Take Profit Price (Optional)</div>
@@ -630,6 +1324,50 @@ const AdvancedSettings = ({ advancedSettings, setAdvancedSettings, selectedMarke
         )}
       </div>
 
+      {/* Scale-out Take Profits */}
+      <div>
+        <div className="flex justify-between items-center mb-2">
+          <div className="text-sm text-gray-400 font-medium">Scale-out Take Profits (Optional)</div>
+          <button
+            onClick={addTakeProfitLevel}
+            className="text-xs text-green-400 hover:text-green-300 font-semibold transition-colors"
+          >
+            + Add Level
+          </button>
+        </div>
+        <div className="space-y-2">
+          {takeProfitLevels.map((level, index) => (
+            <div key={index} className="flex gap-2">
+              <input
+                type="number"
+                value={level.price}
+                onChange={(e) => updateTakeProfitLevel(index, { price: e.target.value })}
+                placeholder={`TP${index + 1} price`}
+                className="flex-1 min-w-0 py-3 px-4 rounded-2xl bg-gray-800 text-white placeholder-gray-500 border border-gray-700 focus:border-green-500 focus:ring-2 focus:ring-green-500/30 focus:outline-none transition-all duration-200"
+              />
+              <input
+                type="number"
+                value={level.percent}
+                onChange={(e) => updateTakeProfitLevel(index, { percent: e.target.value })}
+                placeholder="% (rest)"
+                className="w-24 py-3 px-3 rounded-2xl bg-gray-800 text-white placeholder-gray-500 border border-gray-700 focus:border-green-500 focus:ring-2 focus:ring-green-500/30 focus:outline-none transition-all duration-200"
+              />
+              <button
+                onClick={() => removeTakeProfitLevel(index)}
+                className="px-3 rounded-2xl bg-gray-800 text-gray-400 hover:text-red-400 border border-gray-700 transition-colors"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+        {takeProfitLevels.length > 0 && (
+          <div className="text-xs text-gray-500 mt-2">
+            Each level closes its % of the original size. Leave % empty to close the rest.
+          </div>
+        )}
+      </div>
+
       {/* Stop Loss */}
       <div>
         <div className="text-sm text-gray-400 mb-2 font-medium">Stop Loss Price (Optional)</div>
@@ -642,7 +1380,30 @@ const AdvancedSettings = ({ advancedSettings, setAdvancedSettings, selectedMarke
         />
         {slPnL !== null && (
           <div className="text-xs text-red-400 mt-3 font-bold animate-pulse-soft">
-            PnL at SL: ${slPnL.toFixed(2)}
+            PnL at SL: ${slPnL.toFixed(2)}
+          </div>
+        )}
+      </div>
+
+      {/* Trailing Stop */}
+      <div>
+        <div className="text-sm text-gray-400 mb-2 font-medium">Trailing Stop (Optional)</div>
+        <div className="flex gap-2">
+          <input
+            type="number"
+            value={advancedSettings.trailingStop ?? ''}
+            onChange={(e) => setAdvancedSettings(prev => ({ ...prev, trailingStop: e.target.value }))}
+            placeholder={trailingStopType === 'PERCENT' ? 'Distance, e.g. 1.5' : 'Distance, e.g. 500'}
+            className="flex-1 py-3 px-4 rounded-2xl bg-gray-800 text-white placeholder-gray-500 border border-gray-700 focus:border-red-500 focus:ring-2 focus:ring-red-500/30 focus:outline-none transition-all duration-200"
+          />
+          <TrailingTypeToggle
+            value={trailingStopType}
+            onChange={(type) => setAdvancedSettings(prev => ({ ...prev, trailingStopType: type }))}
+          />
+        </div>
+        {trailingPreview && (
+          <div className="text-xs text-red-400 mt-3 font-bold animate-pulse-soft">
+            Starts at: {formatMarketPrice(selectedMarket, trailingPreview.level)}, follows the best price
           </div>
         )}
       </div>
@@ -650,52 +1411,113 @@ const AdvancedSettings = ({ advancedSettings, setAdvancedSettings, selectedMarke
   );
 };
 
-const ActionButtons = ({ openPosition, selectedMarket, prices, direction, positionSize, riskMode, showAdvanced, advancedSettings }) => {
-  const leverageMap = {
-    SAFE: 2,
-    BALANCED: 5,
-    DEGENERATE: 10
-  };
-
+const ActionButtons = ({ openPosition, selectedMarket, prices, orderBook: book, feeRates, direction, positionSize, riskMode, showAdvanced, advancedSettings }) => {
   const currentPrice = prices[selectedMarket];
-  const leverage = showAdvanced && advancedSettings.customLeverage 
-    ? parseFloat(advancedSettings.customLeverage) 
-    : leverageMap[riskMode];
-
-  const entryPrice = advancedSettings.orderType === 'LIMIT' && advancedSettings.limitPrice
-    ? parseFloat(advancedSettings.limitPrice)
-    : currentPrice;
+  const leverage = engine.resolveLeverage(riskMode, showAdvanced && advancedSettings.customLeverage);
+
+  const orderSettings = engine.parseOrderSettings(advancedSettings);
+  const notional = positionSize * leverage; // positionSize is riskAmount
+
+  // Market orders preview the book walk; others enter at their limit or trigger
+  const maxSlippage = orderSettings.maxSlippage ?? orderBook.DEFAULT_MAX_SLIPPAGE;
+  const quote = orderSettings.type === 'MARKET' && book
+    ? orderBook.walkBook(book, direction, notional)
+    : null;
+  const entryPrice = quote && !quote.error ? quote.price : engine.estimateEntryPrice(orderSettings, currentPrice);
+  const exceedsSlippage = quote && !quote.error && quote.slippage * 100 > maxSlippage;
+  const buttonLabels = {
+    MARKET: 'Open Trade',
+    LIMIT: 'Place Limit Order',
+    STOP: 'Place Stop Order',
+    STOP_LIMIT: 'Place Stop Limit Order'
+  };
 
-  const liquidationPrice = entryPrice && direction === 'LONG'
-    ? entryPrice * (1 - 1/leverage) // lose full risk amount at liquidation
-    : entryPrice && entryPrice * (1 + 1/leverage);
+  // Liquidated once the remaining margin reaches the market's maintenance tier
+  const maintenanceMargin = engine.calculateMaintenanceMargin(selectedMarket, notional);
+  const liquidationPrice = entryPrice
+    && engine.calculateLiquidationPrice(direction, entryPrice, leverage, maintenanceMargin / notional);
+
+  // Quantity in the base asset, and the limits of the market and its maintenance bracket
+  const market = getMarket(selectedMarket);
+  const quantity = entryPrice ? notional / entryPrice : null;
+  const maxLeverage = engine.calculateMaxLeverage(selectedMarket, notional);
+  const exceedsLeverage = leverage > maxLeverage;
+  const marginBelowMaintenance = maintenanceMargin >= notional / leverage;
+  const belowLot = market && quantity !== null && quantity < market.lotSize;
+  const formatPrice = (price) => formatMarketPrice(selectedMarket, price);
+
+  // Limit orders pay the maker rate if they rest on the book first; ones that
+  // would fill against the mark right away pay the taker rate
+  const isMaker = (orderSettings.type === 'LIMIT' || orderSettings.type === 'STOP_LIMIT')
+    && !engine.isMarketable({ ...orderSettings, direction }, book?.mid ?? currentPrice);
+  const estimatedFee = notional * (isMaker ? feeRates.maker : feeRates.taker);
 
   return (
     <div className="mb-8 space-y-4">
       {entryPrice && (
         <div className="bg-gradient-to-br from-gray-900/80 to-gray-800/40 rounded-3xl p-5 mb-4 border border-gray-700/50 backdrop-blur-sm shadow-lg transition-all duration-300">
           <div className="flex justify-between items-center text-sm mb-3">
-            <span className="text-gray-400">Entry Price</span>
-            <span className="text-white font-bold">${Number(entryPrice).toFixed(2)}</span>
+            <span className="text-gray-400">{quote && !quote.error ? 'Est. Fill Price' : 'Entry Price'}</span>
+            <span className="text-white font-bold">{formatPrice(entryPrice)}</span>
+          </div>
+          <div className="flex justify-between items-center text-sm mb-3">
+            <span className="text-gray-400">Quantity</span>
+            <span className={`font-bold ${belowLot ? 'text-red-400' : 'text-white'}`}>
+              ≈ {Number(quantity.toPrecision(6))} {selectedMarket}{belowLot ? ` (min ${market.lotSize})` : ''}
+            </span>
           </div>
+          {quote && (
+            <div className="flex justify-between items-center text-sm mb-3">
+              <span className="text-gray-400">Est. Slippage</span>
+              {quote.error ? (
+                <span className="text-red-400 font-bold text-xs">{quote.error}</span>
+              ) : (
+                <span className={`font-bold ${exceedsSlippage ? 'text-red-400' : 'text-white'}`}>
+                  {(quote.slippage * 100).toFixed(3)}%{exceedsSlippage ? ` (max ${maxSlippage}%)` : ''}
+                </span>
+              )}
+            </div>
+          )}
           <div className="flex justify-between items-center text-sm mb-3">
             <span className="text-gray-400">Leverage</span>
-            <span className="text-white font-bold">{leverage}x</span>
+            <span className={`font-bold ${exceedsLeverage ? 'text-red-400' : 'text-white'}`}>
+              {leverage}x{exceedsLeverage ? ` (max ${maxLeverage}x at this size)` : ''}
+            </span>
+          </div>
+          <div className="flex justify-between items-center text-sm mb-3">
+            <span className="text-gray-400">Est. Fee ({isMaker ? 'maker' : 'taker'})</span>
+            <span className="text-white font-bold">${estimatedFee.toFixed(4)}</span>
+          </div>
+          <div className="flex justify-between items-center text-sm mb-3">
+            <span className="text-gray-400">Maintenance Margin</span>
+            <span className={`font-bold ${marginBelowMaintenance ? 'text-red-400' : 'text-white'}`}>
+              ${maintenanceMargin.toFixed(2)}{marginBelowMaintenance ? ' (above margin)' : ''}
+            </span>
           </div>
           <div className="flex justify-between items-center text-sm pb-3 border-b border-gray-700/30">
             <span className="text-gray-400">Liquidation Price</span>
-            <span className="text-red-400 font-bold">${Number(liquidationPrice).toFixed(2)}</span>
+            <span className="text-red-400 font-bold">{formatPrice(liquidationPrice)}</span>
           </div>
           {advancedSettings.takeProfit && (
             <div className="flex justify-between items-center text-sm mt-3 pt-3 border-t border-gray-700/30">
               <span className="text-gray-400">Take Profit</span>
-              <span className="text-green-400 font-bold">${parseFloat(advancedSettings.takeProfit).toFixed(2)}</span>
+              <span className="text-green-400 font-bold">{formatPrice(parseFloat(advancedSettings.takeProfit))}</span>
             </div>
           )}
           {advancedSettings.stopLoss && (
             <div className="flex justify-between items-center text-sm mt-3">
               <span className="text-gray-400">Stop Loss</span>
-              <span className="text-red-400 font-bold">${parseFloat(advancedSettings.stopLoss).toFixed(2)}</span>
+              <span className="text-red-400 font-bold">{formatPrice(parseFloat(advancedSettings.stopLoss))}</span>
+            </div>
+          )}
+          {orderSettings.trailingStop && (
+            <div className="flex justify-between items-center text-sm mt-3">
+              <span className="text-gray-400">Trailing Stop</span>
+              <span className="text-red-400 font-bold">
+                {orderSettings.trailingStop.type === 'PERCENT'
+                  ? `${orderSettings.trailingStop.value}%`
+                  : formatMarketPrice(selectedMarket, orderSettings.trailingStop.value)}
+              </span>
             </div>
           )}
         </div>
@@ -704,23 +1526,59 @@ const ActionButtons = ({ openPosition, selectedMarket, prices, direction, positi
         onClick={openPosition}
         className="w-full py-5 rounded-3xl bg-gradient-to-r from-blue-500 via-purple-600 to-pink-600 text-white font-bold text-lg shadow-2xl shadow-purple-600/50 hover:shadow-3xl hover:shadow-purple-600/70 transition-all duration-300 ease-smooth transform hover:scale-105 active:scale-95 hover:-translate-y-1 relative overflow-hidden group"
       >
-        <span className="relative z-10">Open Trade</span>
+        <span className="relative z-10">{buttonLabels[orderSettings.type]}</span>
         <div className="absolute inset-0 bg-gradient-to-r from-transparent via-white/20 to-transparent -translate-x-full group-hover:translate-x-full transition-transform duration-500"></div>
       </button>
     </div>
   );
 };
 
-const PositionCard = ({ position, closePosition }) => {
-  const pnlColor = position.unrealizedPnL >= 0 ? 'text-green-500' : 'text-red-500';
+const PositionCard = ({ position, displayPnL, pnlPriceSource, closePosition, setTrailingStop, setPositionMarginMode }) => {
+  const pnlColor = displayPnL >= 0 ? 'text-green-500' : 'text-red-500';
+  const [isEditingTrail, setIsEditingTrail] = useState(false);
+  const [trailDraft, setTrailDraft] = useState({ type: position.trailingStop?.type || 'PERCENT', value: '' });
+
+  const [customCloseAmount, setCustomCloseAmount] = useState('');
+
+  const saveTrailingStop = () => {
+    const value = parseFloat(trailDraft.value);
+    setTrailingStop(position.id, value > 0 ? { type: trailDraft.type, value } : null);
+    setIsEditingTrail(false);
+  };
+
+  const closeCustomAmount = () => {
+    const notional = parseFloat(customCloseAmount);
+    if (notional > 0) {
+      closePosition(position.id, { notional });
+      setCustomCloseAmount('');
+    }
+  };
+
+  const realizedSoFar = (position.partialCloses || []).reduce((sum, slice) => sum + slice.pnl - slice.fee, 0);
+  const isCross = position.marginMode === 'CROSS';
+  const netFunding = (position.fundingReceived ?? 0) - (position.fundingPaid ?? 0);
+  // Maintenance margin / margin left; isolated positions are liquidated at 100%
+  const remainingMargin = position.initialMargin + position.unrealizedPnL;
+  const marginRatio = remainingMargin > 0 ? Math.min((position.maintenanceMargin ?? 0) / remainingMargin, 1) : 1;
 
   return (
     <div className="bg-gradient-to-br from-gray-900/80 to-gray-800/40 rounded-3xl p-5 border border-gray-700/50 mb-3 backdrop-blur-sm shadow-lg hover:shadow-2xl transition-all duration-300 hover:border-gray-600/50 transform hover:scale-102">
       <div className="flex justify-between items-start mb-4">
         <div>
-          <div className="text-xs text-gray-400 uppercase tracking-wider">{position.market}-USDT</div>
+          <div className="text-xs text-gray-400 uppercase tracking-wider">
+            {position.market}-USDT
+            <button
+              onClick={() => setPositionMarginMode(position.id, isCross ? 'ISOLATED' : 'CROSS')}
+              className={`ml-2 px-2 py-0.5 rounded-full text-xs font-semibold transition-colors ${
+                isCross ? 'bg-yellow-500/20 text-yellow-400 hover:bg-yellow-500/30' : 'bg-gray-700/60 text-gray-300 hover:bg-gray-600/60'
+              }`}
+              title={`Switch to ${isCross ? 'isolated' : 'cross'} margin`}
+            >
+              {isCross ? 'Cross' : 'Isolated'}
+            </button>
+          </div>
           <div className={`text-xl font-bold mt-1 ${position.direction === 'LONG' ? 'text-green-500' : 'text-red-500'}`}>
-            {position.direction} ${position.size}
+            {position.direction} ${Number(position.size.toFixed(2))}
           </div>
         </div>
         <button
@@ -731,16 +1589,42 @@ const PositionCard = ({ position, closePosition }) => {
         </button>
       </div>
 
+      {/* Partial Close */}
+      <div className="flex gap-2 mb-4">
+        {[0.25, 0.5, 0.75].map(fraction => (
+          <button
+            key={fraction}
+            onClick={() => closePosition(position.id, { fraction })}
+            className="flex-1 py-2 bg-gray-800/60 hover:bg-gray-700 rounded-2xl text-xs font-semibold text-gray-300 transition-all duration-300"
+          >
+            {fraction * 100}%
+          </button>
+        ))}
+        <input
+          type="number"
+          value={customCloseAmount}
+          onChange={(e) => setCustomCloseAmount(e.target.value)}
+          placeholder="$ amt"
+          className="w-20 py-2 px-2 rounded-2xl bg-gray-800 text-white text-xs placeholder-gray-500 border border-gray-700 focus:border-blue-500 focus:outline-none"
+        />
+        <button
+          onClick={closeCustomAmount}
+          className="px-3 py-2 bg-gray-800/60 hover:bg-gray-700 rounded-2xl text-xs font-semibold text-gray-300 transition-all duration-300"
+        >
+          Close $
+        </button>
+      </div>
+
       <div className="grid grid-cols-3 gap-3 mb-4">
         <div className="bg-gray-800/40 rounded-2xl p-3">
           <div className="text-xs text-gray-400 mb-1">Entry</div>
           <div className="text-sm font-bold text-white">
-            ${Number(position.entryPrice).toFixed(2)}
+            {formatMarketPrice(position.market, position.entryPrice)}
           </div>
         </div>
         <div className="bg-gray-800/40 rounded-2xl p-3">
           <div className="text-xs text-gray-400 mb-1">Leverage</div>
-          <div className="text-sm font-bold text-white">{position.leverage}x</div>
+          <div className="text-sm font-bold text-white">{Number(position.leverage.toFixed(2))}x</div>
         </div>
         <div className="bg-gray-800/40 rounded-2xl p-3">
           <div className="text-xs text-gray-400 mb-1">Time</div>
@@ -748,42 +1632,123 @@ const PositionCard = ({ position, closePosition }) => {
         </div>
       </div>
 
-      {(position.takeProfit || position.stopLoss) && (
+      {(position.takeProfit || position.stopLoss || position.trailingStop || position.takeProfitLevels?.length > 0) && (
         <div className="bg-gradient-to-br from-gray-800/50 to-gray-700/30 rounded-2xl p-3 mb-4 text-xs space-y-2 border border-gray-700/30">
           {position.takeProfit && (
             <div className="flex justify-between items-center">
               <span className="text-gray-400">Take Profit</span>
-              <span className="text-green-400 font-bold">${position.takeProfit.toFixed(2)}</span>
+              <span className="text-green-400 font-bold">{formatMarketPrice(position.market, position.takeProfit)}</span>
             </div>
           )}
+          {(position.takeProfitLevels || []).map((level, index) => (
+            <div key={index} className={`flex justify-between items-center ${level.hit ? 'opacity-50 line-through' : ''}`}>
+              <span className="text-gray-400">TP{index + 1} ({level.percent ? `${level.percent}%` : 'rest'})</span>
+              <span className="text-green-400 font-bold">{formatMarketPrice(position.market, level.price)}</span>
+            </div>
+          ))}
           {position.stopLoss && (
             <div className="flex justify-between items-center">
               <span className="text-gray-400">Stop Loss</span>
-              <span className="text-red-400 font-bold">${position.stopLoss.toFixed(2)}</span>
+              <span className="text-red-400 font-bold">{formatMarketPrice(position.market, position.stopLoss)}</span>
+            </div>
+          )}
+          {position.trailingStop && (
+            <div className="flex justify-between items-center">
+              <span className="text-gray-400">
+                Trailing Stop ({position.trailingStop.type === 'PERCENT'
+                  ? `${position.trailingStop.value}%`
+                  : formatMarketPrice(position.market, position.trailingStop.value)})
+              </span>
+              <span className="text-red-400 font-bold">{formatMarketPrice(position.market, position.trailingStop.level)}</span>
             </div>
           )}
         </div>
       )}
 
+      {isEditingTrail && (
+        <div className="flex gap-2 mb-4">
+          <input
+            type="number"
+            value={trailDraft.value}
+            onChange={(e) => setTrailDraft(prev => ({ ...prev, value: e.target.value }))}
+            placeholder="Trail distance (empty removes)"
+            className="flex-1 py-2 px-3 rounded-2xl bg-gray-800 text-white placeholder-gray-500 border border-gray-700 focus:border-red-500 focus:ring-2 focus:ring-red-500/30 focus:outline-none text-sm"
+          />
+          <TrailingTypeToggle
+            value={trailDraft.type}
+            onChange={(type) => setTrailDraft(prev => ({ ...prev, type }))}
+          />
+          <button
+            onClick={saveTrailingStop}
+            className="px-4 py-2 bg-blue-500 hover:bg-blue-400 rounded-2xl text-sm font-bold transition-all duration-300"
+          >
+            Set
+          </button>
+        </div>
+      )}
+
       <div className="border-t border-gray-700/30 pt-4">
         <div className="flex justify-between items-center mb-2">
-          <div className="text-sm text-gray-400">PnL</div>
+          <div className="text-sm text-gray-400">PnL ({pnlPriceSource.toLowerCase()})</div>
           <div className={`text-2xl font-bold ${pnlColor}`}>
-            {position.unrealizedPnL >= 0 ? '+' : ''}${position.unrealizedPnL.toFixed(2)}
+            {displayPnL >= 0 ? '+' : ''}${displayPnL.toFixed(2)}
           </div>
         </div>
-        <div className="text-xs text-gray-500">
-          Liq: <span className="text-red-400 font-bold">${Number(position.liquidationPrice).toFixed(2)}</span>
+        {(position.fundingPaid > 0 || position.fundingReceived > 0) && (
+          <div
+            className="flex justify-between items-center text-xs text-gray-500 mb-2"
+            title={`Paid: $${position.fundingPaid.toFixed(4)}, Received: $${position.fundingReceived.toFixed(4)}`}
+          >
+            <span>Funding (paid ${position.fundingPaid.toFixed(2)} / received ${position.fundingReceived.toFixed(2)})</span>
+            <span className={netFunding >= 0 ? 'text-green-400 font-bold' : 'text-red-400 font-bold'}>
+              {netFunding >= 0 ? '+' : '-'}${Math.abs(netFunding).toFixed(4)}
+            </span>
+          </div>
+        )}
+        {position.openFee > 0 && (
+          <div className="flex justify-between items-center text-xs text-gray-500 mb-2">
+            <span>Open Fee</span>
+            <span className="text-red-400 font-bold">-${position.openFee.toFixed(4)}</span>
+          </div>
+        )}
+        {position.partialCloses?.length > 0 && (
+          <div className="flex justify-between items-center text-xs text-gray-500 mb-2">
+            <span>Realized ({position.partialCloses.length} partial)</span>
+            <span className={realizedSoFar >= 0 ? 'text-green-400 font-bold' : 'text-red-400 font-bold'}>
+              {realizedSoFar >= 0 ? '+' : ''}${realizedSoFar.toFixed(2)}
+            </span>
+          </div>
+        )}
+        <div className="flex justify-between items-center text-xs text-gray-500">
+          <span>
+            Liq{isCross ? ' (est.)' : ''}: <span className="text-red-400 font-bold">{formatMarketPrice(position.market, position.liquidationPrice)}</span>
+            {!isCross && (
+              <span className="ml-2" title={`Maintenance margin: $${(position.maintenanceMargin ?? 0).toFixed(2)}`}>
+                MR: <span className={marginRatio >= 0.8 ? 'text-red-400 font-bold' : 'text-gray-300 font-bold'}>{(marginRatio * 100).toFixed(1)}%</span>
+              </span>
+            )}
+          </span>
+          <button
+            onClick={() => setIsEditingTrail(!isEditingTrail)}
+            className="text-gray-400 hover:text-gray-300 transition-colors"
+          >
+            {isEditingTrail ? 'Cancel' : position.trailingStop ? 'Edit Trail' : '+ Trailing Stop'}
+          </button>
         </div>
       </div>
     </div>
   );
 };
 
-const PositionsList = ({ positions, closePosition, closeAllPositions }) => {
+const PositionsList = ({ positions, marketPrices, pnlPriceSource, setPnlPriceSource, closePosition, closeAllPositions, setTrailingStop, setPositionMarginMode }) => {
   if (positions.length === 0) return null;
 
-  const totalPnL = positions.reduce((sum, pos) => sum + pos.unrealizedPnL, 0);
+  // Margin and liquidation always use mark; the displayed PnL can use any price
+  const displayPrices = selectPrices(marketPrices, pnlPriceSource);
+  const displayPnL = (position) => (
+    displayPrices[position.market] ? engine.calculatePnL(position, displayPrices[position.market]) : position.unrealizedPnL
+  );
+  const totalPnL = positions.reduce((sum, pos) => sum + displayPnL(pos), 0);
   const pnlColor = totalPnL >= 0 ? 'text-green-500' : 'text-red-500';
 
   return (
@@ -796,6 +1761,19 @@ const PositionsList = ({ positions, closePosition, closeAllPositions }) => {
           <div className={`text-lg font-bold ${pnlColor}`}>
             Total: {totalPnL >= 0 ? '+' : ''}${totalPnL.toFixed(2)}
           </div>
+          <div className="flex gap-1 mt-1" title="Price used for the PnL shown. Liquidations and stops always use mark.">
+            {PRICE_SOURCES.map(source => (
+              <button
+                key={source}
+                onClick={() => setPnlPriceSource(source)}
+                className={`px-2 py-0.5 rounded-full text-xs font-semibold transition-colors ${
+                  pnlPriceSource === source ? 'bg-blue-500 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+                }`}
+              >
+                {source.charAt(0) + source.slice(1).toLowerCase()}
+              </button>
+            ))}
+          </div>
         </div>
         <button
           onClick={closeAllPositions}
@@ -810,7 +1788,11 @@ const PositionsList = ({ positions, closePosition, closeAllPositions }) => {
           <PositionCard 
             key={position.id} 
             position={position} 
+            displayPnL={displayPnL(position)}
+            pnlPriceSource={pnlPriceSource}
             closePosition={closePosition}
+            setTrailingStop={setTrailingStop}
+            setPositionMarginMode={setPositionMarginMode}
           />
         ))}
       </div>
@@ -818,16 +1800,493 @@ const PositionsList = ({ positions, closePosition, closeAllPositions }) => {
   );
 };
 
-const App = () => {
-  const state = useAppState();
+const OrderCard = ({ order, currentPrice, cancelOrder, amendOrder }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftStop, setDraftStop] = useState(order.stopPrice ? String(order.stopPrice) : '');
+  const [draftLimit, setDraftLimit] = useState(order.limitPrice ? String(order.limitPrice) : '');
+
+  // An untriggered stop can still move its trigger; everything else only its limit
+  const canEditStop = (order.type === 'STOP' || order.type === 'STOP_LIMIT') && !order.triggered;
+  const canEditLimit = order.type === 'LIMIT' || order.type === 'STOP_LIMIT';
+
+  const saveAmend = () => {
+    const changes = {};
+    if (canEditStop) changes.stopPrice = parseFloat(draftStop);
+    if (canEditLimit) changes.limitPrice = parseFloat(draftLimit);
+    amendOrder(order.id, changes);
+    setIsEditing(false);
+  };
+
+  // Distance to the next price that matters: the trigger until it fires, then the limit
+  const workingPrice = canEditStop ? order.stopPrice : order.limitPrice;
+  const distance = currentPrice ? ((workingPrice - currentPrice) / currentPrice) * 100 : null;
+  const status = canEditStop ? 'Awaiting trigger' : 'Resting';
+
+  return (
+    <div className="bg-gradient-to-br from-gray-900/80 to-gray-800/40 rounded-3xl p-5 border border-gray-700/50 mb-3 backdrop-blur-sm shadow-lg transition-all duration-300 hover:border-gray-600/50">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <div className="text-xs text-gray-400 uppercase tracking-wider">{order.market}-USDT · {order.type.replace('_', ' ')}</div>
+          <div className={`text-xl font-bold mt-1 ${order.direction === 'LONG' ? 'text-green-500' : 'text-red-500'}`}>
+            {order.direction} ${Number(order.size.toFixed(2))}
+          </div>
+          <div className="text-xs text-gray-500 mt-1">{status}</div>
+        </div>
+        <div className="flex gap-2">
+          <button
+            onClick={() => setIsEditing(!isEditing)}
+            className="px-3 py-2 bg-gradient-to-br from-gray-700 to-gray-800 hover:from-gray-600 hover:to-gray-700 rounded-2xl text-sm font-semibold transition-all duration-300 transform hover:scale-105 active:scale-95 shadow-md"
+          >
+            {isEditing ? 'Back' : 'Edit'}
+          </button>
+          <button
+            onClick={() => cancelOrder(order.id)}
+            className="px-3 py-2 bg-gradient-to-br from-gray-700 to-gray-800 hover:from-red-600 hover:to-red-700 rounded-2xl text-sm font-semibold transition-all duration-300 transform hover:scale-105 active:scale-95 shadow-md"
+          >
+            Cancel
+          </button>
+        </div>
+      </div>
+
+      {isEditing ? (
+        <div className="space-y-2 mb-2">
+          {canEditStop && (
+            <input
+              type="number"
+              value={draftStop}
+              onChange={(e) => setDraftStop(e.target.value)}
+              placeholder="Stop trigger"
+              className="w-full py-2 px-3 rounded-2xl bg-gray-800 text-white border border-gray-700 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/30 focus:outline-none text-sm"
+            />
+          )}
+          {canEditLimit && (
+            <input
+              type="number"
+              value={draftLimit}
+              onChange={(e) => setDraftLimit(e.target.value)}
+              placeholder="Limit price"
+              className="w-full py-2 px-3 rounded-2xl bg-gray-800 text-white border border-gray-700 focus:border-blue-500 focus:ring-2 focus:ring-blue-500/30 focus:outline-none text-sm"
+            />
+          )}
+          <button
+            onClick={saveAmend}
+            className="w-full py-2 bg-blue-500 hover:bg-blue-400 rounded-2xl text-sm font-bold transition-all duration-300"
+          >
+            Amend
+          </button>
+        </div>
+      ) : (
+        <div className="grid grid-cols-3 gap-3">
+          <div className="bg-gray-800/40 rounded-2xl p-3">
+            <div className="text-xs text-gray-400 mb-1">{canEditStop ? 'Trigger' : 'Limit'}</div>
+            <div className="text-sm font-bold text-white">{formatMarketPrice(order.market, workingPrice)}</div>
+          </div>
+          <div className="bg-gray-800/40 rounded-2xl p-3">
+            <div className="text-xs text-gray-400 mb-1">Reserved</div>
+            <div className="text-sm font-bold text-white">${order.reservedMargin.toFixed(2)}</div>
+          </div>
+          <div className="bg-gray-800/40 rounded-2xl p-3">
+            <div className="text-xs text-gray-400 mb-1">Distance</div>
+            <div className="text-sm font-bold text-white">
+              {distance !== null ? `${distance >= 0 ? '+' : ''}${distance.toFixed(2)}%` : '...'}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {order.events?.length > 0 && (
+        <div className="border-t border-gray-700/30 pt-3 mt-4 space-y-1">
+          {order.events.map((event, index) => (
+            <div key={index} className="flex justify-between text-xs text-gray-500">
+              <span>{event.type}</span>
+              <span>
+                {event.price ? `${formatMarketPrice(order.market, event.price)} · ` : ''}
+                {new Date(event.time).toLocaleTimeString()}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const PortfolioTabs = ({ portfolioTab, setPortfolioTab, positionCount, tradeCount }) => (
+  <div className="flex gap-2 mb-4">
+    {[
+      { value: 'POSITIONS', label: `Positions (${positionCount})` },
+      { value: 'HISTORY', label: `History (${tradeCount})` },
+      { value: 'ANALYTICS', label: 'Analytics' },
+      { value: 'EXPORT', label: 'Export' }
+    ].map(tab => (
+      <button
+        key={tab.value}
+        onClick={() => setPortfolioTab(tab.value)}
+        className={`px-4 py-2 rounded-2xl text-sm font-semibold transition-all duration-300 ${
+          portfolioTab === tab.value ? 'bg-blue-500 text-white shadow-lg shadow-blue-500/30' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+        }`}
+      >
+        {tab.label}
+      </button>
+    ))}
+  </div>
+);
+
+const EXIT_REASON_LABELS = {
+  MANUAL: 'Manual',
+  REDUCE: 'Reduced',
+  TAKE_PROFIT: 'Take Profit',
+  STOP_LOSS: 'Stop Loss',
+  TRAILING_STOP: 'Trailing Stop',
+  LIQUIDATION: 'Liquidated'
+};
+
+const HISTORY_FILTERS = [
+  { key: 'market', options: ['ALL', ...MARKET_SYMBOLS] },
+  { key: 'direction', options: ['ALL', 'LONG', 'SHORT'] },
+  { key: 'outcome', options: ['ALL', ...tradeHistory.TRADE_OUTCOMES] }
+];
+
+const TradeHistoryRow = ({ record }) => {
+  const outcome = tradeHistory.getTradeOutcome(record);
+  const pnlColor = record.netPnL >= 0 ? 'text-green-400' : 'text-red-400';
+
+  return (
+    <div className="bg-gray-800/40 rounded-2xl p-3 text-xs">
+      <div className="flex justify-between items-center mb-1">
+        <span>
+          <span className={`font-bold ${record.direction === 'LONG' ? 'text-green-500' : 'text-red-500'}`}>
+            {record.direction} {record.market}
+          </span>
+          <span className="text-gray-400 ml-2">${record.size.toFixed(2)}{record.partial ? ' (partial)' : ''}</span>
+        </span>
+        <span className={`font-bold text-sm ${pnlColor}`}>
+          {record.netPnL >= 0 ? '+' : ''}${record.netPnL.toFixed(2)}
+        </span>
+      </div>
+      <div className="flex justify-between items-center text-gray-400 mb-1">
+        <span>{formatMarketPrice(record.market, record.entryPrice)} → {formatMarketPrice(record.market, record.exitPrice)}</span>
+        <span className={outcome === 'LIQUIDATED' ? 'text-red-400 font-semibold' : ''}>
+          {EXIT_REASON_LABELS[record.exitReason] ?? record.exitReason}
+        </span>
+      </div>
+      <div
+        className="flex justify-between items-center text-gray-500"
+        title={`Open fee: $${record.openFee.toFixed(4)}, Close fee: $${record.closeFee.toFixed(4)}`}
+      >
+        <span>
+          PnL {record.realizedPnL >= 0 ? '+' : ''}${record.realizedPnL.toFixed(2)}
+          {' · '}Fees -${record.fees.toFixed(2)}
+          {' · '}Funding {record.netFunding >= 0 ? '+' : '-'}${Math.abs(record.netFunding).toFixed(2)}
+        </span>
+        <span>{tradeHistory.formatDuration(record.holdDuration)} · {new Date(record.closeTime).toLocaleTimeString()}</span>
+      </div>
+    </div>
+  );
+};
+
+const TradeHistory = ({ history }) => {
+  const [filters, setFilters] = useState({ market: 'ALL', direction: 'ALL', outcome: 'ALL' });
+
+  const records = tradeHistory.filterTradeHistory(history, filters);
+  const totalNetPnL = records.reduce((sum, record) => sum + record.netPnL, 0);
+
+  return (
+    <div className="mb-8">
+      <div className="space-y-2 mb-4">
+        {HISTORY_FILTERS.map(({ key, options }) => (
+          <div key={key} className="flex gap-1 flex-wrap">
+            {options.map(option => (
+              <button
+                key={option}
+                onClick={() => setFilters(prev => ({ ...prev, [key]: option }))}
+                className={`px-2 py-0.5 rounded-full text-xs font-semibold transition-colors ${
+                  filters[key] === option ? 'bg-blue-500 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+                }`}
+              >
+                {option === 'ALL' ? 'All' : option.charAt(0) + option.slice(1).toLowerCase()}
+              </button>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      {records.length === 0 ? (
+        <div className="text-xs text-gray-500">{history.length === 0 ? 'No closed positions yet' : 'No trades match the filters'}</div>
+      ) : (
+        <>
+          <div className="flex justify-between items-center text-sm mb-3">
+            <span className="text-gray-400">{records.length} trade{records.length === 1 ? '' : 's'}</span>
+            <span className={`font-bold ${totalNetPnL >= 0 ? 'text-green-500' : 'text-red-500'}`}>
+              Net: {totalNetPnL >= 0 ? '+' : ''}${totalNetPnL.toFixed(2)}
+            </span>
+          </div>
+          <div className="space-y-2">
+            {records.map(record => (
+              <TradeHistoryRow key={record.id} record={record} />
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// null: not enough trades; Infinity: no losses to divide by
+const formatRatio = (value, digits = 2) => {
+  if (value === null || value === undefined) return '—';
+  return value === Infinity ? '∞' : value.toFixed(digits);
+};
+
+const formatSignedUsd = (value) => (
+  value === null || value === undefined ? '—' : `${value >= 0 ? '+' : '-'}$${Math.abs(value).toFixed(2)}`
+);
+
+const BREAKDOWN_LABELS = { market: 'Market', direction: 'Direction', riskMode: 'Risk Mode' };
+
+const StatTile = ({ label, value, color = 'text-white', title }) => (
+  <div className="bg-gray-800/40 rounded-2xl p-3" title={title}>
+    <div className="text-xs text-gray-400 mb-1">{label}</div>
+    <div className={`text-sm font-bold ${color}`}>{value}</div>
+  </div>
+);
+
+const AnalyticsDashboard = ({ history, startingBalance }) => {
+  const [breakdownKey, setBreakdownKey] = useState('market');
+
+  const stats = useMemo(() => analytics.calculateTradeStats(history, { startingBalance }), [history, startingBalance]);
+  const breakdown = useMemo(
+    () => analytics.breakdownTradeStats(history, breakdownKey, { startingBalance }),
+    [history, breakdownKey, startingBalance]
+  );
+
+  if (stats.trades === 0) {
+    return <div className="mb-8 text-xs text-gray-500">Close a few trades to see your stats</div>;
+  }
+
+  const pnlColor = (value) => (value >= 0 ? 'text-green-400' : 'text-red-400');
+
+  return (
+    <div className="mb-8">
+      <div className="flex justify-between items-center mb-4">
+        <div className="text-sm text-gray-400">{stats.trades} closed trade{stats.trades === 1 ? '' : 's'}</div>
+        <div className={`text-lg font-bold ${pnlColor(stats.netPnL)}`}>Net: {formatSignedUsd(stats.netPnL)}</div>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2 mb-4">
+        <StatTile label="Win Rate" value={`${(stats.winRate * 100).toFixed(1)}%`} title={`${stats.wins} wins / ${stats.losses} losses`} />
+        <StatTile label="Avg Win" value={formatSignedUsd(stats.averageWin)} color="text-green-400" />
+        <StatTile label="Avg Loss" value={formatSignedUsd(stats.averageLoss)} color="text-red-400" />
+        <StatTile label="Profit Factor" value={formatRatio(stats.profitFactor)} title="Gross profit / gross loss" />
+        <StatTile label="Expectancy" value={formatSignedUsd(stats.expectancy)} color={pnlColor(stats.expectancy)} title="Average net PnL per trade" />
+        <StatTile
+          label="Max Drawdown"
+          value={`-$${stats.maxDrawdown.toFixed(2)}`}
+          color="text-red-400"
+          title={`${(stats.maxDrawdownPercent * 100).toFixed(2)}% of the peak realized equity`}
+        />
+        <StatTile label="Sharpe" value={formatRatio(stats.sharpe)} title="Mean / std dev of per-trade returns (not annualized)" />
+        <StatTile label="Sortino" value={formatRatio(stats.sortino)} title="Mean / downside deviation of per-trade returns (not annualized)" />
+        <StatTile
+          label="Streaks"
+          value={`${stats.longestWinStreak}W / ${stats.longestLossStreak}L`}
+          title={`Longest winning / losing streak. Current: ${Math.abs(stats.currentStreak)} ${stats.currentStreak >= 0 ? 'wins' : 'losses'}`}
+        />
+      </div>
+
+      <div className="flex gap-1 mb-2">
+        {analytics.BREAKDOWN_KEYS.map(key => (
+          <button
+            key={key}
+            onClick={() => setBreakdownKey(key)}
+            className={`px-2 py-0.5 rounded-full text-xs font-semibold transition-colors ${
+              breakdownKey === key ? 'bg-blue-500 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+            }`}
+          >
+            {BREAKDOWN_LABELS[key]}
+          </button>
+        ))}
+      </div>
+      <div className="bg-gray-800/40 rounded-2xl p-3 text-xs">
+        <div className="grid grid-cols-5 gap-2 text-gray-500 pb-1 mb-1 border-b border-gray-700/30">
+          <span>{BREAKDOWN_LABELS[breakdownKey]}</span>
+          <span className="text-right">Trades</span>
+          <span className="text-right">Win %</span>
+          <span className="text-right">PF</span>
+          <span className="text-right">Net</span>
+        </div>
+        {breakdown.map(group => (
+          <div key={group.value} className="grid grid-cols-5 gap-2 py-0.5 text-gray-300">
+            <span className="font-semibold">{group.value}</span>
+            <span className="text-right">{group.trades}</span>
+            <span className="text-right">{(group.winRate * 100).toFixed(0)}%</span>
+            <span className="text-right">{formatRatio(group.profitFactor)}</span>
+            <span className={`text-right font-bold ${pnlColor(group.netPnL)}`}>{formatSignedUsd(group.netPnL)}</span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const EXPORT_DATASET_LABELS = {
+  trades: 'Trades',
+  funding: 'Funding',
+  fees: 'Fees',
+  liquidations: 'Liquidations',
+  balance: 'Balance'
+};
+
+// Date inputs are local days; the range covers both of them in full
+const dayStart = (day) => (day ? new Date(`${day}T00:00:00`).getTime() : null);
+const dayEnd = (day) => (day ? new Date(`${day}T23:59:59.999`).getTime() : null);
+
+const ExportPanel = ({ ledgers, startingBalance }) => {
+  const [settings, setSettings] = useState({ dataset: 'trades', format: 'CSV', from: '', to: '', market: 'ALL' });
+  const update = (key, value) => setSettings(prev => ({ ...prev, [key]: value }));
+
+  const filters = { from: dayStart(settings.from), to: dayEnd(settings.to), market: settings.market };
+  const rows = ledgerExport.getExportRows(ledgers, settings.dataset, { ...filters, startingBalance });
+
+  const download = () => {
+    const now = Date.now();
+    const content = settings.format === 'CSV'
+      ? ledgerExport.toCSV(settings.dataset, rows)
+      : ledgerExport.toJSON(settings.dataset, rows, { filters, exportedAt: now });
+    downloadFile(
+      ledgerExport.getExportFilename(settings.dataset, settings.format, now),
+      content,
+      settings.format === 'CSV' ? 'text/csv' : 'application/json'
+    );
+
+    console.log(`📤 Exported ${rows.length} ${settings.dataset} rows as ${settings.format}`);
+  };
+
+  const pill = (active) => `px-2 py-0.5 rounded-full text-xs font-semibold transition-colors ${
+    active ? 'bg-blue-500 text-white' : 'bg-gray-800 text-gray-400 hover:bg-gray-700'
+  }`;
+
+  return (
+    <div className="mb-8 space-y-3">
+      <div className="flex gap-1 flex-wrap">
+        {ledgerExport.EXPORT_DATASETS.map(dataset => (
+          <button key={dataset} onClick={() => update('dataset', dataset)} className={pill(settings.dataset === dataset)}>
+            {EXPORT_DATASET_LABELS[dataset]}
+          </button>
+        ))}
+      </div>
+      <div className="flex gap-1 flex-wrap">
+        {HISTORY_FILTERS[0].options.map(market => (
+          <button key={market} onClick={() => update('market', market)} className={pill(settings.market === market)}>
+            {market === 'ALL' ? 'All' : market}
+          </button>
+        ))}
+      </div>
+      <div className="grid grid-cols-2 gap-2 text-xs">
+        {[{ key: 'from', label: 'From' }, { key: 'to', label: 'To' }].map(({ key, label }) => (
+          <label key={key} className="text-gray-400">
+            {label}
+            <input
+              type="date"
+              value={settings[key]}
+              onChange={(e) => update(key, e.target.value)}
+              className="mt-1 w-full bg-gray-800 rounded-xl px-2 py-1 text-white"
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex justify-between items-center">
+        <div className="flex gap-1">
+          {ledgerExport.EXPORT_FORMATS.map(format => (
+            <button key={format} onClick={() => update('format', format)} className={pill(settings.format === format)}>
+              {format}
+            </button>
+          ))}
+        </div>
+        <span className="text-xs text-gray-400">{rows.length} row{rows.length === 1 ? '' : 's'}</span>
+      </div>
+      <button
+        onClick={download}
+        disabled={rows.length === 0}
+        className="w-full py-2 rounded-2xl text-sm font-semibold bg-blue-500 text-white hover:bg-blue-600 transition-colors disabled:bg-gray-800 disabled:text-gray-500"
+      >
+        Download {EXPORT_DATASET_LABELS[settings.dataset]} ({settings.format})
+      </button>
+      <div className="text-xs text-gray-500">
+        Columns: {ledgerExport.EXPORT_COLUMNS[settings.dataset].map(c => c.name).join(', ')}
+      </div>
+    </div>
+  );
+};
+
+const OpenOrdersList = ({ orders, prices, cancelOrder, amendOrder }) => {
+  if (orders.length === 0) return null;
+
+  const totalReserved = orders.reduce((sum, order) => sum + order.reservedMargin, 0);
+
+  return (
+    <div className="mb-8">
+      <div className="mb-4">
+        <div className="text-sm text-gray-400">
+          Open Orders ({orders.length})
+        </div>
+        <div className="text-lg font-bold text-white">
+          Reserved: ${totalReserved.toFixed(2)}
+        </div>
+      </div>
+
+      <div className="space-y-4">
+        {orders.map(order => (
+          <OrderCard
+            key={order.id}
+            order={order}
+            currentPrice={prices[order.market]}
+            cancelOrder={cancelOrder}
+            amendOrder={amendOrder}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const TradingApp = ({ accounts }) => {
+  const state = useAppState(accounts.activeAccount);
+
+  // The chart only marks levels of a position on the market it shows
+  const chartPosition = state.positions.find(p => p.market === state.selectedMarket) ?? null;
 
   return (
     <AppContext.Provider value={state}>
       <div className="min-h-screen bg-gradient-to-br from-gray-950 via-gray-900 to-black text-white">
+        {state.restoreNotice && (
+          <RestoreNotice notice={state.restoreNotice} onDismiss={state.dismissRestoreNotice} />
+        )}
+        {state.pendingRestore && (
+          <RestorePreview restore={state.pendingRestore} onConfirm={state.confirmRestore} onCancel={state.cancelRestore} />
+        )}
+
         {/* Mobile / Portrait Layout */}
         <div className="lg:hidden max-w-md mx-auto p-6 py-8">
-          <Header balance={state.balance} positions={state.positions} onReset={state.resetState} />
-          <MarketSelector 
+          <Header
+            balance={state.balance}
+            positions={state.positions}
+            positionMode={state.positionMode}
+            setPositionMode={state.setPositionMode}
+            marginMode={state.marginMode}
+            setMarginMode={state.setMarginMode}
+            accountMargin={state.accountMargin}
+            feesPaid={state.feesPaid}
+            feeRates={state.feeRates}
+            selectedMarket={state.selectedMarket}
+            predictedRates={state.predictedRates}
+            timeToFunding={state.timeToFunding}
+            onReset={state.resetState}
+            onBackup={state.downloadBackup}
+            onRestoreFile={state.loadBackupFile}
+            accounts={accounts}
+          />
+          <MarketPicker
             selectedMarket={state.selectedMarket}
             setSelectedMarket={state.setSelectedMarket}
             prices={state.prices}
@@ -835,13 +2294,21 @@ const App = () => {
           <MarketPrice
             market={state.selectedMarket}
             price={state.prices[state.selectedMarket]}
+            snapshot={state.marketPrices[state.selectedMarket]}
+            sources={state.priceSources}
+            details={state.priceDetails}
+            connection={state.priceConnection}
           />
           <AlivePriceChart
             prices={state.priceHistory[state.selectedMarket]}
+            candles={state.candles[state.selectedMarket]}
+            market={state.selectedMarket}
+            historyStatus={state.candleBackfill[state.selectedMarket]?.status}
             direction={state.direction === 'LONG' ? 'UP' : 'DOWN'}
-            entryPrice={state.positions.length > 0 ? state.positions[0].entryPrice : null}
+            entryPrice={chartPosition?.entryPrice ?? null}
             currentPrice={state.prices[state.selectedMarket]}
-            pnl={state.positions.length > 0 ? state.positions[0].unrealizedPnL : 0}
+            pnl={chartPosition?.unrealizedPnL ?? 0}
+            trailingStopPrice={chartPosition?.trailingStop?.level ?? null}
           />
           <DirectionSelector
             direction={state.direction}
@@ -869,23 +2336,61 @@ const App = () => {
               direction={state.direction}
               positionSize={state.positionSize}
               riskMode={state.riskMode}
+              marginMode={state.marginMode}
             />
           )}
           <ActionButtons 
             openPosition={state.openPosition}
             selectedMarket={state.selectedMarket}
             prices={state.prices}
+            orderBook={state.orderBooks[state.selectedMarket]}
+            feeRates={state.feeRates}
             direction={state.direction}
             positionSize={state.positionSize}
             riskMode={state.riskMode}
             showAdvanced={state.showAdvanced}
             advancedSettings={state.advancedSettings}
           />
-          <PositionsList 
-            positions={state.positions}
-            closePosition={state.closePosition}
-            closeAllPositions={state.closeAllPositions}
+          <PortfolioTabs
+            portfolioTab={state.portfolioTab}
+            setPortfolioTab={state.setPortfolioTab}
+            positionCount={state.positions.length}
+            tradeCount={state.tradeHistory.length}
           />
+          {state.portfolioTab === 'HISTORY' && <TradeHistory history={state.tradeHistory} />}
+          {state.portfolioTab === 'ANALYTICS' && (
+            <AnalyticsDashboard history={state.tradeHistory} startingBalance={state.startingBalance} />
+          )}
+          {state.portfolioTab === 'EXPORT' && (
+            <ExportPanel
+              ledgers={{ tradeHistory: state.tradeHistory, fundingHistory: state.fundingHistory, feeHistory: state.feeHistory }}
+              startingBalance={state.startingBalance}
+            />
+          )}
+          {state.portfolioTab === 'POSITIONS' && (
+            <>
+              <PositionsList 
+                positions={state.positions}
+                marketPrices={state.marketPrices}
+                pnlPriceSource={state.pnlPriceSource}
+                setPnlPriceSource={state.setPnlPriceSource}
+                closePosition={state.closePosition}
+                closeAllPositions={state.closeAllPositions}
+                setTrailingStop={state.setTrailingStop}
+                setPositionMarginMode={state.setPositionMarginMode}
+              />
+              <OpenOrdersList
+                orders={state.orders}
+                prices={state.prices}
+                cancelOrder={state.cancelOrder}
+                amendOrder={state.amendOrder}
+              />
+            </>
+          )}
+          <div className="mb-8">
+            <div className="text-sm text-gray-400 mb-3">Equity Curve</div>
+            <EquityChart samples={state.equityHistory} events={state.equityEvents} />
+          </div>
         </div>
 
         {/* Desktop / Landscape Layout */}
@@ -893,28 +2398,33 @@ const App = () => {
           <div className="flex h-full gap-6 p-8">
             {/* Left Panel: Chart & Market Info (2/3 width) */}
             <div className="flex-1 flex flex-col gap-4 min-w-0 overflow-hidden">
-              <Header balance={state.balance} positions={state.positions} onReset={state.resetState} />
+              <Header
+                balance={state.balance}
+                positions={state.positions}
+                positionMode={state.positionMode}
+                setPositionMode={state.setPositionMode}
+                marginMode={state.marginMode}
+                setMarginMode={state.setMarginMode}
+                accountMargin={state.accountMargin}
+                feesPaid={state.feesPaid}
+                feeRates={state.feeRates}
+                selectedMarket={state.selectedMarket}
+                predictedRates={state.predictedRates}
+                timeToFunding={state.timeToFunding}
+                onReset={state.resetState}
+                onBackup={state.downloadBackup}
+                onRestoreFile={state.loadBackupFile}
+                accounts={accounts}
+              />
               
               {/* Market Selector */}
               <div className="bg-gray-800/50 rounded-2xl p-4 flex-shrink-0">
-                <div className="grid grid-cols-3 gap-2">
-                  {['BTC', 'ETH', 'SOL'].map(market => (
-                    <button
-                      key={market}
-                      onClick={() => state.setSelectedMarket(market)}
-                      className={`py-3 px-3 rounded-xl font-semibold transition-all text-sm ${
-                        state.selectedMarket === market
-                          ? 'bg-blue-500 text-white shadow-lg shadow-blue-500/50'
-                          : 'bg-gray-700 text-gray-400 hover:bg-gray-600'
-                      }`}
-                    >
-                      <div className="text-xs opacity-80">{market}</div>
-                      <div className="text-sm font-bold">
-                        {state.prices[market] ? `$${Number(state.prices[market]).toFixed(0)}` : '...'}
-                      </div>
-                    </button>
-                  ))}
-                </div>
+                <MarketPicker
+                  selectedMarket={state.selectedMarket}
+                  setSelectedMarket={state.setSelectedMarket}
+                  prices={state.prices}
+                  className=""
+                />
               </div>
 
               {/* Large Chart Area */}
@@ -922,17 +2432,33 @@ const App = () => {
                 <MarketPrice
                   market={state.selectedMarket}
                   price={state.prices[state.selectedMarket]}
+                  snapshot={state.marketPrices[state.selectedMarket]}
+                  sources={state.priceSources}
+                  details={state.priceDetails}
+                  connection={state.priceConnection}
                 />
                 <div className="flex-1 w-full">
                   <AlivePriceChart
                     prices={state.priceHistory[state.selectedMarket]}
+                    candles={state.candles[state.selectedMarket]}
+                    market={state.selectedMarket}
+                    historyStatus={state.candleBackfill[state.selectedMarket]?.status}
                     direction={state.direction === 'LONG' ? 'UP' : 'DOWN'}
-                    entryPrice={state.positions.length > 0 ? state.positions[0].entryPrice : null}
+                    entryPrice={chartPosition?.entryPrice ?? null}
                     currentPrice={state.prices[state.selectedMarket]}
-                    pnl={state.positions.length > 0 ? state.positions[0].unrealizedPnL : 0}
+                    pnl={chartPosition?.unrealizedPnL ?? 0}
+                    trailingStopPrice={chartPosition?.trailingStop?.level ?? null}
                   />
                 </div>
               </div>
+
+              {/* Equity Curve */}
+              <div className="bg-gray-800/30 rounded-2xl p-4 flex-shrink-0">
+                <div className="text-xs text-gray-400 mb-2 uppercase font-semibold">Equity Curve</div>
+                <div className="max-h-48 overflow-hidden">
+                  <EquityChart samples={state.equityHistory} events={state.equityEvents} />
+                </div>
+              </div>
             </div>
 
             {/* Right Panel: Trading Controls (1/3 width) */}
@@ -984,6 +2510,7 @@ const App = () => {
                     direction={state.direction}
                     positionSize={state.positionSize}
                     riskMode={state.riskMode}
+                    marginMode={state.marginMode}
                   />
                 </div>
               )}
@@ -994,6 +2521,8 @@ const App = () => {
                   openPosition={state.openPosition}
                   selectedMarket={state.selectedMarket}
                   prices={state.prices}
+                  orderBook={state.orderBooks[state.selectedMarket]}
+                  feeRates={state.feeRates}
                   direction={state.direction}
                   positionSize={state.positionSize}
                   riskMode={state.riskMode}
@@ -1002,6 +2531,15 @@ const App = () => {
                 />
               </div>
 
+              {/* Order Book */}
+              <div className="bg-gray-800/50 rounded-2xl p-4 flex-shrink-0">
+                <div className="text-xs text-gray-400 mb-3 uppercase font-semibold">{state.selectedMarket} Order Book</div>
+                <OrderBook
+                  book={state.orderBooks[state.selectedMarket]}
+                  onSelectPrice={state.selectBookPrice}
+                />
+              </div>
+
               {/* Positions Summary */}
               <div className="bg-gray-800/50 rounded-2xl p-3 text-xs flex-shrink-0">
                 <div className="text-gray-400 mb-2">Active Positions: {state.positions.length}</div>
@@ -1019,13 +2557,49 @@ const App = () => {
                 )}
               </div>
 
-              {/* Positions List */}
+              {/* Positions List / Trade History */}
+              <div className="bg-gray-800/50 rounded-2xl p-4 flex-shrink-0 max-h-96 overflow-y-auto">
+                <PortfolioTabs
+                  portfolioTab={state.portfolioTab}
+                  setPortfolioTab={state.setPortfolioTab}
+                  positionCount={state.positions.length}
+                  tradeCount={state.tradeHistory.length}
+                />
+                {state.portfolioTab === 'HISTORY' && <TradeHistory history={state.tradeHistory} />}
+                {state.portfolioTab === 'ANALYTICS' && (
+                  <AnalyticsDashboard history={state.tradeHistory} startingBalance={state.startingBalance} />
+                )}
+                {state.portfolioTab === 'EXPORT' && (
+                  <ExportPanel
+                    ledgers={{ tradeHistory: state.tradeHistory, fundingHistory: state.fundingHistory, feeHistory: state.feeHistory }}
+                    startingBalance={state.startingBalance}
+                  />
+                )}
+                {state.portfolioTab === 'POSITIONS' && (
+                  <PositionsList 
+                    positions={state.positions}
+                    marketPrices={state.marketPrices}
+                    pnlPriceSource={state.pnlPriceSource}
+                    setPnlPriceSource={state.setPnlPriceSource}
+                    closePosition={state.closePosition}
+                    closeAllPositions={state.closeAllPositions}
+                    setTrailingStop={state.setTrailingStop}
+                    setPositionMarginMode={state.setPositionMarginMode}
+                  />
+                )}
+              </div>
+
+              {/* Open Orders */}
               <div className="bg-gray-800/50 rounded-2xl p-4 flex-shrink-0 max-h-64 overflow-y-auto">
-                <h3 className="text-sm font-semibold mb-4 text-gray-300">Open Positions</h3>
-                <PositionsList 
-                  positions={state.positions}
-                  closePosition={state.closePosition}
-                  closeAllPositions={state.closeAllPositions}
+                <h3 className="text-sm font-semibold mb-4 text-gray-300">Open Orders</h3>
+                {state.orders.length === 0 && (
+                  <div className="text-xs text-gray-500">No resting orders</div>
+                )}
+                <OpenOrdersList
+                  orders={state.orders}
+                  prices={state.prices}
+                  cancelOrder={state.cancelOrder}
+                  amendOrder={state.amendOrder}
                 />
               </div>
             </div>
@@ -1036,4 +2610,10 @@ const App = () => {
   );
 };
 
+// Switching accounts remounts the app, so all state is loaded from the new account
+const App = () => {
+  const accounts = useAccounts();
+  return <TradingApp key={accounts.activeAccount.id} accounts={accounts} />;
+};
+
 export default App;
\ No newline at end of file
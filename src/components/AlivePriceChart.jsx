@@ -1,6 +1,48 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState } from 'react';
+import { buildSmoothPath, getPriceTicks } from './chartPaths';
+import { TIMEFRAMES, TIMEFRAME_MS } from '../engine/candles';
+import { formatMarketPrice } from '../engine/markets';
+
+const CHART_MODES = [
+  { value: 'LINE', label: 'Line' },
+  { value: 'CANDLES', label: 'Candles' },
+  { value: 'BARS', label: 'OHLC' }
+];
+
+const VISIBLE_CANDLES = 60;
+const PRICE_AXIS_WIDTH = 64;
+const TIME_AXIS_HEIGHT = 16;
+const UP_COLOR = '#10b981';
+const DOWN_COLOR = '#ef4444';
+
+// Time between labels on the time axis, about five across VISIBLE_CANDLES
+const TIME_LABEL_EVERY = {
+  '1m': 15 * 60 * 1000,
+  '5m': 60 * 60 * 1000,
+  '15m': 3 * 60 * 60 * 1000,
+  '1h': 12 * 60 * 60 * 1000,
+  '4h': 2 * 24 * 60 * 60 * 1000
+};
+
+const formatTime = (time, timeframe) => new Date(time).toLocaleString('en-US', timeframe === '1h' || timeframe === '4h'
+  ? { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false }
+  : { hour: '2-digit', minute: '2-digit', hour12: false });
+
+const AlivePriceChart = ({
+  prices,
+  candles,
+  market,
+  historyStatus,
+  direction,
+  entryPrice,
+  currentPrice,
+  pnl,
+  trailingStopPrice
+}) => {
+  const [mode, setMode] = useState('LINE');
+  const [timeframe, setTimeframe] = useState(TIMEFRAMES[0]);
+  const [showAxes, setShowAxes] = useState(false);
 
-const AlivePriceChart = ({ prices, direction, entryPrice, currentPrice, pnl }) => {
   // Normalize prices to fit within SVG bounds
   const normalizedData = useMemo(() => {
     if (!prices || prices.length === 0) return [];
@@ -21,26 +63,7 @@ const AlivePriceChart = ({ prices, direction, entryPrice, currentPrice, pnl }) =
   }, [prices]);
 
   // Generate smooth SVG path using cubic bezier curves
-  const pathData = useMemo(() => {
-    if (normalizedData.length < 2) return '';
-
-    let path = `M ${normalizedData[0].x} ${normalizedData[0].y}`;
-
-    for (let i = 0; i < normalizedData.length - 1; i++) {
-      const current = normalizedData[i];
-      const next = normalizedData[i + 1];
-
-      // Control points for smooth curve
-      const cp1x = current.x + (next.x - current.x) / 3;
-      const cp1y = current.y;
-      const cp2x = next.x - (next.x - current.x) / 3;
-      const cp2y = next.y;
-
-      path += ` C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${next.x} ${next.y}`;
-    }
-
-    return path;
-  }, [normalizedData]);
+  const pathData = useMemo(() => buildSmoothPath(normalizedData), [normalizedData]);
 
   // Determine gradient colors based on direction
   const gradientColors = direction === 'UP'
@@ -84,105 +107,334 @@ const AlivePriceChart = ({ prices, direction, entryPrice, currentPrice, pnl }) =
     return { x, y };
   }, [prices, currentPrice]);
 
-  return (
-    <div className="w-full h-full flex items-center justify-center overflow-hidden">
-      <svg
-        width="100%"
-        height="100%"
-        viewBox="0 0 600 200"
-        preserveAspectRatio="xMidYMid meet"
-        className="drop-shadow-lg"
-      >
-        <defs>
-          {/* Gradient definition */}
-          <linearGradient id="priceGradient" x1="0%" y1="0%" x2="100%" y2="0%">
-            <stop offset="0%" stopColor={gradientColors.start} stopOpacity="0.8" />
-            <stop offset="100%" stopColor={gradientColors.end} stopOpacity="0.8" />
-          </linearGradient>
-
-          {/* Glow filter */}
-          <filter id="glow" x="-50%" y="-50%" width="200%" height="200%">
-            <feGaussianBlur stdDeviation="3" result="coloredBlur"/>
-            <feMerge>
-              <feMergeNode in="coloredBlur"/>
-              <feMergeNode in="SourceGraphic"/>
-            </feMerge>
-          </filter>
-        </defs>
-
-        {/* Background subtle pattern */}
-        <rect width="600" height="200" fill="url(#backgroundPattern)" opacity="0.05" />
-
-        {/* Main price line */}
-        <path
-          d={pathData}
-          fill="none"
-          stroke="url(#priceGradient)"
-          strokeWidth="3"
-          filter="url(#glow)"
-          className="transition-all duration-1000 ease-out"
-          style={{
-            strokeLinecap: 'round',
-            strokeLinejoin: 'round',
-          }}
-        />
-
-        {/* Animated pulse effect */}
-        <circle
-          cx={normalizedData[normalizedData.length - 1]?.x || 300}
-          cy={normalizedData[normalizedData.length - 1]?.y || 100}
-          r="4"
-          fill={gradientColors.end}
-          opacity="0.6"
-          className="animate-pulse"
-        >
-          <animate
-            attributeName="r"
-            values="4;6;4"
-            dur="2s"
-            repeatCount="indefinite"
-          />
-        </circle>
-
-        {/* Entry Point Marker */}
-        {entryPoint && (
+  const trailingStopY = useMemo(() => {
+    if (!prices || prices.length === 0 || !trailingStopPrice) return null;
+
+    const minPrice = Math.min(...prices);
+    const maxPrice = Math.max(...prices);
+    const priceRange = maxPrice - minPrice || 1;
+
+    const svgHeight = 200;
+    const padding = 20;
+
+    // Clamp to the chart so a level outside the visible range still shows at the edge
+    const y = svgHeight - padding - ((trailingStopPrice - minPrice) / priceRange) * (svgHeight - 2 * padding);
+    return Math.min(Math.max(y, padding), svgHeight - padding);
+  }, [prices, trailingStopPrice]);
+
+  // Candles and bars: the latest VISIBLE_CANDLES of the timeframe, newest at the right edge
+  const candleChart = useMemo(() => {
+    const series = (candles?.[timeframe] ?? []).slice(-VISIBLE_CANDLES);
+    if (mode === 'LINE' || series.length === 0) return null;
+
+    const svgWidth = 600;
+    const svgHeight = 200;
+    const padding = 10;
+    const left = padding;
+    const right = svgWidth - (showAxes ? PRICE_AXIS_WIDTH : padding);
+    const top = padding;
+    const bottom = svgHeight - (showAxes ? TIME_AXIS_HEIGHT + padding / 2 : padding);
+
+    const low = Math.min(...series.map(candle => candle.low));
+    const high = Math.max(...series.map(candle => candle.high));
+    const priceRange = high - low || high * 0.001; // Flat series still get some height
+
+    const slot = (right - left) / VISIBLE_CANDLES;
+    const toX = (i) => right - (series.length - i - 0.5) * slot;
+    const toY = (price) => bottom - ((price - low) / priceRange) * (bottom - top);
+    // Levels outside the visible range still show at the edge
+    const clampY = (price) => Math.min(Math.max(toY(price), top), bottom);
+
+    const items = series.map((candle, i) => ({
+      ...candle,
+      x: toX(i),
+      openY: toY(candle.open),
+      highY: toY(candle.high),
+      lowY: toY(candle.low),
+      closeY: toY(candle.close),
+      up: candle.close >= candle.open
+    }));
+    const last = items[items.length - 1];
+    const lastPrice = currentPrice || last.close;
+
+    return {
+      left,
+      right,
+      top,
+      bottom,
+      bodyWidth: Math.max(1, slot * 0.6),
+      items,
+      lastPrice,
+      lastY: clampY(lastPrice),
+      lastColor: lastPrice >= last.open ? UP_COLOR : DOWN_COLOR,
+      entryY: entryPrice ? clampY(entryPrice) : null,
+      trailingY: trailingStopPrice ? clampY(trailingStopPrice) : null,
+      priceTicks: showAxes ? getPriceTicks(low, high).map(value => ({ value, y: toY(value) })) : [],
+      // Skip labels that would run off the left edge
+      timeTicks: showAxes ? items.filter(candle => candle.time % TIME_LABEL_EVERY[timeframe] === 0 && candle.x > left + 30) : []
+    };
+  }, [candles, timeframe, mode, showAxes, currentPrice, entryPrice, trailingStopPrice]);
+
+  const renderCandles = () => {
+    if (!candleChart) {
+      return (
+        <text x="300" y="100" textAnchor="middle" fill="#6b7280" fontSize="11">
+          {historyStatus === 'LOADING' ? 'Loading price history...' : 'Waiting for prices...'}
+        </text>
+      );
+    }
+
+    const { left, right, top, bottom, bodyWidth, items, lastPrice, lastY, lastColor, entryY, trailingY, priceTicks, timeTicks } = candleChart;
+    const half = bodyWidth / 2;
+
+    return (
+      <g>
+        {/* Grid and axes */}
+        {priceTicks.map(tick => (
+          <g key={tick.value}>
+            <line x1={left} y1={tick.y} x2={right} y2={tick.y} stroke="#374151" strokeWidth="0.5" strokeDasharray="2 4" />
+            <text x={right + 6} y={tick.y + 3} fill="#9ca3af" fontSize="9">
+              {formatMarketPrice(market, tick.value)}
+            </text>
+          </g>
+        ))}
+        {timeTicks.map(candle => (
+          <g key={candle.time}>
+            <line x1={candle.x} y1={top} x2={candle.x} y2={bottom} stroke="#374151" strokeWidth="0.5" strokeDasharray="2 4" />
+            <text x={candle.x} y={bottom + TIME_AXIS_HEIGHT - 2} textAnchor="middle" fill="#9ca3af" fontSize="9">
+              {formatTime(candle.time, timeframe)}
+            </text>
+          </g>
+        ))}
+
+        {/* Wicks with bodies, or bars with the open tick left and close tick right */}
+        {items.map(candle => {
+          const color = candle.up ? UP_COLOR : DOWN_COLOR;
+          return mode === 'CANDLES' ? (
+            <g key={candle.time}>
+              <line x1={candle.x} y1={candle.highY} x2={candle.x} y2={candle.lowY} stroke={color} strokeWidth="1" />
+              <rect
+                x={candle.x - half}
+                y={Math.min(candle.openY, candle.closeY)}
+                width={bodyWidth}
+                height={Math.max(1, Math.abs(candle.closeY - candle.openY))}
+                fill={color}
+              />
+            </g>
+          ) : (
+            <g key={candle.time} stroke={color} strokeWidth="1.5">
+              <line x1={candle.x} y1={candle.highY} x2={candle.x} y2={candle.lowY} />
+              <line x1={candle.x - half} y1={candle.openY} x2={candle.x} y2={candle.openY} />
+              <line x1={candle.x} y1={candle.closeY} x2={candle.x + half} y2={candle.closeY} />
+            </g>
+          );
+        })}
+
+        {/* Trailing Stop Level */}
+        {trailingY !== null && (
           <g>
-            <circle
-              cx={entryPoint.x}
-              cy={entryPoint.y}
-              r="6"
-              fill="#10b981"
-              stroke="white"
-              strokeWidth="2"
-              filter="url(#glow)"
-            />
-            <text
-              x={entryPoint.x}
-              y={entryPoint.y - 15}
-              textAnchor="middle"
-              fill="#10b981"
-              fontSize="10"
-              fontWeight="bold"
-              filter="url(#glow)"
-            >
+            <line x1={left} y1={trailingY} x2={right} y2={trailingY} stroke="#f87171" strokeWidth="1.5" strokeDasharray="6 4" opacity="0.8" />
+            <text x={left + 2} y={trailingY - 4} fill="#f87171" fontSize="10" fontWeight="bold">
+              TRAIL {formatMarketPrice(market, trailingStopPrice)}
+            </text>
+          </g>
+        )}
+
+        {/* Entry Level */}
+        {entryY !== null && (
+          <g>
+            <line x1={left} y1={entryY} x2={right} y2={entryY} stroke="#10b981" strokeWidth="1" strokeDasharray="4 3" />
+            <text x={left + 2} y={entryY - 4} fill="#10b981" fontSize="10" fontWeight="bold">
               ENTRY
             </text>
           </g>
         )}
 
-        {/* Current Price Marker */}
-        {currentPoint && (
-          <circle
-            cx={currentPoint.x}
-            cy={currentPoint.y}
-            r="6"
-            fill={pnl >= 0 ? "#10b981" : "#ef4444"}
-            stroke="white"
-            strokeWidth="2"
-            filter="url(#glow)"
-          />
+        {/* Current Price Level, labelled on the price axis */}
+        <line x1={left} y1={lastY} x2={right} y2={lastY} stroke={lastColor} strokeWidth="1" strokeDasharray="1 3" />
+        {showAxes && (
+          <g>
+            <rect x={right + 2} y={lastY - 7} width={PRICE_AXIS_WIDTH - 4} height="14" rx="2" fill={lastColor} />
+            <text x={right + 6} y={lastY + 3} fill="white" fontSize="9" fontWeight="bold">
+              {formatMarketPrice(market, lastPrice)}
+            </text>
+          </g>
+        )}
+      </g>
+    );
+  };
+
+  return (
+    <div className="w-full h-full flex flex-col overflow-hidden">
+      {/* Mode, timeframe and axes; the line stays the default */}
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-1">
+        <div className="flex gap-1">
+          {CHART_MODES.map(option => (
+            <button
+              key={option.value}
+              onClick={() => setMode(option.value)}
+              className={`px-2 py-0.5 rounded-lg text-[10px] font-semibold transition-all ${
+                mode === option.value ? 'bg-blue-500 text-white' : 'bg-gray-800/60 text-gray-500 hover:bg-gray-700'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {mode !== 'LINE' && (
+          <div className="flex gap-1">
+            {TIMEFRAMES.map(option => (
+              <button
+                key={option}
+                onClick={() => setTimeframe(option)}
+                className={`px-2 py-0.5 rounded-lg text-[10px] font-semibold transition-all ${
+                  timeframe === option ? 'bg-gray-600 text-white' : 'bg-gray-800/60 text-gray-500 hover:bg-gray-700'
+                }`}
+              >
+                {option}
+              </button>
+            ))}
+            <button
+              onClick={() => setShowAxes(!showAxes)}
+              className={`px-2 py-0.5 rounded-lg text-[10px] font-semibold transition-all ${
+                showAxes ? 'bg-gray-600 text-white' : 'bg-gray-800/60 text-gray-500 hover:bg-gray-700'
+              }`}
+            >
+              Axes
+            </button>
+          </div>
         )}
-      </svg>
+      </div>
+
+      <div className="flex-1 min-h-0 w-full flex items-center justify-center">
+        <svg
+          width="100%"
+          height="100%"
+          viewBox="0 0 600 200"
+          preserveAspectRatio="xMidYMid meet"
+          className="drop-shadow-lg"
+        >
+          <defs>
+            {/* Gradient definition */}
+            <linearGradient id="priceGradient" x1="0%" y1="0%" x2="100%" y2="0%">
+              <stop offset="0%" stopColor={gradientColors.start} stopOpacity="0.8" />
+              <stop offset="100%" stopColor={gradientColors.end} stopOpacity="0.8" />
+            </linearGradient>
+
+            {/* Glow filter */}
+            <filter id="glow" x="-50%" y="-50%" width="200%" height="200%">
+              <feGaussianBlur stdDeviation="3" result="coloredBlur"/>
+              <feMerge>
+                <feMergeNode in="coloredBlur"/>
+                <feMergeNode in="SourceGraphic"/>
+              </feMerge>
+            </filter>
+          </defs>
+
+          {mode === 'LINE' ? (
+            <>
+              {/* Background subtle pattern */}
+              <rect width="600" height="200" fill="url(#backgroundPattern)" opacity="0.05" />
+
+              {/* Main price line */}
+              <path
+                d={pathData}
+                fill="none"
+                stroke="url(#priceGradient)"
+                strokeWidth="3"
+                filter="url(#glow)"
+                className="transition-all duration-1000 ease-out"
+                style={{
+                  strokeLinecap: 'round',
+                  strokeLinejoin: 'round',
+                }}
+              />
+
+              {/* Animated pulse effect */}
+              <circle
+                cx={normalizedData[normalizedData.length - 1]?.x || 300}
+                cy={normalizedData[normalizedData.length - 1]?.y || 100}
+                r="4"
+                fill={gradientColors.end}
+                opacity="0.6"
+                className="animate-pulse"
+              >
+                <animate
+                  attributeName="r"
+                  values="4;6;4"
+                  dur="2s"
+                  repeatCount="indefinite"
+                />
+              </circle>
+
+              {/* Trailing Stop Level */}
+              {trailingStopY !== null && (
+                <g>
+                  <line
+                    x1="20"
+                    y1={trailingStopY}
+                    x2="580"
+                    y2={trailingStopY}
+                    stroke="#f87171"
+                    strokeWidth="1.5"
+                    strokeDasharray="6 4"
+                    opacity="0.8"
+                  />
+                  <text
+                    x="578"
+                    y={trailingStopY - 6}
+                    textAnchor="end"
+                    fill="#f87171"
+                    fontSize="10"
+                    fontWeight="bold"
+                  >
+                    TRAIL ${Number(trailingStopPrice).toFixed(2)}
+                  </text>
+                </g>
+              )}
+
+              {/* Entry Point Marker */}
+              {entryPoint && (
+                <g>
+                  <circle
+                    cx={entryPoint.x}
+                    cy={entryPoint.y}
+                    r="6"
+                    fill="#10b981"
+                    stroke="white"
+                    strokeWidth="2"
+                    filter="url(#glow)"
+                  />
+                  <text
+                    x={entryPoint.x}
+                    y={entryPoint.y - 15}
+                    textAnchor="middle"
+                    fill="#10b981"
+                    fontSize="10"
+                    fontWeight="bold"
+                    filter="url(#glow)"
+                  >
+                    ENTRY
+                  </text>
+                </g>
+              )}
+
+              {/* Current Price Marker */}
+              {currentPoint && (
+                <circle
+                  cx={currentPoint.x}
+                  cy={currentPoint.y}
+                  r="6"
+                  fill={pnl >= 0 ? "#10b981" : "#ef4444"}
+                  stroke="white"
+                  strokeWidth="2"
+                  filter="url(#glow)"
+                />
+              )}
+            </>
+          ) : renderCandles()}
+        </svg>
+      </div>
     </div>
   );
 };
@@ -0,0 +1,143 @@
+import React, { useMemo } from 'react';
+import { buildSmoothPath } from './chartPaths';
+import { calculateDrawdownSeries } from '../engine/equity';
+
+const EVENT_STYLES = {
+  OPEN: { color: '#3b82f6', radius: 4, label: 'Open' },
+  CLOSE: { color: '#e5e7eb', radius: 4, label: 'Close' },
+  LIQUIDATION: { color: '#ef4444', radius: 5, label: 'Liquidation' },
+  FUNDING: { color: '#eab308', radius: 2.5, label: 'Funding' }
+};
+
+// Equity at a time, interpolated between the surrounding samples
+const equityAt = (series, time) => {
+  const index = series.findIndex(point => point.time >= time);
+  if (index === -1) return series[series.length - 1].equity;
+  if (index === 0) return series[0].equity;
+
+  const before = series[index - 1];
+  const after = series[index];
+  const weight = (time - before.time) / (after.time - before.time || 1);
+  return before.equity + (after.equity - before.equity) * weight;
+};
+
+const EquityChart = ({ samples, events }) => {
+  const series = useMemo(() => calculateDrawdownSeries(samples || []), [samples]);
+
+  const chart = useMemo(() => {
+    if (series.length < 2) return null;
+
+    const svgWidth = 600;
+    const svgHeight = 200;
+    const padding = 20;
+
+    const startTime = series[0].time;
+    const timeRange = series[series.length - 1].time - startTime || 1;
+    const minEquity = Math.min(...series.map(point => point.equity));
+    const maxEquity = Math.max(...series.map(point => point.peak));
+    const equityRange = maxEquity - minEquity || 1; // Avoid division by zero
+
+    const toX = (time) => padding + ((time - startTime) / timeRange) * (svgWidth - 2 * padding);
+    const toY = (equity) => svgHeight - padding - ((equity - minEquity) / equityRange) * (svgHeight - 2 * padding);
+
+    const equityPoints = series.map(point => ({ x: toX(point.time), y: toY(point.equity) }));
+    const peakPoints = series.map(point => ({ x: toX(point.time), y: toY(point.peak) }));
+
+    // Shade between the running peak and the (smoothed) equity line
+    const peakLine = peakPoints.map((point, i) => `${i === 0 ? 'M' : 'L'} ${point.x} ${point.y}`).join(' ');
+    const last = equityPoints[equityPoints.length - 1];
+    const drawdownArea = `${peakLine} L ${last.x} ${last.y}${buildSmoothPath([...equityPoints].reverse(), { moveTo: false })} Z`;
+
+    const markers = (events || [])
+      .filter(event => event.time >= startTime)
+      .map(event => ({ ...event, x: toX(Math.min(event.time, series[series.length - 1].time)), y: toY(equityAt(series, event.time)) }));
+
+    return {
+      linePath: buildSmoothPath(equityPoints),
+      drawdownArea,
+      markers,
+      minEquity,
+      maxEquity
+    };
+  }, [series, events]);
+
+  if (!chart) {
+    return <div className="text-xs text-gray-500">Collecting equity samples...</div>;
+  }
+
+  const current = series[series.length - 1];
+  const maxDrawdown = Math.max(...series.map(point => point.drawdown));
+  const change = current.equity - series[0].equity;
+
+  return (
+    <div className="w-full">
+      <div className="flex justify-between items-center text-xs mb-2">
+        <span className="text-gray-400">
+          Equity <span className="text-white font-bold">${current.equity.toFixed(2)}</span>
+          <span className={`ml-2 font-bold ${change >= 0 ? 'text-green-400' : 'text-red-400'}`}>
+            {change >= 0 ? '+' : '-'}${Math.abs(change).toFixed(2)}
+          </span>
+        </span>
+        <span className="text-gray-400">
+          Max DD <span className="text-red-400 font-bold">-${maxDrawdown.toFixed(2)}</span>
+        </span>
+      </div>
+      <svg
+        width="100%"
+        viewBox="0 0 600 200"
+        preserveAspectRatio="xMidYMid meet"
+      >
+        <defs>
+          <linearGradient id="equityGradient" x1="0%" y1="0%" x2="100%" y2="0%">
+            <stop offset="0%" stopColor="#3b82f6" stopOpacity="0.8" />
+            <stop offset="100%" stopColor="#10b981" stopOpacity="0.8" />
+          </linearGradient>
+        </defs>
+
+        {/* Drawdown shading */}
+        <path d={chart.drawdownArea} fill="#ef4444" opacity="0.2" />
+
+        {/* Equity line */}
+        <path
+          d={chart.linePath}
+          fill="none"
+          stroke="url(#equityGradient)"
+          strokeWidth="2.5"
+          style={{ strokeLinecap: 'round', strokeLinejoin: 'round' }}
+        />
+
+        {/* Trade and funding markers */}
+        {chart.markers.map((marker, i) => (
+          <circle
+            key={`${marker.type}-${marker.time}-${i}`}
+            cx={marker.x}
+            cy={marker.y}
+            r={EVENT_STYLES[marker.type].radius}
+            fill={EVENT_STYLES[marker.type].color}
+            stroke="#111827"
+            strokeWidth="1"
+          >
+            <title>{`${new Date(marker.time).toLocaleTimeString()} · ${marker.label}`}</title>
+          </circle>
+        ))}
+
+        <text x="580" y="14" textAnchor="end" fill="#9ca3af" fontSize="10">
+          ${chart.maxEquity.toFixed(2)}
+        </text>
+        <text x="580" y="196" textAnchor="end" fill="#9ca3af" fontSize="10">
+          ${chart.minEquity.toFixed(2)}
+        </text>
+      </svg>
+      <div className="flex gap-3 text-xs text-gray-500 mt-1">
+        {Object.entries(EVENT_STYLES).map(([type, style]) => (
+          <span key={type} className="flex items-center gap-1">
+            <span className="inline-block w-2 h-2 rounded-full" style={{ backgroundColor: style.color }} />
+            {style.label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(EquityChart);
@@ -0,0 +1,182 @@
+import React, { useMemo, useState } from 'react';
+import { getGroupingSizes, groupLevels } from '../engine/orderBook';
+
+const VISIBLE_LEVELS = 10;
+
+// Decimals needed to show a price on the given grouping
+const decimalsFor = (groupSize) => Math.max(0, Math.round(-Math.log10(groupSize)));
+
+const formatSize = (notional) => (
+  notional >= 1000000 ? `${(notional / 1000000).toFixed(2)}M`
+    : notional >= 1000 ? `${(notional / 1000).toFixed(1)}K`
+      : notional.toFixed(0)
+);
+
+const OrderBook = ({ book, onSelectPrice }) => {
+  const [view, setView] = useState('LADDER');
+  const [grouping, setGrouping] = useState(null);
+
+  const groupingSizes = useMemo(() => (book ? getGroupingSizes(book.tickSize) : []), [book]);
+
+  // The selected grouping resets to the native tick when the market changes
+  const groupSize = groupingSizes.includes(grouping) ? grouping : groupingSizes[0];
+
+  const { bids, asks } = useMemo(() => {
+    if (!book) return { bids: [], asks: [] };
+    return {
+      bids: groupLevels(book.bids, 'bids', groupSize).slice(0, VISIBLE_LEVELS),
+      asks: groupLevels(book.asks, 'asks', groupSize).slice(0, VISIBLE_LEVELS)
+    };
+  }, [book, groupSize]);
+
+  const maxCumulative = Math.max(
+    bids[bids.length - 1]?.cumulativeNotional || 0,
+    asks[asks.length - 1]?.cumulativeNotional || 0,
+    1
+  );
+
+  // Depth chart: cumulative notional stepping out from the mid on each side
+  const depthPaths = useMemo(() => {
+    if (bids.length === 0 || asks.length === 0) return null;
+
+    const svgWidth = 600;
+    const svgHeight = 200;
+    const padding = 20;
+
+    const minPrice = bids[bids.length - 1].price;
+    const maxPrice = asks[asks.length - 1].price;
+    const priceRange = maxPrice - minPrice || 1;
+
+    const toX = (price) => padding + ((price - minPrice) / priceRange) * (svgWidth - 2 * padding);
+    const toY = (notional) => svgHeight - padding - (notional / maxCumulative) * (svgHeight - 2 * padding);
+    const baseline = svgHeight - padding;
+
+    const buildSide = (levels) => {
+      let path = `M ${toX(levels[0].price)} ${baseline}`;
+      let previousY = baseline;
+      levels.forEach(level => {
+        const x = toX(level.price);
+        const y = toY(level.cumulativeNotional);
+        path += ` L ${x} ${previousY} L ${x} ${y}`;
+        previousY = y;
+      });
+      const lastX = toX(levels[levels.length - 1].price);
+      return { line: path, area: `${path} L ${lastX} ${baseline} Z` };
+    };
+
+    return {
+      bids: buildSide(bids),
+      asks: buildSide(asks),
+      midX: toX(book.mid)
+    };
+  }, [bids, asks, maxCumulative, book]);
+
+  if (!book) {
+    return <div className="text-xs text-gray-500">Waiting for prices...</div>;
+  }
+
+  const decimals = decimalsFor(groupSize);
+  const spread = asks[0] && bids[0] ? asks[0].price - bids[0].price : 0;
+
+  const renderLevel = (level, side) => (
+    <button
+      key={`${side}-${level.price}`}
+      onClick={() => onSelectPrice(level.price)}
+      className="relative w-full grid grid-cols-3 gap-2 px-2 py-0.5 text-xs font-mono hover:bg-gray-700/60 transition-colors"
+      title={`Use $${level.price.toFixed(decimals)} as limit price`}
+    >
+      {/* Cumulative size bar */}
+      <div
+        className={`absolute inset-y-0 right-0 ${side === 'bids' ? 'bg-green-500/15' : 'bg-red-500/15'}`}
+        style={{ width: `${(level.cumulativeNotional / maxCumulative) * 100}%` }}
+      />
+      <span className={`relative text-left ${side === 'bids' ? 'text-green-400' : 'text-red-400'}`}>
+        {level.price.toFixed(decimals)}
+      </span>
+      <span className="relative text-right text-gray-300">{formatSize(level.notional)}</span>
+      <span className="relative text-right text-gray-500">{formatSize(level.cumulativeNotional)}</span>
+    </button>
+  );
+
+  return (
+    <div className="space-y-3">
+      {/* View and grouping */}
+      <div className="flex items-center justify-between gap-2">
+        <div className="flex gap-1">
+          {['LADDER', 'DEPTH'].map(option => (
+            <button
+              key={option}
+              onClick={() => setView(option)}
+              className={`px-2 py-1 rounded-lg text-xs font-semibold transition-all ${
+                view === option ? 'bg-blue-500 text-white' : 'bg-gray-700 text-gray-400 hover:bg-gray-600'
+              }`}
+            >
+              {option === 'LADDER' ? 'Book' : 'Depth'}
+            </button>
+          ))}
+        </div>
+        <select
+          value={groupSize}
+          onChange={(e) => setGrouping(parseFloat(e.target.value))}
+          className="bg-gray-700 rounded-lg px-2 py-1 text-xs text-gray-300"
+        >
+          {groupingSizes.map(size => (
+            <option key={size} value={size}>{size}</option>
+          ))}
+        </select>
+      </div>
+
+      {view === 'LADDER' ? (
+        <div>
+          <div className="grid grid-cols-3 gap-2 px-2 pb-1 text-[10px] uppercase text-gray-500">
+            <span className="text-left">Price</span>
+            <span className="text-right">Size ($)</span>
+            <span className="text-right">Total ($)</span>
+          </div>
+          {/* Asks above the spread, best ask closest to it */}
+          {[...asks].reverse().map(level => renderLevel(level, 'asks'))}
+          <div className="flex justify-between px-2 py-1 text-xs border-y border-gray-700/60 my-0.5">
+            <span className="text-white font-semibold">${book.mid.toFixed(decimals)}</span>
+            <span className="text-gray-500">
+              Spread {spread.toFixed(decimals)} ({((spread / book.mid) * 10000).toFixed(1)} bps)
+            </span>
+          </div>
+          {bids.map(level => renderLevel(level, 'bids'))}
+        </div>
+      ) : (
+        depthPaths && (
+          <svg
+            width="100%"
+            viewBox="0 0 600 200"
+            preserveAspectRatio="xMidYMid meet"
+          >
+            <path d={depthPaths.bids.area} fill="#10b981" opacity="0.2" />
+            <path d={depthPaths.bids.line} fill="none" stroke="#10b981" strokeWidth="2" />
+            <path d={depthPaths.asks.area} fill="#ef4444" opacity="0.2" />
+            <path d={depthPaths.asks.line} fill="none" stroke="#ef4444" strokeWidth="2" />
+            <line
+              x1={depthPaths.midX}
+              y1="20"
+              x2={depthPaths.midX}
+              y2="180"
+              stroke="#9ca3af"
+              strokeWidth="1"
+              strokeDasharray="4 4"
+            />
+            <text x={depthPaths.midX} y="14" textAnchor="middle" fill="#9ca3af" fontSize="11">
+              ${book.mid.toFixed(decimals)}
+            </text>
+            <text x="20" y="196" fill="#10b981" fontSize="10">
+              ${bids[bids.length - 1].price.toFixed(decimals)}
+            </text>
+            <text x="580" y="196" textAnchor="end" fill="#ef4444" fontSize="10">
+              ${asks[asks.length - 1].price.toFixed(decimals)}
+            </text>
+          </svg>
+        )
+      )}
+    </div>
+  );
+};
+
+export default React.memo(OrderBook);
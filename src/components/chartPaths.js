@@ -0,0 +1,48 @@
+/**
+ * Smooth SVG path through a list of points using cubic bezier curves. Each
+ * segment leaves and enters its points horizontally, which keeps the line
+ * from overshooting between samples.
+ * @param {Array} points - { x, y } in SVG coordinates
+ * @param {Object} options - { moveTo } set false to continue an existing path
+ *   (the path then starts with its first curve)
+ * @returns {string} - Path data, empty with fewer than two points
+ */
+export const buildSmoothPath = (points, { moveTo = true } = {}) => {
+  if (points.length < 2) return '';
+
+  let path = moveTo ? `M ${points[0].x} ${points[0].y}` : '';
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const current = points[i];
+    const next = points[i + 1];
+
+    // Control points for smooth curve
+    const cp1x = current.x + (next.x - current.x) / 3;
+    const cp1y = current.y;
+    const cp2x = next.x - (next.x - current.x) / 3;
+    const cp2y = next.y;
+
+    path += ` C ${cp1x} ${cp1y}, ${cp2x} ${cp2y}, ${next.x} ${next.y}`;
+  }
+
+  return path;
+};
+
+/**
+ * Round price levels for an axis: steps of 1, 2 or 5 times a power of ten,
+ * the smallest that gives at most about `count` levels between min and max.
+ * @param {number} min - Lowest price shown
+ * @param {number} max - Highest price shown
+ * @param {number} count - Roughly how many levels to aim for
+ * @returns {Array} - Prices, ascending; just min when the range is empty
+ */
+export const getPriceTicks = (min, max, count = 4) => {
+  const raw = (max - min) / count;
+  if (!(raw > 0)) return [min];
+
+  const magnitude = 10 ** Math.floor(Math.log10(raw));
+  const step = [1, 2, 5, 10].map(multiple => multiple * magnitude).find(size => size >= raw);
+  const first = Math.ceil(min / step);
+  const last = Math.floor(max / step);
+  return Array.from({ length: last - first + 1 }, (_, i) => (first + i) * step);
+};
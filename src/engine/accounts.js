@@ -0,0 +1,169 @@
+/**
+ * Named paper-trading accounts.
+ *
+ * The registry lists the accounts and which one is active:
+ * { activeId, accounts: [{ id, name, startingBalance, createdAt }] }. Each
+ * account's state is saved under its own key. The first account, `main`,
+ * keeps the original `perpsx_state` key, so state saved before accounts
+ * existed becomes the Main account as-is.
+ *
+ * Functions here only build the registry; reading and writing localStorage
+ * is left to the useAccounts hook.
+ */
+
+import { DEFAULT_BALANCE } from './tradingEngine.js';
+import { STORAGE_KEY, BACKUP_STORAGE_KEY } from './persistence.js';
+
+export const ACCOUNTS_STORAGE_KEY = 'perpsx_accounts';
+
+export const DEFAULT_ACCOUNT_ID = 'main';
+
+export const MAX_ACCOUNT_NAME_LENGTH = 32;
+
+/**
+ * localStorage key an account's state is saved under
+ * @param {string} id - Account id
+ * @returns {string}
+ */
+export const getAccountStorageKey = (id) => (id === DEFAULT_ACCOUNT_ID ? STORAGE_KEY : `${STORAGE_KEY}:${id}`);
+
+/**
+ * localStorage key an unreadable snapshot of the account is copied to
+ * @param {string} id - Account id
+ * @returns {string}
+ */
+export const getAccountBackupKey = (id) => (id === DEFAULT_ACCOUNT_ID ? BACKUP_STORAGE_KEY : `${BACKUP_STORAGE_KEY}:${id}`);
+
+/**
+ * Registry with only the Main account
+ * @param {number} now - Timestamp in ms
+ * @returns {Object} - { activeId, accounts }
+ */
+export const createRegistry = (now = Date.now()) => ({
+  activeId: DEFAULT_ACCOUNT_ID,
+  accounts: [{ id: DEFAULT_ACCOUNT_ID, name: 'Main', startingBalance: DEFAULT_BALANCE, createdAt: now }]
+});
+
+const isValidAccount = (account) => (
+  account !== null
+  && typeof account === 'object'
+  && typeof account.id === 'string'
+  && typeof account.name === 'string'
+  && Number.isFinite(account.startingBalance)
+  && account.startingBalance > 0
+);
+
+/**
+ * Read a saved registry, falling back to a fresh one when it is missing or unreadable
+ * @param {string|null} raw - Contents of ACCOUNTS_STORAGE_KEY
+ * @param {number} now - Timestamp in ms
+ * @returns {Object} - { activeId, accounts }
+ */
+export const parseRegistry = (raw, now = Date.now()) => {
+  try {
+    const parsed = raw ? JSON.parse(raw) : null;
+    const accounts = (parsed?.accounts || []).filter(isValidAccount);
+    if (accounts.length === 0) return createRegistry(now);
+
+    const activeId = accounts.some(a => a.id === parsed.activeId) ? parsed.activeId : accounts[0].id;
+    return { activeId, accounts };
+  } catch {
+    return createRegistry(now);
+  }
+};
+
+/**
+ * Check a proposed account name
+ * @param {Object} registry
+ * @param {string} name
+ * @param {string} exceptId - Account being renamed, may keep its own name
+ * @returns {string|null} - Error message, or null when the name is fine
+ */
+export const validateAccountName = (registry, name, exceptId = null) => {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return 'Name is required';
+  if (trimmed.length > MAX_ACCOUNT_NAME_LENGTH) return `Name must be at most ${MAX_ACCOUNT_NAME_LENGTH} characters`;
+  if (registry.accounts.some(a => a.id !== exceptId && a.name.toLowerCase() === trimmed.toLowerCase())) {
+    return `An account named "${trimmed}" already exists`;
+  }
+  return null;
+};
+
+/**
+ * Add an account (it does not become active)
+ * @param {Object} registry
+ * @param {Object} params - { name, startingBalance }
+ * @param {number} now - Timestamp in ms, also used for the id
+ * @returns {Object} - { registry, account } or { registry, error }
+ */
+export const addAccount = (registry, { name, startingBalance = DEFAULT_BALANCE }, now = Date.now()) => {
+  const error = validateAccountName(registry, name);
+  if (error) return { registry, error };
+  if (!Number.isFinite(startingBalance) || startingBalance <= 0) {
+    return { registry, error: 'Starting balance must be a positive number' };
+  }
+
+  // Ids are timestamps; bump past any taken one when created in the same ms
+  let time = now;
+  while (registry.accounts.some(a => a.id === `acct-${time}`)) time += 1;
+
+  const account = { id: `acct-${time}`, name: name.trim(), startingBalance, createdAt: now };
+  return { registry: { ...registry, accounts: [...registry.accounts, account] }, account };
+};
+
+/**
+ * Rename an account
+ * @param {Object} registry
+ * @param {string} id
+ * @param {string} name
+ * @returns {Object} - { registry } or { registry, error }
+ */
+export const renameAccount = (registry, id, name) => {
+  const error = validateAccountName(registry, name, id);
+  if (error) return { registry, error };
+
+  return {
+    registry: { ...registry, accounts: registry.accounts.map(a => (a.id === id ? { ...a, name: name.trim() } : a)) }
+  };
+};
+
+/**
+ * Remove an account. The last one can't be removed; removing the active one
+ * activates the first that is left.
+ * @param {Object} registry
+ * @param {string} id
+ * @returns {Object} - { registry } or { registry, error }
+ */
+export const removeAccount = (registry, id) => {
+  if (registry.accounts.length <= 1) return { registry, error: "The last account can't be deleted" };
+
+  const accounts = registry.accounts.filter(a => a.id !== id);
+  return {
+    registry: { activeId: registry.activeId === id ? accounts[0].id : registry.activeId, accounts }
+  };
+};
+
+/**
+ * Make an account the active one
+ * @param {Object} registry
+ * @param {string} id
+ * @returns {Object} - Updated registry (unchanged when the id is unknown)
+ */
+export const setActiveAccount = (registry, id) => (
+  registry.accounts.some(a => a.id === id) ? { ...registry, activeId: id } : registry
+);
+
+/**
+ * Name for a copy of an account that doesn't clash with existing ones
+ * @param {Object} registry
+ * @param {string} name - Name of the original
+ * @returns {string}
+ */
+export const getCopyName = (registry, name) => {
+  const base = `${name} (copy)`.slice(0, MAX_ACCOUNT_NAME_LENGTH);
+  let candidate = base;
+  for (let i = 2; validateAccountName(registry, candidate); i++) {
+    candidate = `${base.slice(0, MAX_ACCOUNT_NAME_LENGTH - String(i).length - 1)} ${i}`;
+  }
+  return candidate;
+};
@@ -0,0 +1,144 @@
+/**
+ * Performance statistics over the closed-trade history.
+ *
+ * Each trade record (a closed position or slice, see history.js) counts as one
+ * trade and is scored on its net PnL after fees and funding. Wins and losses
+ * follow getTradeOutcome, so liquidations count as losses. Returns for the
+ * Sharpe and Sortino ratios are per trade, relative to the equity before it,
+ * and are not annualized.
+ */
+
+import { getTradeOutcome } from './history.js';
+
+export const BREAKDOWN_KEYS = ['market', 'direction', 'riskMode'];
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+const mean = (values) => (values.length > 0 ? sum(values) / values.length : 0);
+
+const ratio = (numerator, denominator) => {
+  if (denominator > 0) return numerator / denominator;
+  return numerator > 0 ? Infinity : null;
+};
+
+/**
+ * Longest run of consecutive wins and losses
+ * @param {boolean[]} outcomes - true for a win, oldest first
+ * @returns {Object} - { longestWinStreak, longestLossStreak, currentStreak } where
+ *   currentStreak is positive for wins and negative for losses
+ */
+export const calculateStreaks = (outcomes) => {
+  let longestWinStreak = 0;
+  let longestLossStreak = 0;
+  let currentStreak = 0;
+
+  outcomes.forEach(isWin => {
+    currentStreak = isWin ? Math.max(currentStreak, 0) + 1 : Math.min(currentStreak, 0) - 1;
+    longestWinStreak = Math.max(longestWinStreak, currentStreak);
+    longestLossStreak = Math.max(longestLossStreak, -currentStreak);
+  });
+
+  return { longestWinStreak, longestLossStreak, currentStreak };
+};
+
+/**
+ * Largest peak-to-trough fall of an equity curve
+ * @param {number[]} equity - Equity after each trade, starting balance first
+ * @returns {Object} - { maxDrawdown, maxDrawdownPercent } in USD and as a fraction of the peak
+ */
+export const calculateMaxDrawdown = (equity) => {
+  let peak = equity[0] ?? 0;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+
+  equity.forEach(value => {
+    peak = Math.max(peak, value);
+    maxDrawdown = Math.max(maxDrawdown, peak - value);
+    if (peak > 0) maxDrawdownPercent = Math.max(maxDrawdownPercent, (peak - value) / peak);
+  });
+
+  return { maxDrawdown, maxDrawdownPercent };
+};
+
+/**
+ * Sharpe and Sortino ratios of per-trade returns (risk-free rate 0)
+ * @param {number[]} returns - Fractional return of each trade
+ * @returns {Object} - { sharpe, sortino }, null when there are too few trades or no variance
+ */
+export const calculateRiskAdjustedReturns = (returns) => {
+  if (returns.length < 2) return { sharpe: null, sortino: null };
+
+  const average = mean(returns);
+  const variance = sum(returns.map(r => (r - average) ** 2)) / (returns.length - 1);
+  const downside = Math.sqrt(sum(returns.map(r => Math.min(0, r) ** 2)) / returns.length);
+
+  return {
+    sharpe: variance > 0 ? average / Math.sqrt(variance) : null,
+    sortino: downside > 0 ? average / downside : (average > 0 ? Infinity : null)
+  };
+};
+
+/**
+ * Full statistics for a set of trades
+ * @param {Array} records - Trade records, newest first (as stored in tradeHistory)
+ * @param {Object} options - { startingBalance } equity the first trade was made from
+ * @returns {Object} - { trades, wins, losses, winRate, averageWin, averageLoss, grossProfit,
+ *   grossLoss, netPnL, profitFactor, expectancy, maxDrawdown, maxDrawdownPercent, sharpe,
+ *   sortino, longestWinStreak, longestLossStreak, currentStreak, fees, funding }
+ *   where averageLoss and grossLoss are negative
+ */
+export const calculateTradeStats = (records, { startingBalance = 0 } = {}) => {
+  const trades = [...records].sort((a, b) => a.closeTime - b.closeTime);
+  const pnls = trades.map(record => record.netPnL);
+  const isWin = trades.map(record => getTradeOutcome(record) === 'WIN');
+
+  const winPnLs = pnls.filter((_, i) => isWin[i]);
+  const lossPnLs = pnls.filter((_, i) => !isWin[i]);
+  const grossProfit = sum(winPnLs);
+  const grossLoss = sum(lossPnLs);
+
+  // Equity after each trade, and each trade's return on the equity before it
+  const equity = [startingBalance];
+  const returns = [];
+  pnls.forEach(pnl => {
+    const before = equity[equity.length - 1];
+    if (before > 0) returns.push(pnl / before);
+    equity.push(before + pnl);
+  });
+
+  return {
+    trades: trades.length,
+    wins: winPnLs.length,
+    losses: lossPnLs.length,
+    winRate: trades.length > 0 ? winPnLs.length / trades.length : null,
+    averageWin: winPnLs.length > 0 ? mean(winPnLs) : null,
+    averageLoss: lossPnLs.length > 0 ? mean(lossPnLs) : null,
+    grossProfit,
+    grossLoss,
+    netPnL: grossProfit + grossLoss,
+    profitFactor: ratio(grossProfit, -grossLoss),
+    expectancy: trades.length > 0 ? mean(pnls) : null,
+    ...calculateMaxDrawdown(equity),
+    ...calculateRiskAdjustedReturns(returns),
+    ...calculateStreaks(isWin),
+    fees: sum(trades.map(record => record.fees)),
+    funding: sum(trades.map(record => record.netFunding))
+  };
+};
+
+/**
+ * Statistics per value of a record field
+ * @param {Array} records - Trade records
+ * @param {string} key - market, direction or riskMode
+ * @param {Object} options - Passed to calculateTradeStats
+ * @returns {Array} - [{ value, ...stats }] sorted by trade count, busiest first
+ */
+export const breakdownTradeStats = (records, key, options) => {
+  const groups = records.reduce((result, record) => {
+    const value = record[key] ?? 'UNKNOWN';
+    return { ...result, [value]: [...(result[value] || []), record] };
+  }, {});
+
+  return Object.entries(groups)
+    .map(([value, group]) => ({ value, ...calculateTradeStats(group, options) }))
+    .sort((a, b) => b.trades - a.trades);
+};
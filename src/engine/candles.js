@@ -0,0 +1,146 @@
+/**
+ * OHLCV candles.
+ *
+ * Price samples are bucketed into candles per market and timeframe. A candle is
+ * { time, open, high, low, close, volume, ticks } where time is the bucket start
+ * (ms, aligned to the timeframe since epoch), volume the base quantity traded
+ * when the source reports it (0 for plain price samples) and ticks the number
+ * of samples or trades behind it. Series are ordered oldest first and trimmed
+ * to a retention per timeframe.
+ *
+ * History fetched from a provider (see fetchCandles in priceFeeds.js) is merged
+ * under the live series with mergeCandles, so a chart can start full instead of
+ * waiting for candles to form. Like the engine, every function here is pure.
+ */
+
+export const TIMEFRAMES = ['1m', '5m', '15m', '1h', '4h'];
+
+export const TIMEFRAME_MS = {
+  '1m': 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000
+};
+
+// Candles kept per timeframe: 12 hours of 1m, 2 days of 5m, a week of 15m, a month of 1h, 3 months of 4h
+export const DEFAULT_RETENTION = {
+  '1m': 720,
+  '5m': 576,
+  '15m': 672,
+  '1h': 720,
+  '4h': 540
+};
+
+/**
+ * Start of the bucket a time falls in
+ * @param {number} time - Timestamp in ms
+ * @param {string} timeframe - One of TIMEFRAMES
+ * @returns {number}
+ */
+export const getBucketStart = (time, timeframe) => {
+  const size = TIMEFRAME_MS[timeframe];
+  return Math.floor(time / size) * size;
+};
+
+/**
+ * Empty series for every timeframe of every market
+ * @param {Array} markets
+ * @returns {Object} - Map of market -> timeframe -> []
+ */
+export const createCandleStore = (markets) => Object.fromEntries(
+  markets.map(market => [market, Object.fromEntries(TIMEFRAMES.map(timeframe => [timeframe, []]))])
+);
+
+/**
+ * Fold one price sample into a series
+ * @param {Array} candles - Series, oldest first
+ * @param {number} price
+ * @param {number} time - Timestamp in ms
+ * @param {string} timeframe
+ * @param {Object} options - { volume, retention } where volume is the quantity the sample traded
+ * @returns {Array} - New series; unchanged for invalid prices and samples older than the last candle
+ */
+export const addTick = (candles, price, time, timeframe, { volume = 0, retention = DEFAULT_RETENTION[timeframe] } = {}) => {
+  if (!Number.isFinite(price) || price <= 0) return candles;
+
+  const bucket = getBucketStart(time, timeframe);
+  const last = candles[candles.length - 1];
+
+  if (last && bucket < last.time) return candles;
+
+  if (last && bucket === last.time) {
+    return [...candles.slice(0, -1), {
+      ...last,
+      high: Math.max(last.high, price),
+      low: Math.min(last.low, price),
+      close: price,
+      volume: last.volume + volume,
+      ticks: last.ticks + 1
+    }];
+  }
+
+  return [...candles, { time: bucket, open: price, high: price, low: price, close: price, volume, ticks: 1 }].slice(-retention);
+};
+
+/**
+ * Fold a price sample for every market into every timeframe
+ * @param {Object} store - createCandleStore result
+ * @param {Object} prices - Map of market -> price (markets without a price are skipped)
+ * @param {number} time - Timestamp in ms
+ * @param {Object} options - { retention, volumes } where volumes maps market -> quantity traded
+ * @returns {Object} - New store
+ */
+export const updateCandles = (store, prices, time, { retention = DEFAULT_RETENTION, volumes = {} } = {}) => (
+  Object.fromEntries(Object.entries(store).map(([market, series]) => {
+    const price = prices[market];
+    if (!price) return [market, series];
+
+    return [market, Object.fromEntries(TIMEFRAMES.map(timeframe => [
+      timeframe,
+      addTick(series[timeframe] || [], price, time, timeframe, { volume: volumes[market] ?? 0, retention: retention[timeframe] })
+    ]))];
+  }))
+);
+
+/**
+ * Merge fetched history into a live series. History fills the buckets before the
+ * first live candle. In the bucket both cover, the live candle (which only saw
+ * part of it) takes the open from history and the widest range; later buckets
+ * stay live.
+ * @param {Array} live - Series built from samples
+ * @param {Array} history - Fetched candles, any order
+ * @param {number} retention
+ * @returns {Array} - Merged series, oldest first
+ */
+export const mergeCandles = (live, history, retention) => {
+  const firstLive = live[0]?.time ?? Infinity;
+  const byTime = new Map(history.map(candle => [candle.time, candle]));
+  const earlier = [...byTime.values()].filter(candle => candle.time < firstLive).sort((a, b) => a.time - b.time);
+
+  const overlap = byTime.get(firstLive);
+  const merged = overlap
+    ? [{
+      ...live[0],
+      open: overlap.open,
+      high: Math.max(overlap.high, live[0].high),
+      low: Math.min(overlap.low, live[0].low),
+      volume: Math.max(overlap.volume, live[0].volume),
+      ticks: Math.max(overlap.ticks, live[0].ticks)
+    }, ...live.slice(1)]
+    : live;
+
+  return [...earlier, ...merged].slice(-retention);
+};
+
+/**
+ * Whether a fetched candle is usable
+ * @param {Object} candle
+ * @returns {boolean}
+ */
+export const isValidCandle = (candle) => (
+  Number.isFinite(candle?.time)
+  && [candle.open, candle.high, candle.low, candle.close].every(value => Number.isFinite(value) && value > 0)
+  && candle.high >= Math.max(candle.open, candle.close)
+  && candle.low <= Math.min(candle.open, candle.close)
+);
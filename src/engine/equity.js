@@ -0,0 +1,93 @@
+/**
+ * Equity timeline.
+ *
+ * Account equity is sampled on a fixed interval into { time, equity } points.
+ * Once the timeline is full, every other point in its older half is dropped,
+ * so recent activity stays detailed while the full history still fits in the
+ * saved state. Trade and funding markers are derived from the account's own
+ * ledgers (open positions, tradeHistory and fundingHistory) rather than stored
+ * twice.
+ */
+
+export const EQUITY_SAMPLE_INTERVAL = 10000; // 10 seconds
+
+// Points kept before the older half is thinned out
+export const MAX_EQUITY_SAMPLES = 1440;
+
+export const EQUITY_EVENT_TYPES = ['OPEN', 'CLOSE', 'LIQUIDATION', 'FUNDING'];
+
+const thinSamples = (samples) => {
+  const half = Math.floor(samples.length / 2);
+  return [...samples.slice(0, half).filter((_, i) => i % 2 === 0), ...samples.slice(half)];
+};
+
+/**
+ * Append an equity sample
+ * @param {Array} samples - { time, equity } points, oldest first
+ * @param {number} equity - Current equity
+ * @param {number} time - Timestamp in ms
+ * @returns {Array}
+ */
+export const appendEquitySample = (samples = [], equity, time) => {
+  if (!Number.isFinite(equity)) return samples;
+
+  const next = [...samples, { time, equity }];
+  return next.length > MAX_EQUITY_SAMPLES ? thinSamples(next) : next;
+};
+
+/**
+ * Running peak and drawdown at every sample
+ * @param {Array} samples - { time, equity } points, oldest first
+ * @returns {Array} - { time, equity, peak, drawdown } where drawdown is peak - equity
+ */
+export const calculateDrawdownSeries = (samples) => {
+  let peak = -Infinity;
+  return samples.map(sample => {
+    peak = Math.max(peak, sample.equity);
+    return { ...sample, peak, drawdown: peak - sample.equity };
+  });
+};
+
+/**
+ * Trade and funding markers for the equity chart
+ * @param {Object} account - { positions, tradeHistory, fundingHistory }
+ * @param {number} since - Only events at or after this time
+ * @returns {Array} - { type, time, label } oldest first; funding payments settled
+ *   together are merged into one marker
+ */
+export const collectEquityEvents = (account, since = 0) => {
+  const history = account.tradeHistory || [];
+  const events = [];
+  const opened = new Set();
+
+  // Netted positions keep their id, so each position is marked open once
+  const addOpen = (positionId, time, market, direction) => {
+    if (opened.has(positionId)) return;
+    opened.add(positionId);
+    events.push({ type: 'OPEN', time, label: `Open ${direction} ${market}` });
+  };
+
+  account.positions.forEach(p => addOpen(p.id, p.openTime ?? p.id, p.market, p.direction));
+  history.forEach(record => {
+    addOpen(record.positionId, record.openTime, record.market, record.direction);
+    events.push({
+      type: record.exitReason === 'LIQUIDATION' ? 'LIQUIDATION' : 'CLOSE',
+      time: record.closeTime,
+      label: `${record.exitReason === 'LIQUIDATION' ? 'Liquidated' : 'Close'} ${record.direction} ${record.market}: ${record.netPnL >= 0 ? '+' : '-'}$${Math.abs(record.netPnL).toFixed(2)}`
+    });
+  });
+
+  const fundingByTime = (account.fundingHistory || []).reduce((result, payment) => ({
+    ...result,
+    [payment.time]: (result[payment.time] ?? 0) + payment.amount
+  }), {});
+  Object.entries(fundingByTime).forEach(([time, amount]) => {
+    events.push({
+      type: 'FUNDING',
+      time: Number(time),
+      label: `Funding ${amount >= 0 ? 'paid' : 'received'}: $${Math.abs(amount).toFixed(4)}`
+    });
+  });
+
+  return events.filter(event => event.time >= since).sort((a, b) => a.time - b.time);
+};
@@ -0,0 +1,219 @@
+/**
+ * CSV / JSON export of the account ledgers.
+ *
+ * Each dataset has a fixed list of snake_case columns (see EXPORT_COLUMNS and
+ * IMPLEMENTATION_NOTES.md). Columns are only ever added at the end; renaming or
+ * removing one bumps EXPORT_SCHEMA_VERSION. Rows are oldest first, times are
+ * ISO 8601 UTC strings, amounts are plain USD numbers and missing values are
+ * empty (CSV) or null (JSON).
+ *
+ * Datasets are read from the ledgers the engine already keeps (tradeHistory,
+ * fundingHistory and feeHistory), so they cover the same, capped, window.
+ */
+
+export const EXPORT_SCHEMA_VERSION = 1;
+
+export const EXPORT_FORMATS = ['CSV', 'JSON'];
+
+const iso = (time) => (Number.isFinite(time) ? new Date(time).toISOString() : null);
+
+const column = (name, value) => ({ name, value });
+
+/**
+ * Columns of each dataset, in file order
+ * - trades: one row per closed position or slice (tradeHistory)
+ * - funding: one row per funding payment, amount > 0 paid and < 0 received
+ * - fees: one row per opening, closing or liquidation fee
+ * - liquidations: one row per liquidated position
+ * - balance: realized changes to the balance (PnL, fees, funding) with the running balance
+ */
+export const EXPORT_COLUMNS = {
+  trades: [
+    column('trade_id', r => r.id),
+    column('position_id', r => r.positionId),
+    column('market', r => r.market),
+    column('direction', r => r.direction),
+    column('margin_mode', r => r.marginMode),
+    column('risk_mode', r => r.riskMode),
+    column('leverage', r => r.leverage),
+    column('size_usd', r => r.size),
+    column('entry_price', r => r.entryPrice),
+    column('exit_price', r => r.exitPrice),
+    column('exit_reason', r => r.exitReason),
+    column('partial', r => r.partial),
+    column('realized_pnl', r => r.realizedPnL),
+    column('open_fee', r => r.openFee),
+    column('close_fee', r => r.closeFee),
+    column('funding_paid', r => r.fundingPaid),
+    column('funding_received', r => r.fundingReceived),
+    column('net_pnl', r => r.netPnL),
+    column('open_time', r => iso(r.openTime)),
+    column('close_time', r => iso(r.closeTime)),
+    column('hold_duration_ms', r => r.holdDuration)
+  ],
+  funding: [
+    column('time', r => iso(r.time)),
+    column('position_id', r => r.positionId),
+    column('market', r => r.market),
+    column('direction', r => r.direction),
+    column('rate', r => r.rate),
+    column('amount', r => r.amount)
+  ],
+  fees: [
+    column('time', r => iso(r.time)),
+    column('type', r => r.type),
+    column('liquidity', r => r.liquidity),
+    column('position_id', r => r.positionId),
+    column('market', r => r.market),
+    column('direction', r => r.direction),
+    column('notional', r => r.notional),
+    column('rate', r => r.rate),
+    column('amount', r => r.amount)
+  ],
+  liquidations: [
+    column('time', r => iso(r.closeTime)),
+    column('position_id', r => r.positionId),
+    column('market', r => r.market),
+    column('direction', r => r.direction),
+    column('margin_mode', r => r.marginMode),
+    column('size_usd', r => r.size),
+    column('entry_price', r => r.entryPrice),
+    column('mark_price', r => r.liquidation?.markPrice ?? null),
+    column('bankruptcy_price', r => r.liquidation?.bankruptcyPrice ?? r.exitPrice),
+    column('margin_left', r => r.liquidation?.margin ?? null),
+    column('maintenance_margin', r => r.liquidation?.maintenanceMargin ?? null),
+    column('fee', r => r.closeFee),
+    column('realized_pnl', r => r.realizedPnL)
+  ],
+  balance: [
+    column('time', r => iso(r.time)),
+    column('type', r => r.type),
+    column('position_id', r => r.positionId),
+    column('market', r => r.market),
+    column('amount', r => r.amount),
+    column('balance', r => r.balance)
+  ]
+};
+
+export const EXPORT_DATASETS = Object.keys(EXPORT_COLUMNS);
+
+export const BALANCE_CHANGE_TYPES = ['REALIZED_PNL', 'FEE', 'FUNDING'];
+
+/**
+ * Realized balance changes, oldest first, with the balance after each one.
+ * Margin moving between the balance and positions or orders is not a change.
+ * @param {Object} account - { tradeHistory, fundingHistory, feeHistory }
+ * @param {number} startingBalance - Balance before the first change
+ * @returns {Array} - { time, type, positionId, market, amount, balance }
+ */
+export const getBalanceChanges = (account, startingBalance = 0) => {
+  const changes = [
+    ...(account.tradeHistory || []).map(r => ({
+      time: r.closeTime, type: 'REALIZED_PNL', positionId: r.positionId, market: r.market, amount: r.realizedPnL
+    })),
+    ...(account.feeHistory || []).map(f => ({
+      time: f.time, type: 'FEE', positionId: f.positionId, market: f.market, amount: -f.amount
+    })),
+    ...(account.fundingHistory || []).map(p => ({
+      time: p.time, type: 'FUNDING', positionId: p.positionId, market: p.market, amount: -p.amount
+    }))
+  ].sort((a, b) => a.time - b.time || BALANCE_CHANGE_TYPES.indexOf(a.type) - BALANCE_CHANGE_TYPES.indexOf(b.type));
+
+  let balance = startingBalance;
+  return changes.map(change => {
+    balance += change.amount;
+    return { ...change, balance };
+  });
+};
+
+// Ledger entries behind a dataset, oldest first, with the time used for filtering
+const getEntries = (account, dataset, startingBalance) => {
+  const byTime = (a, b) => a.time - b.time;
+  const trades = (account.tradeHistory || []).map(r => ({ time: r.closeTime, record: r }));
+
+  switch (dataset) {
+    case 'trades':
+      return trades.sort(byTime);
+    case 'liquidations':
+      return trades.filter(({ record }) => record.exitReason === 'LIQUIDATION').sort(byTime);
+    case 'funding':
+      return (account.fundingHistory || []).map(p => ({ time: p.time, record: p })).sort(byTime);
+    case 'fees':
+      return (account.feeHistory || []).map(f => ({ time: f.time, record: f })).sort(byTime);
+    case 'balance':
+      return getBalanceChanges(account, startingBalance).map(c => ({ time: c.time, record: c }));
+    default:
+      throw new Error(`Unknown export dataset: ${dataset}`);
+  }
+};
+
+/**
+ * Rows of a dataset, keyed by column name
+ * @param {Object} account - Account state
+ * @param {string} dataset - One of EXPORT_DATASETS
+ * @param {Object} options - { from, to, market, startingBalance } where from / to are
+ *   inclusive timestamps (null for open-ended) and market 'ALL' disables the filter.
+ *   The running balance is computed over the full ledger before filtering.
+ * @returns {Array}
+ */
+export const getExportRows = (account, dataset, { from = null, to = null, market = 'ALL', startingBalance = 0 } = {}) => {
+  const columns = EXPORT_COLUMNS[dataset];
+
+  return getEntries(account, dataset, startingBalance)
+    .filter(({ time, record }) => (
+      (from == null || time >= from)
+      && (to == null || time <= to)
+      && (!market || market === 'ALL' || record.market === market)
+    ))
+    .map(({ record }) => Object.fromEntries(columns.map(c => [c.name, c.value(record) ?? null])));
+};
+
+const escapeCsv = (value) => {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * CSV text with a header row (RFC 4180 quoting, \r\n line endings)
+ * @param {string} dataset - One of EXPORT_DATASETS
+ * @param {Array} rows - From getExportRows
+ * @returns {string}
+ */
+export const toCSV = (dataset, rows) => {
+  const names = EXPORT_COLUMNS[dataset].map(c => c.name);
+  return [names, ...rows.map(row => names.map(name => row[name]))]
+    .map(values => values.map(escapeCsv).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+/**
+ * JSON document with the schema version, filters and column list next to the rows
+ * @param {string} dataset - One of EXPORT_DATASETS
+ * @param {Array} rows - From getExportRows
+ * @param {Object} meta - { filters, exportedAt }
+ * @returns {string}
+ */
+export const toJSON = (dataset, rows, { filters = {}, exportedAt = Date.now() } = {}) => JSON.stringify({
+  schemaVersion: EXPORT_SCHEMA_VERSION,
+  dataset,
+  exportedAt: iso(exportedAt),
+  filters: {
+    from: iso(filters.from),
+    to: iso(filters.to),
+    market: filters.market || 'ALL'
+  },
+  columns: EXPORT_COLUMNS[dataset].map(c => c.name),
+  rows
+}, null, 2);
+
+/**
+ * File name for an export, e.g. perpsx-trades-2024-05-01.csv
+ * @param {string} dataset
+ * @param {string} format - CSV or JSON
+ * @param {number} now - Timestamp in ms
+ * @returns {string}
+ */
+export const getExportFilename = (dataset, format, now = Date.now()) => (
+  `perpsx-${dataset}-${iso(now).slice(0, 10)}.${format.toLowerCase()}`
+);
@@ -0,0 +1,90 @@
+/**
+ * Maker/taker fee schedule with volume tiers.
+ *
+ * Orders that add liquidity (a limit order that rested on the book before it
+ * filled) pay the maker rate; everything that takes liquidity (market orders,
+ * stops, marketable limits and every close) pays the taker rate. Both rates
+ * drop as the account's traded notional over the last 30 days grows.
+ *
+ * Volume is kept as daily buckets { day, notional } so the persisted history
+ * stays small; buckets older than the window are pruned as new volume comes in.
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Rolling window the fee tier is based on
+export const VOLUME_WINDOW_DAYS = 30;
+
+/**
+ * Fee tiers, lowest volume first
+ * - minVolume: 30-day notional needed for the tier
+ * - maker / taker: rates on the filled notional (0.0002 = 0.02%)
+ */
+export const FEE_TIERS = [
+  { name: 'VIP 0', minVolume: 0, maker: 0.0002, taker: 0.0005 },
+  { name: 'VIP 1', minVolume: 50000, maker: 0.00016, taker: 0.00045 },
+  { name: 'VIP 2', minVolume: 250000, maker: 0.00012, taker: 0.0004 },
+  { name: 'VIP 3', minVolume: 1000000, maker: 0.00008, taker: 0.00035 },
+  { name: 'VIP 4', minVolume: 5000000, maker: 0.00004, taker: 0.0003 }
+];
+
+const startOfDay = (time) => Math.floor(time / DAY) * DAY;
+
+const pruneVolume = (history = [], now) => {
+  const cutoff = startOfDay(now) - (VOLUME_WINDOW_DAYS - 1) * DAY;
+  return history.filter(bucket => bucket.day >= cutoff);
+};
+
+/**
+ * Add traded notional to the volume history
+ * @param {Array} history - Daily buckets { day, notional }
+ * @param {number} notional - USD notional traded
+ * @param {number} now - Timestamp in ms
+ * @returns {Array} - Updated buckets, without those outside the window
+ */
+export const recordVolume = (history, notional, now = Date.now()) => {
+  const recent = pruneVolume(history, now);
+  if (!(notional > 0)) return recent;
+
+  const day = startOfDay(now);
+  const last = recent[recent.length - 1];
+  return last && last.day === day
+    ? [...recent.slice(0, -1), { day, notional: last.notional + notional }]
+    : [...recent, { day, notional }];
+};
+
+/**
+ * Notional traded over the last VOLUME_WINDOW_DAYS days (today included)
+ * @param {Array} history - Daily buckets { day, notional }
+ * @param {number} now - Timestamp in ms
+ * @returns {number}
+ */
+export const getRollingVolume = (history, now = Date.now()) => (
+  pruneVolume(history, now).reduce((sum, bucket) => sum + bucket.notional, 0)
+);
+
+/**
+ * Tier for a 30-day volume
+ * @param {number} volume
+ * @param {Array} schedule - Tier table (default: FEE_TIERS)
+ * @returns {Object} - { tier, nextTier } where nextTier is null at the top tier
+ */
+export const getFeeTier = (volume, schedule = FEE_TIERS) => {
+  const index = schedule.reduce((found, tier, i) => (volume >= tier.minVolume ? i : found), 0);
+  return { tier: schedule[index], nextTier: schedule[index + 1] ?? null };
+};
+
+/**
+ * Maker and taker rates an account pays right now
+ * @param {Array} history - The account's volume buckets
+ * @param {Array|null} schedule - Tier table; null charges no fees
+ * @param {number} now - Timestamp in ms
+ * @returns {Object} - { maker, taker, tier, nextTier, volume }
+ */
+export const getFeeRates = (history, schedule = FEE_TIERS, now = Date.now()) => {
+  const volume = getRollingVolume(history, now);
+  if (!schedule) return { maker: 0, taker: 0, tier: null, nextTier: null, volume };
+
+  const { tier, nextTier } = getFeeTier(volume, schedule);
+  return { maker: tier.maker, taker: tier.taker, tier, nextTier, volume };
+};
@@ -0,0 +1,132 @@
+/**
+ * Funding rate model.
+ *
+ * The perp trades at a small premium or discount to the index. That premium is
+ * simulated here as a mean-reverting random walk, sampled between funding
+ * times and turned into a rate the way real venues do it:
+ *
+ *   rate = avgPremium + clamp(interestRate - avgPremium, -FUNDING_CLAMP, FUNDING_CLAMP)
+ *   rate = clamp(rate, -FUNDING_CAP, FUNDING_CAP)
+ *
+ * A positive rate means longs pay shorts. Like the trading engine, every
+ * function is pure; the random source is passed in.
+ */
+
+export const FUNDING_INTERVAL = 30000; // 30 seconds per funding period in the demo
+
+// Interest component per funding period (0.01%)
+export const FUNDING_INTEREST_RATE = 0.0001;
+
+// Band around the premium within which the interest component applies (±0.05%)
+export const FUNDING_CLAMP = 0.0005;
+
+// Hard cap on the rate for one period (±0.75%)
+export const FUNDING_CAP = 0.0075;
+
+// Premium random walk: pull back towards 0 each step, plus noise of up to ±0.05%
+const PREMIUM_REVERSION = 0.05;
+const PREMIUM_VOLATILITY = 0.0005;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Next funding time on a fixed schedule (multiples of the interval since epoch)
+ * @param {number} now - Timestamp in ms
+ * @param {number} interval - Funding interval in ms
+ * @returns {number}
+ */
+export const getNextFundingTime = (now, interval = FUNDING_INTERVAL) => (
+  Math.floor(now / interval) * interval + interval
+);
+
+/**
+ * Empty tracker for one funding period
+ * @param {number} now - Timestamp in ms
+ * @returns {Object} - { premiums, samples, nextFundingTime }
+ */
+export const createFundingTracker = (now = Date.now()) => ({
+  premiums: {}, // market -> current premium of the perp over the index
+  samples: {}, // market -> { sum, count } of premiums seen this period
+  nextFundingTime: getNextFundingTime(now)
+});
+
+/**
+ * Advance a premium one step of the mean-reverting walk
+ * @param {number} premium - Current premium (e.g. 0.0003 = +0.03%)
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {number}
+ */
+export const stepPremium = (premium, random) => (
+  premium * (1 - PREMIUM_REVERSION) + (random() - 0.5) * 2 * PREMIUM_VOLATILITY
+);
+
+/**
+ * Step every market's premium and record it towards this period's average
+ * @param {Object} tracker - Funding tracker
+ * @param {Object} indexPrices - Map of market -> index price (markets without a price are skipped)
+ * @param {Function} random - Returns a number in [0, 1)
+ * @returns {Object} - Updated tracker
+ */
+export const samplePremium = (tracker, indexPrices, random) => {
+  const premiums = { ...tracker.premiums };
+  const samples = { ...tracker.samples };
+
+  Object.entries(indexPrices).forEach(([market, price]) => {
+    if (!price) return;
+    const premium = stepPremium(premiums[market] ?? 0, random);
+    const sample = samples[market] || { sum: 0, count: 0 };
+
+    premiums[market] = premium;
+    samples[market] = { sum: sample.sum + premium, count: sample.count + 1 };
+  });
+
+  return { ...tracker, premiums, samples };
+};
+
+/**
+ * Funding rate for an average premium, clamped and capped
+ * @param {number} averagePremium
+ * @returns {number}
+ */
+export const calculateFundingRate = (averagePremium) => {
+  const rate = averagePremium + clamp(FUNDING_INTEREST_RATE - averagePremium, -FUNDING_CLAMP, FUNDING_CLAMP);
+  return clamp(rate, -FUNDING_CAP, FUNDING_CAP);
+};
+
+/**
+ * Rates each market would pay if funding happened now (the predicted rate),
+ * from the premiums averaged so far this period
+ * @param {Object} tracker - Funding tracker
+ * @returns {Object} - Map of market -> rate
+ */
+export const predictFundingRates = (tracker) => Object.fromEntries(
+  Object.entries(tracker.samples).map(([market, { sum, count }]) => [
+    market,
+    calculateFundingRate(count > 0 ? sum / count : 0)
+  ])
+);
+
+/**
+ * Perp prices implied by the index and the current premiums
+ * @param {Object} tracker - Funding tracker
+ * @param {Object} indexPrices - Map of market -> index price
+ * @returns {Object} - Map of market -> perp price
+ */
+export const getPerpPrices = (tracker, indexPrices) => Object.fromEntries(
+  Object.entries(indexPrices).map(([market, price]) => [
+    market,
+    price ? price * (1 + (tracker.premiums[market] ?? 0)) : price
+  ])
+);
+
+/**
+ * Start the next funding period, keeping the premiums where they are
+ * @param {Object} tracker - Funding tracker
+ * @param {number} now - Timestamp in ms
+ * @returns {Object}
+ */
+export const resetFundingTracker = (tracker, now = Date.now()) => ({
+  ...tracker,
+  samples: {},
+  nextFundingTime: getNextFundingTime(now)
+});
@@ -0,0 +1,117 @@
+/**
+ * Closed-position history.
+ *
+ * Every position (or slice of one) that leaves the book through a manual
+ * close, a one-way reduction, TP/SL, a trailing stop or a liquidation is
+ * turned into a flat trade record and kept on the account, newest first.
+ * Records only hold plain numbers and strings, so they persist as-is.
+ */
+
+// Oldest records are dropped beyond this many to keep the saved state small
+export const MAX_TRADE_HISTORY = 1000;
+
+export const TRADE_OUTCOMES = ['WIN', 'LOSS', 'LIQUIDATED'];
+
+/**
+ * Flatten a closed position into a trade record
+ * @param {Object} closed - Settled position from the trading engine (exitPrice, exitReason,
+ *   realizedPnL, closeFee, ... set)
+ * @param {number} now - Close time in ms
+ * @param {number} index - Position of the record among those closed at `now`, keeps ids unique
+ * @returns {Object} - { id, positionId, market, direction, marginMode, riskMode, leverage, size,
+ *   entryPrice, exitPrice, exitReason, partial, realizedPnL, openFee, closeFee, fees,
+ *   fundingPaid, fundingReceived, netFunding, netPnL, openTime, closeTime, holdDuration,
+ *   liquidation } where liquidation is the engine's liquidation record (or null)
+ */
+export const createTradeRecord = (closed, now, index = 0) => {
+  const openFee = closed.openFee ?? 0;
+  const closeFee = closed.closeFee ?? 0;
+  const fundingPaid = closed.fundingPaid ?? 0;
+  const fundingReceived = closed.fundingReceived ?? 0;
+  const netFunding = fundingReceived - fundingPaid;
+  // Positions saved before openTime existed were keyed by their open timestamp
+  const openTime = closed.openTime ?? closed.id;
+
+  return {
+    id: `${closed.id}-${now}-${index}`,
+    positionId: closed.id,
+    market: closed.market,
+    direction: closed.direction,
+    marginMode: closed.marginMode || 'ISOLATED',
+    riskMode: closed.riskMode ?? null,
+    leverage: closed.leverage,
+    size: closed.size,
+    entryPrice: closed.entryPrice,
+    exitPrice: closed.exitPrice,
+    exitReason: closed.exitReason,
+    partial: Boolean(closed.partial),
+    realizedPnL: closed.realizedPnL,
+    openFee,
+    closeFee,
+    fees: openFee + closeFee,
+    fundingPaid,
+    fundingReceived,
+    netFunding,
+    netPnL: closed.realizedPnL - openFee - closeFee + netFunding,
+    openTime,
+    closeTime: now,
+    holdDuration: Math.max(0, now - openTime),
+    liquidation: closed.liquidation ?? null
+  };
+};
+
+/**
+ * Add closed positions to the front of the history
+ * @param {Array} history - Trade records, newest first
+ * @param {Array} closed - Settled positions
+ * @param {number} now - Close time in ms
+ * @returns {Array}
+ */
+export const appendTradeHistory = (history = [], closed, now) => {
+  if (closed.length === 0) return history;
+
+  const records = closed.map((position, i) => createTradeRecord(position, now, i));
+  return [...records.reverse(), ...history].slice(0, MAX_TRADE_HISTORY);
+};
+
+/**
+ * Outcome of a trade: LIQUIDATED, or WIN / LOSS on its net PnL
+ * @param {Object} record - Trade record
+ * @returns {string}
+ */
+export const getTradeOutcome = (record) => {
+  if (record.exitReason === 'LIQUIDATION') return 'LIQUIDATED';
+  return record.netPnL >= 0 ? 'WIN' : 'LOSS';
+};
+
+/**
+ * Filter trade records; 'ALL' (or an empty value) disables a filter. LOSS
+ * includes liquidations.
+ * @param {Array} history - Trade records
+ * @param {Object} filters - { market, direction, outcome }
+ * @returns {Array}
+ */
+export const filterTradeHistory = (history, { market, direction, outcome } = {}) => history.filter(record => {
+  if (market && market !== 'ALL' && record.market !== market) return false;
+  if (direction && direction !== 'ALL' && record.direction !== direction) return false;
+  if (outcome && outcome !== 'ALL') {
+    const recordOutcome = getTradeOutcome(record);
+    if (outcome === 'LOSS' ? recordOutcome === 'WIN' : recordOutcome !== outcome) return false;
+  }
+  return true;
+});
+
+/**
+ * Human-readable hold duration
+ * @param {number} ms
+ * @returns {string} - e.g. "45s", "12m 05s", "3h 20m", "2d 4h"
+ */
+export const formatDuration = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ${minutes % 60}m`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+};
@@ -0,0 +1,204 @@
+/**
+ * Market registry.
+ *
+ * Every market the app trades is one entry here; price feeds, order books,
+ * maintenance margin, leverage limits, demo prices and the market picker all
+ * read from it. An entry:
+ * - symbol / name: the base asset, quoted against USD(T)
+ * - feeds: the market's id on each price provider (see priceFeeds.js); a
+ *   provider without an id doesn't quote the market
+ * - tickSize: smallest price increment of the book
+ * - lotSize: smallest tradable quantity, in the base asset
+ * - maxLeverage: highest leverage an order may use
+ * - volatility: one of VOLATILITY_PROFILES, drives the demo price walks
+ * - precision: decimals prices are shown with
+ * - basePrice: where demo and fallback prices start
+ * - maintenanceTiers (optional): margin brackets, each with the highest
+ *   leverage a position reaching it may use; see tradingEngine.js
+ * - book (optional): order book shape, see orderBook.js
+ *
+ * Markets without their own tiers or book shape get the most conservative ones.
+ * This module has no imports so Node scripts can load it directly.
+ */
+
+// Largest demo price move per step (fraction) for each volatility class
+export const VOLATILITY_PROFILES = {
+  LOW: 0.002,
+  MEDIUM: 0.003,
+  HIGH: 0.004,
+  EXTREME: 0.006
+};
+
+export const MARKETS = {
+  BTC: {
+    symbol: 'BTC',
+    name: 'Bitcoin',
+    feeds: {
+      coingecko: 'bitcoin',
+      binance: 'BTCUSDT',
+      kraken: { pair: 'XBTUSD', result: 'XXBTZUSD', ws: 'BTC/USD' }
+    },
+    tickSize: 0.1,
+    lotSize: 0.0001,
+    maxLeverage: 100,
+    volatility: 'LOW',
+    precision: 2,
+    basePrice: 95000,
+    maintenanceTiers: [
+      { upTo: 50000, rate: 0.004, maxLeverage: 100 },
+      { upTo: 250000, rate: 0.005, maxLeverage: 50 },
+      { upTo: 1000000, rate: 0.01, maxLeverage: 25 },
+      { upTo: Infinity, rate: 0.025, maxLeverage: 10 }
+    ],
+    book: { spreadBps: 1, levelStepBps: 2, baseDepth: 40000, depthGrowth: 0.15 }
+  },
+  ETH: {
+    symbol: 'ETH',
+    name: 'Ethereum',
+    feeds: {
+      coingecko: 'ethereum',
+      binance: 'ETHUSDT',
+      kraken: { pair: 'ETHUSD', result: 'XETHZUSD', ws: 'ETH/USD' }
+    },
+    tickSize: 0.01,
+    lotSize: 0.001,
+    maxLeverage: 100,
+    volatility: 'MEDIUM',
+    precision: 2,
+    basePrice: 3500,
+    maintenanceTiers: [
+      { upTo: 25000, rate: 0.005, maxLeverage: 100 },
+      { upTo: 100000, rate: 0.0065, maxLeverage: 50 },
+      { upTo: 500000, rate: 0.01, maxLeverage: 25 },
+      { upTo: Infinity, rate: 0.025, maxLeverage: 10 }
+    ],
+    book: { spreadBps: 2, levelStepBps: 3, baseDepth: 25000, depthGrowth: 0.15 }
+  },
+  SOL: {
+    symbol: 'SOL',
+    name: 'Solana',
+    feeds: {
+      coingecko: 'solana',
+      binance: 'SOLUSDT',
+      kraken: { pair: 'SOLUSD', result: 'SOLUSD', ws: 'SOL/USD' }
+    },
+    tickSize: 0.001,
+    lotSize: 0.01,
+    maxLeverage: 50,
+    volatility: 'HIGH',
+    precision: 3,
+    basePrice: 140,
+    maintenanceTiers: [
+      { upTo: 10000, rate: 0.01, maxLeverage: 50 },
+      { upTo: 50000, rate: 0.015, maxLeverage: 25 },
+      { upTo: 250000, rate: 0.025, maxLeverage: 15 },
+      { upTo: Infinity, rate: 0.05, maxLeverage: 5 }
+    ],
+    book: { spreadBps: 4, levelStepBps: 5, baseDepth: 10000, depthGrowth: 0.12 }
+  },
+  DOGE: {
+    symbol: 'DOGE',
+    name: 'Dogecoin',
+    feeds: {
+      coingecko: 'dogecoin',
+      binance: 'DOGEUSDT',
+      kraken: { pair: 'XDGUSD', result: 'XDGUSD', ws: 'DOGE/USD' }
+    },
+    tickSize: 0.00001,
+    lotSize: 1,
+    maxLeverage: 25,
+    volatility: 'EXTREME',
+    precision: 5,
+    basePrice: 0.35
+  },
+  AVAX: {
+    symbol: 'AVAX',
+    name: 'Avalanche',
+    feeds: {
+      coingecko: 'avalanche-2',
+      binance: 'AVAXUSDT',
+      kraken: { pair: 'AVAXUSD', result: 'AVAXUSD', ws: 'AVAX/USD' }
+    },
+    tickSize: 0.001,
+    lotSize: 0.1,
+    maxLeverage: 25,
+    volatility: 'HIGH',
+    precision: 3,
+    basePrice: 38
+  }
+};
+
+// Registry order, which is also the order the picker lists them in
+export const MARKET_SYMBOLS = Object.keys(MARKETS);
+
+export const DEFAULT_MARKET = MARKET_SYMBOLS[0];
+
+/**
+ * @param {string} symbol
+ * @returns {Object|undefined} - Registry entry
+ */
+export const getMarket = (symbol) => MARKETS[symbol];
+
+/**
+ * Largest demo price move per step for a market
+ * @param {string} symbol
+ * @returns {number} - Fraction; unknown markets count as HIGH
+ */
+export const getVolatility = (symbol) => VOLATILITY_PROFILES[MARKETS[symbol]?.volatility] ?? VOLATILITY_PROFILES.HIGH;
+
+/**
+ * Map of market -> id for one provider, covering the markets it quotes
+ * @param {string} provider - Key in each entry's feeds, e.g. 'binance'
+ * @returns {Object}
+ */
+export const getFeedIds = (provider) => Object.fromEntries(
+  MARKET_SYMBOLS
+    .filter(symbol => MARKETS[symbol].feeds?.[provider] !== undefined)
+    .map(symbol => [symbol, MARKETS[symbol].feeds[provider]])
+);
+
+/**
+ * Map of market -> entry field, for the markets that define it
+ * @param {string} field - e.g. 'maintenanceTiers' or 'basePrice'
+ * @returns {Object}
+ */
+export const getMarketField = (field) => Object.fromEntries(
+  MARKET_SYMBOLS
+    .filter(symbol => MARKETS[symbol][field] !== undefined)
+    .map(symbol => [symbol, MARKETS[symbol][field]])
+);
+
+/**
+ * Markets whose symbol or name matches a search, symbol prefix matches first
+ * @param {string} query - Case-insensitive; empty lists every market
+ * @returns {Array} - Registry entries
+ */
+export const searchMarkets = (query = '') => {
+  const q = query.trim().toLowerCase();
+  if (!q) return MARKET_SYMBOLS.map(getMarket);
+
+  const rank = (market) => {
+    const symbol = market.symbol.toLowerCase();
+    if (symbol === q) return 0;
+    if (symbol.startsWith(q)) return 1;
+    if (market.name.toLowerCase().startsWith(q)) return 2;
+    return 3;
+  };
+
+  return MARKET_SYMBOLS
+    .map(getMarket)
+    .filter(market => market.symbol.toLowerCase().includes(q) || market.name.toLowerCase().includes(q))
+    .sort((a, b) => rank(a) - rank(b));
+};
+
+/**
+ * Format a price with the market's display precision
+ * @param {string} symbol
+ * @param {number} price
+ * @returns {string} - e.g. "$95,012.50", or "..." without a price
+ */
+export const formatMarketPrice = (symbol, price) => {
+  if (!price) return '...';
+  const digits = MARKETS[symbol]?.precision ?? 2;
+  return `$${Number(price).toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+};
@@ -0,0 +1,196 @@
+/**
+ * Synthetic L2 order book.
+ *
+ * Each market gets a ladder of bid and ask levels generated around the mark
+ * price: the best levels sit half a spread away from the mid, further levels
+ * step out by `levelStepBps` and get deeper by `depthGrowth` per level. Level
+ * sizes carry a little noise derived from the level price, so the book looks
+ * alive as the mark moves but is fully reproducible for a given mid.
+ *
+ * Market orders walk the book and fill at the volume-weighted average price.
+ */
+
+import { MARKET_SYMBOLS, getMarket } from './markets.js';
+
+// Price levels per side
+export const BOOK_LEVELS = 25;
+
+// Markets without their own shape get the thinnest book
+const DEFAULT_BOOK_SHAPE = { spreadBps: 4, levelStepBps: 5, baseDepth: 10000, depthGrowth: 0.12 };
+
+/**
+ * Book shape per market, from the market registry (`book`, `tickSize`, `lotSize`)
+ * - levels: price levels per side
+ * - spreadBps: distance between best bid and best ask, in basis points of the mid
+ * - levelStepBps: distance between consecutive levels
+ * - baseDepth: USD notional resting at the best level
+ * - depthGrowth: extra depth per level further out (0.15 = +15% per level)
+ * - tickSize: price increment levels are rounded to
+ * - lotSize: quantity increment level sizes are rounded down to
+ */
+export const BOOK_CONFIG = Object.fromEntries(MARKET_SYMBOLS.map(symbol => {
+  const market = getMarket(symbol);
+  return [symbol, {
+    levels: BOOK_LEVELS,
+    ...(market.book ?? DEFAULT_BOOK_SHAPE),
+    tickSize: market.tickSize,
+    lotSize: market.lotSize
+  }];
+}));
+
+const DEFAULT_BOOK_CONFIG = { levels: BOOK_LEVELS, ...DEFAULT_BOOK_SHAPE, tickSize: 0.001, lotSize: 0.01 };
+
+// Default max slippage tolerance for market orders, in percent
+export const DEFAULT_MAX_SLIPPAGE = 0.5;
+
+const roundToTick = (price, tickSize) => Math.round(price / tickSize) * tickSize;
+
+// Deterministic noise in [0, 1) from a price, so the same level keeps the same size
+const levelNoise = (price) => {
+  const x = Math.sin(price * 12.9898) * 43758.5453;
+  return x - Math.floor(x);
+};
+
+/**
+ * Generate a book around a mid price
+ * @param {string} market - Market symbol (see markets.js)
+ * @param {number} midPrice - Usually the mark price
+ * @param {Object} overrides - Any BOOK_CONFIG fields to override (depth, spread, ...)
+ * @returns {Object|null} - { market, mid, bids, asks, tickSize, lotSize } with levels
+ *   { price, quantity, notional } best first, or null without a price
+ */
+export const generateOrderBook = (market, midPrice, overrides = {}) => {
+  if (!midPrice) return null;
+
+  const config = { ...(BOOK_CONFIG[market] || DEFAULT_BOOK_CONFIG), ...overrides };
+  const halfSpread = midPrice * config.spreadBps / 20000;
+  const step = midPrice * config.levelStepBps / 10000;
+
+  const buildSide = (sign) => Array.from({ length: config.levels }, (_, i) => {
+    const price = roundToTick(midPrice + sign * (halfSpread + i * step), config.tickSize);
+    const target = config.baseDepth * (1 + config.depthGrowth * i) * (0.6 + 0.8 * levelNoise(price));
+    const quantity = Math.max(1, Math.floor(target / price / config.lotSize)) * config.lotSize;
+    return { price, quantity, notional: quantity * price };
+  });
+
+  return {
+    market,
+    mid: midPrice,
+    bids: buildSide(-1),
+    asks: buildSide(1),
+    tickSize: config.tickSize,
+    lotSize: config.lotSize
+  };
+};
+
+/**
+ * Generate a book for every market with a price
+ * @param {Object} midPrices - Map of market -> mid price
+ * @param {Object} overrides - BOOK_CONFIG overrides applied to every market
+ * @returns {Object} - Map of market -> book (or null)
+ */
+export const generateOrderBooks = (midPrices, overrides) => Object.fromEntries(
+  Object.entries(midPrices).map(([market, price]) => [market, generateOrderBook(market, price, overrides)])
+);
+
+/**
+ * Walk one side of the book for a USD notional
+ * @param {Object} book - Order book
+ * @param {string} direction - LONG buys from the asks, SHORT sells into the bids
+ * @param {number} notional - USD notional to fill
+ * @returns {Object} - { price (VWAP), quantity, filledNotional, worstPrice, levelsUsed, slippage }
+ *   where slippage is the fractional VWAP distance from the mid against the trader,
+ *   or { error } when the book is too thin
+ */
+export const walkBook = (book, direction, notional) => {
+  if (!book) return { error: 'No order book available' };
+  if (!(notional > 0)) return { error: 'Invalid order size' };
+
+  const levels = direction === 'LONG' ? book.asks : book.bids;
+  let remaining = notional;
+  let quantity = 0;
+  let levelsUsed = 0;
+  let worstPrice = null;
+
+  for (const level of levels) {
+    if (remaining <= 0) break;
+    const take = Math.min(remaining, level.notional);
+    quantity += take / level.price;
+    remaining -= take;
+    worstPrice = level.price;
+    levelsUsed += 1;
+  }
+
+  if (remaining > 1e-9) {
+    return { error: `Not enough liquidity: $${(notional - remaining).toFixed(2)} of $${notional.toFixed(2)} available` };
+  }
+
+  const price = notional / quantity;
+  const slippage = direction === 'LONG' ? (price - book.mid) / book.mid : (book.mid - price) / book.mid;
+
+  return { price, quantity, filledNotional: notional, worstPrice, levelsUsed, slippage };
+};
+
+/**
+ * Quote a market order against the book and enforce a slippage tolerance
+ * @param {Object} book - Order book
+ * @param {string} direction - LONG or SHORT
+ * @param {number} notional - USD notional
+ * @param {Object} options - { maxSlippage } in percent (default: DEFAULT_MAX_SLIPPAGE)
+ * @returns {Object} - walkBook result, with `error` set when the tolerance is exceeded
+ */
+export const quoteMarketOrder = (book, direction, notional, { maxSlippage = DEFAULT_MAX_SLIPPAGE } = {}) => {
+  const quote = walkBook(book, direction, notional);
+  if (quote.error) return quote;
+
+  if (quote.slippage * 100 > maxSlippage) {
+    return {
+      ...quote,
+      error: `Estimated slippage ${(quote.slippage * 100).toFixed(3)}% exceeds max ${maxSlippage}%`
+    };
+  }
+
+  return quote;
+};
+
+/**
+ * Tick sizes a book can be grouped by: the native tick and coarser multiples
+ * @param {number} tickSize - Native tick of the book
+ * @returns {number[]}
+ */
+export const getGroupingSizes = (tickSize) => [1, 10, 100, 1000].map(multiple => (
+  parseFloat((tickSize * multiple).toPrecision(6))
+));
+
+/**
+ * Merge the levels of one side into coarser price buckets and add running totals
+ * @param {Array} levels - Levels of one side, best first
+ * @param {string} side - 'bids' round down to the bucket, 'asks' round up, so a
+ *   bucket never shows a better price than the liquidity in it
+ * @param {number} groupSize - Bucket width in price units
+ * @returns {Array} - { price, quantity, notional, cumulativeQuantity, cumulativeNotional } best first
+ */
+export const groupLevels = (levels, side, groupSize) => {
+  const bucketOf = side === 'bids' ? Math.floor : Math.ceil;
+  const buckets = [];
+
+  levels.forEach(level => {
+    // Round away float noise (e.g. 94000.30000000001) before bucketing
+    const price = parseFloat((bucketOf(parseFloat((level.price / groupSize).toFixed(6))) * groupSize).toPrecision(12));
+    const last = buckets[buckets.length - 1];
+    if (last && last.price === price) {
+      last.quantity += level.quantity;
+      last.notional += level.notional;
+    } else {
+      buckets.push({ price, quantity: level.quantity, notional: level.notional });
+    }
+  });
+
+  let cumulativeQuantity = 0;
+  let cumulativeNotional = 0;
+  return buckets.map(bucket => {
+    cumulativeQuantity += bucket.quantity;
+    cumulativeNotional += bucket.notional;
+    return { ...bucket, cumulativeQuantity, cumulativeNotional };
+  });
+};
@@ -0,0 +1,395 @@
+/**
+ * Versioned snapshots of the saved app state (`perpsx_state`).
+ *
+ * Every snapshot carries a `version`. Snapshots saved before versioning are
+ * version 0. On load, the migrations newer than the snapshot run in order, then
+ * the result is validated: malformed positions, orders and ledger entries are
+ * dropped (returning any margin they held to the balance) instead of reaching
+ * the engine. A snapshot that can't be read at all is reported as an error so
+ * the caller can keep a copy and start fresh.
+ *
+ * Like the engine, this module never touches localStorage itself.
+ */
+
+import {
+  calculateLiquidationPrice,
+  calculateMaintenanceMargin,
+  LEVERAGE_BY_RISK_MODE,
+  ORDER_TYPES,
+  POSITION_MODES,
+  MARGIN_MODES
+} from './tradingEngine.js';
+import { MARKET_SYMBOLS } from './markets.js';
+import { PRICE_SOURCES } from './prices.js';
+
+export const STATE_VERSION = 2;
+
+export const STORAGE_KEY = 'perpsx_state';
+
+// Unreadable snapshots are copied here before the app starts fresh
+export const BACKUP_STORAGE_KEY = 'perpsx_state_backup';
+
+// Tabs of the portfolio panel
+export const PORTFOLIO_TABS = ['POSITIONS', 'HISTORY', 'ANALYTICS', 'EXPORT'];
+
+const DIRECTIONS = ['LONG', 'SHORT'];
+
+// Resting orders are never MARKET
+const RESTING_ORDER_TYPES = ORDER_TYPES.filter(type => type !== 'MARKET');
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isPositive = (value) => Number.isFinite(value) && value > 0;
+const isNonNegative = (value) => Number.isFinite(value) && value >= 0;
+
+// Maintenance margin from the market's brackets, and the isolated liquidation
+// price that goes with it (cross prices are set on the next mark)
+const withMaintenance = (position) => {
+  const maintenanceMargin = calculateMaintenanceMargin(position.market, position.size);
+  if (position.marginMode === 'CROSS') return { ...position, maintenanceMargin };
+
+  return {
+    ...position,
+    maintenanceMargin,
+    liquidationPrice: calculateLiquidationPrice(
+      position.direction, position.entryPrice, position.size / position.initialMargin, maintenanceMargin / position.size
+    )
+  };
+};
+
+// Positions from the old useTradingEngine model have no riskAmount and used a
+// 50% maintenance margin; rebuild their margin fields the way the engine does.
+const upgradeLegacyPosition = (position) => {
+  if (!isObject(position) || position.riskAmount !== undefined) return position;
+  if (!isPositive(position.size) || !isPositive(position.entryPrice) || !isPositive(position.leverage)) return position;
+
+  const initialMargin = isPositive(position.initialMargin) ? position.initialMargin : position.size / position.leverage;
+
+  return withMaintenance({
+    ...position,
+    riskAmount: initialMargin,
+    initialMargin,
+    marginUsed: initialMargin
+  });
+};
+
+// Fields positions gained after the first engine release. Positions from
+// before maintenance brackets were saved with a maintenance margin of 0.
+const addPositionDefaults = (position) => {
+  if (!isObject(position)) return position;
+
+  const upgraded = {
+    unrealizedPnL: 0,
+    marginMode: 'ISOLATED',
+    openTime: position.id,
+    openFee: 0,
+    fundingPaid: 0,
+    fundingReceived: 0,
+    takeProfitLevels: [],
+    initialSize: position.size,
+    trailingStop: null,
+    ...position
+  };
+  const canRebuild = isPositive(upgraded.size) && isPositive(upgraded.entryPrice) && isPositive(upgraded.initialMargin);
+  return canRebuild && !isPositive(upgraded.maintenanceMargin) ? withMaintenance(upgraded) : upgraded;
+};
+
+const mapList = (list, fn) => (Array.isArray(list) ? list.map(fn) : list);
+
+/**
+ * Migrations, oldest first. Each one takes a snapshot of the previous version
+ * and returns one of `version`.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Legacy positions and position mode',
+    migrate: (state) => ({
+      ...state,
+      // Snapshots saved before netting existed were built as hedged positions
+      positionMode: state.positionMode ?? 'HEDGE',
+      positions: mapList(state.positions, upgradeLegacyPosition)
+    })
+  },
+  {
+    version: 2,
+    description: 'Fees, ledgers and position bookkeeping fields',
+    migrate: (state) => ({
+      feesPaid: 0,
+      volume: [],
+      tradeHistory: [],
+      fundingHistory: [],
+      feeHistory: [],
+      equityHistory: [],
+      ...state,
+      positions: mapList(state.positions, addPositionDefaults)
+    })
+  }
+];
+
+/**
+ * Bring a snapshot up to STATE_VERSION
+ * @param {Object} snapshot - Parsed saved state
+ * @returns {Object} - Migrated snapshot with `version` set
+ * @throws {Error} - When the snapshot is from a newer version of the app
+ */
+export const migrateState = (snapshot) => {
+  const version = snapshot.version ?? 0;
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Invalid state version: ${version}`);
+  }
+  if (version > STATE_VERSION) {
+    throw new Error(`State version ${version} is newer than this app (${STATE_VERSION})`);
+  }
+
+  return MIGRATIONS
+    .filter(migration => migration.version > version)
+    .reduce((state, migration) => ({ ...migration.migrate(state), version: migration.version }), { ...snapshot, version });
+};
+
+// Fields an entry can't do without; entries missing one are dropped
+const isValidPosition = (p) => (
+  isObject(p)
+  && Number.isFinite(p.id)
+  && typeof p.market === 'string'
+  && DIRECTIONS.includes(p.direction)
+  && isPositive(p.entryPrice)
+  && isPositive(p.size)
+  && isPositive(p.leverage)
+  && Number.isFinite(p.initialMargin)
+  && Number.isFinite(p.riskAmount)
+);
+
+const isValidOrder = (o) => (
+  isObject(o)
+  && Number.isFinite(o.id)
+  && RESTING_ORDER_TYPES.includes(o.type)
+  && typeof o.market === 'string'
+  && DIRECTIONS.includes(o.direction)
+  && isPositive(o.size)
+  && isPositive(o.riskAmount)
+  && isPositive(o.leverage)
+  && Number.isFinite(o.reservedMargin)
+  && (o.type === 'STOP' || isPositive(o.limitPrice))
+  && (o.type === 'LIMIT' || isPositive(o.stopPrice))
+);
+
+const isValidTrade = (t) => (
+  isObject(t)
+  && Number.isFinite(t.closeTime)
+  && typeof t.market === 'string'
+  && DIRECTIONS.includes(t.direction)
+  && isPositive(t.size)
+  && Number.isFinite(t.netPnL)
+);
+
+const isLedgerEntry = (...keys) => (entry) => isObject(entry) && keys.every(key => Number.isFinite(entry[key]));
+
+// Fields that can be rebuilt: { key: [isValid, fallback(entry)] }. Entries
+// come back unchanged when every field is fine, so repairs can be counted.
+const withDefaults = (fields) => (entry) => {
+  const fixes = Object.entries(fields)
+    .filter(([key, [isValid]]) => !isValid(entry[key]))
+    .map(([key, [, fallback]]) => [key, fallback(entry)]);
+  return fixes.length === 0 ? entry : { ...entry, ...Object.fromEntries(fixes) };
+};
+
+const zero = () => 0;
+const emptyList = () => [];
+
+const repairPosition = withDefaults({
+  unrealizedPnL: [Number.isFinite, zero],
+  maintenanceMargin: [isPositive, p => calculateMaintenanceMargin(p.market, p.size)],
+  liquidationPrice: [value => value === null || isNonNegative(value), p => (p.marginMode === 'CROSS' ? null : withMaintenance(p).liquidationPrice)],
+  marginUsed: [Number.isFinite, p => p.initialMargin],
+  marginMode: [mode => MARGIN_MODES.includes(mode), () => 'ISOLATED'],
+  openFee: [Number.isFinite, zero],
+  fundingPaid: [Number.isFinite, zero],
+  fundingReceived: [Number.isFinite, zero],
+  takeProfitLevels: [Array.isArray, emptyList]
+});
+
+const repairOrder = withDefaults({
+  events: [Array.isArray, emptyList],
+  takeProfitLevels: [Array.isArray, emptyList],
+  triggered: [value => typeof value === 'boolean', () => false]
+});
+
+const repairTrade = withDefaults({
+  openFee: [Number.isFinite, zero],
+  closeFee: [Number.isFinite, zero],
+  realizedPnL: [Number.isFinite, t => t.netPnL]
+});
+
+// Keep valid entries, repaired where needed; dropped and repaired ones are counted in problems
+const keepValid = (state, key, isValid, problems, repair = entry => entry) => {
+  if (!Array.isArray(state[key])) {
+    if (state[key] !== undefined) problems.push(`${key} is not a list, cleared`);
+    return { kept: [], dropped: [] };
+  }
+
+  const valid = state[key].filter(isValid);
+  const dropped = state[key].filter(entry => !isValid(entry));
+  if (dropped.length > 0) problems.push(`Dropped ${dropped.length} invalid entr${dropped.length === 1 ? 'y' : 'ies'} from ${key}`);
+
+  const kept = valid.map(repair);
+  const repaired = kept.filter((entry, i) => entry !== valid[i]).length;
+  if (repaired > 0) problems.push(`Repaired ${repaired} entr${repaired === 1 ? 'y' : 'ies'} in ${key}`);
+  return { kept, dropped };
+};
+
+// Margin held by a dropped position or order, if it can still be read
+const heldMargin = (entry, key) => (isObject(entry) && Number.isFinite(entry[key]) && entry[key] > 0 ? entry[key] : 0);
+
+/**
+ * Check a migrated snapshot and repair what can be repaired
+ * @param {Object} snapshot - Snapshot at STATE_VERSION
+ * @returns {Object} - { state, problems } where problems lists what was dropped or reset
+ * @throws {Error} - When the balance is unreadable, since nothing else can be trusted then
+ */
+export const validateState = (snapshot) => {
+  if (!Number.isFinite(snapshot.balance)) {
+    throw new Error('Saved balance is missing or not a number');
+  }
+
+  const problems = [];
+  const positions = keepValid(snapshot, 'positions', isValidPosition, problems, repairPosition);
+  const orders = keepValid(snapshot, 'orders', isValidOrder, problems, repairOrder);
+  const refund = positions.dropped.reduce((sum, p) => sum + heldMargin(p, 'initialMargin'), 0)
+    + orders.dropped.reduce((sum, o) => sum + heldMargin(o, 'reservedMargin'), 0);
+  if (refund > 0) problems.push(`Returned $${refund.toFixed(2)} of margin from dropped entries to the balance`);
+
+  const ledger = (key, isValid, repair) => keepValid(snapshot, key, isValid, problems, repair).kept;
+
+  const state = {
+    ...snapshot,
+    balance: snapshot.balance + refund,
+    positions: positions.kept,
+    orders: orders.kept,
+    feesPaid: Number.isFinite(snapshot.feesPaid) ? snapshot.feesPaid : 0,
+    volume: ledger('volume', isLedgerEntry('day', 'notional')),
+    tradeHistory: ledger('tradeHistory', isValidTrade, repairTrade),
+    fundingHistory: ledger('fundingHistory', isLedgerEntry('time', 'amount')),
+    feeHistory: ledger('feeHistory', isLedgerEntry('time', 'amount')),
+    equityHistory: ledger('equityHistory', isLedgerEntry('time', 'equity'))
+  };
+
+  // Settings fall back to the app defaults when they don't hold a known value
+  const oneOf = (allowed) => (value) => allowed.includes(value);
+  const settings = {
+    positionMode: oneOf(POSITION_MODES),
+    marginMode: oneOf(MARGIN_MODES),
+    selectedMarket: oneOf(MARKET_SYMBOLS),
+    direction: oneOf(DIRECTIONS),
+    riskMode: oneOf(Object.keys(LEVERAGE_BY_RISK_MODE)),
+    pnlPriceSource: oneOf(PRICE_SOURCES),
+    portfolioTab: oneOf(PORTFOLIO_TABS),
+    positionSize: isPositive,
+    showAdvanced: value => typeof value === 'boolean'
+  };
+  Object.entries(settings).forEach(([key, isValid]) => {
+    if (state[key] !== undefined && !isValid(state[key])) {
+      problems.push(`Reset ${key} (${JSON.stringify(state[key])})`);
+      delete state[key];
+    }
+  });
+  if (state.advancedSettings !== undefined && !isObject(state.advancedSettings)) {
+    problems.push('Reset advancedSettings');
+    delete state.advancedSettings;
+  } else if (state.advancedSettings?.takeProfitLevels !== undefined && !Array.isArray(state.advancedSettings.takeProfitLevels)) {
+    problems.push('Reset advancedSettings.takeProfitLevels');
+    state.advancedSettings = { ...state.advancedSettings, takeProfitLevels: [] };
+  }
+
+  return { state, problems };
+};
+
+/**
+ * Read a saved snapshot
+ * @param {string|null} raw - Contents of STORAGE_KEY
+ * @returns {Object} - { state, problems, error } where state is null when nothing was saved
+ *   or the snapshot couldn't be read (error says why)
+ */
+export const parseSavedState = (raw) => {
+  if (!raw) return { state: null, problems: [], error: null };
+
+  try {
+    const parsed = JSON.parse(raw);
+    if (!isObject(parsed)) throw new Error('Saved state is not an object');
+    return { ...validateState(migrateState(parsed)), error: null };
+  } catch (error) {
+    return { state: null, problems: [], error: error.message };
+  }
+};
+
+// Backup files wrap a snapshot so they can be told apart from other JSON
+export const BACKUP_FORMAT = 'perpsx-backup';
+
+/**
+ * Backup file contents for a snapshot
+ * @param {Object} snapshot - Saved state at STATE_VERSION
+ * @param {number} now - Timestamp in ms
+ * @returns {string} - JSON text
+ */
+export const createBackup = (snapshot, now = Date.now()) => JSON.stringify({
+  format: BACKUP_FORMAT,
+  version: STATE_VERSION,
+  exportedAt: new Date(now).toISOString(),
+  state: { ...snapshot, version: STATE_VERSION }
+}, null, 2);
+
+/**
+ * Read a backup file. A bare `perpsx_state` snapshot (e.g. a copy of
+ * BACKUP_STORAGE_KEY) is accepted too. Either goes through the same migrations
+ * and validation as a snapshot loaded from localStorage.
+ * @param {string} text - File contents
+ * @returns {Object} - { state, problems, exportedAt, error } where state is null if the file
+ *   can't be restored
+ */
+export const parseBackup = (text) => {
+  try {
+    const file = JSON.parse(text);
+    if (!isObject(file)) throw new Error('Not a PerpsX backup file');
+
+    const snapshot = file.format === BACKUP_FORMAT ? file.state : file;
+    if (!isObject(snapshot)) throw new Error('Backup file has no saved state');
+
+    return {
+      ...validateState(migrateState(snapshot)),
+      exportedAt: file.exportedAt ?? snapshot.lastSaved ?? null,
+      error: null
+    };
+  } catch (error) {
+    return { state: null, problems: [], exportedAt: null, error: error.message };
+  }
+};
+
+const usd = (value) => `$${(value ?? 0).toFixed(2)}`;
+const count = (list) => String((list || []).length);
+const describePositions = (positions = []) => (
+  positions.length === 0 ? '0' : `${positions.length} (${positions.map(p => `${p.direction} ${p.market}`).join(', ')})`
+);
+
+const DIFF_FIELDS = [
+  { label: 'Balance', format: s => usd(s.balance) },
+  { label: 'Open positions', format: s => describePositions(s.positions) },
+  { label: 'Open orders', format: s => count(s.orders) },
+  { label: 'Closed trades', format: s => count(s.tradeHistory) },
+  { label: 'Funding payments', format: s => count(s.fundingHistory) },
+  { label: 'Fees paid', format: s => usd(s.feesPaid) },
+  { label: 'Equity samples', format: s => count(s.equityHistory) },
+  { label: 'Position mode', format: s => s.positionMode ?? '—' },
+  { label: 'Margin mode', format: s => s.marginMode ?? '—' },
+  { label: 'Selected market', format: s => s.selectedMarket ?? '—' }
+];
+
+/**
+ * Side-by-side summary of two snapshots, for previewing a restore
+ * @param {Object} current - Snapshot in use
+ * @param {Object} incoming - Snapshot about to replace it
+ * @returns {Array} - [{ label, current, incoming, changed }]
+ */
+export const diffSnapshots = (current, incoming) => DIFF_FIELDS.map(({ label, format }) => {
+  const from = format(current);
+  const to = format(incoming);
+  return { label, current: from, incoming: to, changed: from !== to };
+});
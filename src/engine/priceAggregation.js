@@ -0,0 +1,101 @@
+/**
+ * Index price from several spot feeds.
+ *
+ * Each healthy source contributes its latest quote with the source's weight.
+ * The index is the weighted median of those quotes. With three or more
+ * quotes, any that sit more than `maxDeviation` away from that first median
+ * are rejected as outliers and the median is taken again over the rest. With
+ * fewer quotes there is no majority to judge by, so none are rejected.
+ */
+
+// Quotes further than this (1%) from the median are outliers
+export const MAX_SOURCE_DEVIATION = 0.01;
+
+// A source whose last good quote is older than this is left out
+export const MAX_QUOTE_AGE = 10000;
+
+// Fewest quotes needed before outliers are rejected
+export const MIN_SOURCES_FOR_REJECTION = 3;
+
+/**
+ * Weighted median: the price at which half of the total weight lies on each side
+ * @param {Array} samples - { price, weight }
+ * @returns {number|null} - null without samples; halfway between two prices when the weight splits exactly
+ */
+export const weightedMedian = (samples) => {
+  const sorted = samples.filter(s => s.weight > 0).sort((a, b) => a.price - b.price);
+  if (sorted.length === 0) return null;
+
+  const half = sorted.reduce((sum, s) => sum + s.weight, 0) / 2;
+  let cumulative = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    cumulative += sorted[i].weight;
+    if (cumulative > half) return sorted[i].price;
+    if (cumulative === half) return (sorted[i].price + sorted[i + 1].price) / 2;
+  }
+  return sorted[sorted.length - 1].price;
+};
+
+/**
+ * Whether a source's quotes can be used
+ * @param {Object} status - { lastSuccess, error } as tracked per source
+ * @param {number} now - Timestamp in ms
+ * @param {number} maxAge - Oldest usable quote age in ms
+ * @returns {boolean}
+ */
+export const isSourceHealthy = (status, now, maxAge = MAX_QUOTE_AGE) => (
+  Boolean(status?.lastSuccess) && now - status.lastSuccess <= maxAge
+);
+
+/**
+ * Combine one market's quotes
+ * @param {Array} quotes - { source, price, weight }
+ * @param {Object} options - { maxDeviation }
+ * @returns {Object} - { price, quotes } where each quote gains deviation (from the first median)
+ *   and rejected
+ */
+export const aggregateQuotes = (quotes, { maxDeviation = MAX_SOURCE_DEVIATION } = {}) => {
+  const valid = quotes.filter(q => Number.isFinite(q.price) && q.price > 0);
+  const median = weightedMedian(valid);
+  if (median === null) return { price: null, quotes: [] };
+
+  const scored = valid.map(q => {
+    const deviation = Math.abs(q.price - median) / median;
+    return { ...q, deviation, rejected: valid.length >= MIN_SOURCES_FOR_REJECTION && deviation > maxDeviation };
+  });
+
+  const kept = scored.filter(q => !q.rejected);
+  // No consensus at all (every quote is far from the median): keep them all
+  if (kept.length === 0) {
+    return { price: median, quotes: scored.map(q => ({ ...q, rejected: false })) };
+  }
+
+  return { price: weightedMedian(kept), quotes: scored };
+};
+
+/**
+ * Index prices for every market from the sources' latest quotes
+ * @param {Object} sources - Map of source id -> { weight, prices, lastSuccess, error }
+ * @param {Array} markets - Markets to price
+ * @param {Object} options - { now, maxAge, maxDeviation }
+ * @returns {Object} - { prices, details } where prices maps market -> index (null when no healthy
+ *   source quotes it) and details maps market -> aggregateQuotes result
+ */
+export const aggregatePrices = (sources, markets, { now = Date.now(), maxAge = MAX_QUOTE_AGE, maxDeviation } = {}) => {
+  const healthy = Object.entries(sources).filter(([, status]) => isSourceHealthy(status, now, maxAge));
+
+  const details = Object.fromEntries(markets.map(market => [
+    market,
+    aggregateQuotes(
+      healthy
+        .filter(([, status]) => status.prices?.[market] !== undefined)
+        .map(([source, status]) => ({ source, price: status.prices[market], weight: status.weight ?? 1 })),
+      { maxDeviation }
+    )
+  ]));
+
+  return {
+    prices: Object.fromEntries(markets.map(market => [market, details[market].price])),
+    details
+  };
+};
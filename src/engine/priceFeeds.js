@@ -0,0 +1,293 @@
+/**
+ * Spot price providers.
+ *
+ * A provider is a plain object:
+ * - id / name: how it is keyed and shown
+ * - weight: its share in the weighted median (see priceAggregation.js)
+ * - fetchPrices(markets, { fetch, signal }): resolves to a map of
+ *   market -> USD price for the markets it quotes, and rejects on any failure
+ * - stream (optional): WebSocket ticker descriptor, see priceStream.js
+ * - fetchCandles(market, timeframe, { limit, fetch, signal }) (optional): resolves to the
+ *   market's recent OHLCV candles (see candles.js), oldest first, for backfilling charts
+ * - restInterval (optional): least time between REST requests, for rate-limited APIs
+ *
+ * The REST adapters take `fetch` from the options so they run unchanged in the
+ * browser, in Node and against a stub. The mock provider needs no network at all.
+ * Each exchange adapter's symbols default to the feed ids in the market registry.
+ */
+
+import { MARKET_SYMBOLS, getFeedIds, getMarketField } from './markets.js';
+import { TIMEFRAME_MS, isValidCandle } from './candles.js';
+
+export const DEFAULT_MARKETS = MARKET_SYMBOLS;
+
+// Demo prices the mock provider walks from
+export const MOCK_BASE_PRICES = getMarketField('basePrice');
+
+const getJson = async (url, { fetch = globalThis.fetch, signal } = {}, label) => {
+  const response = await fetch(url, { signal });
+  if (!response.ok) throw new Error(`${label} API error: ${response.status}`);
+  return response.json();
+};
+
+// Market for an exchange symbol, given the market -> symbol map
+const marketFor = (symbols, symbol) => Object.keys(symbols).find(market => symbols[market] === symbol);
+
+// Keep only usable numbers; a provider that quotes nothing has failed
+const cleanPrices = (prices, label) => {
+  const valid = Object.fromEntries(
+    Object.entries(prices).filter(([, price]) => Number.isFinite(price) && price > 0)
+  );
+  if (Object.keys(valid).length === 0) throw new Error(`${label} returned no prices`);
+  return valid;
+};
+
+const quoted = (symbols, markets) => markets.filter(market => symbols[market]);
+
+// Keep only well-formed candles, oldest first; a provider that returns none has failed
+const cleanCandles = (candles, label) => {
+  const valid = candles.filter(isValidCandle).sort((a, b) => a.time - b.time);
+  if (valid.length === 0) throw new Error(`${label} returned no candles`);
+  return valid;
+};
+
+/**
+ * CoinGecko simple/price. There is no free stream, so its rate-limited REST API
+ * is polled at most every 6 seconds.
+ * @param {Object} options - { weight, ids } where ids maps market -> CoinGecko coin id
+ * @returns {Object} - Provider
+ */
+export const createCoinGeckoProvider = ({ weight = 1, ids = getFeedIds('coingecko') } = {}) => ({
+  id: 'coingecko',
+  name: 'CoinGecko',
+  weight,
+  restInterval: 6000,
+  fetchPrices: async (markets, options) => {
+    const list = quoted(ids, markets);
+    const data = await getJson(
+      `https://api.coingecko.com/api/v3/simple/price?ids=${list.map(m => ids[m]).join(',')}&vs_currencies=usd`,
+      options,
+      'CoinGecko'
+    );
+    return cleanPrices(Object.fromEntries(list.map(m => [m, data[ids[m]]?.usd])), 'CoinGecko');
+  }
+});
+
+/**
+ * Binance ticker/price (USDT pairs), streamed from the aggregate trade channels
+ * @param {Object} options - { weight, symbols } where symbols maps market -> Binance symbol
+ * @returns {Object} - Provider
+ */
+export const createBinanceProvider = ({ weight = 1, symbols = getFeedIds('binance') } = {}) => ({
+  id: 'binance',
+  name: 'Binance',
+  weight,
+  fetchPrices: async (markets, options) => {
+    const list = quoted(symbols, markets);
+    const param = encodeURIComponent(JSON.stringify(list.map(m => symbols[m])));
+    const data = await getJson(`https://api.binance.com/api/v3/ticker/price?symbols=${param}`, options, 'Binance');
+    const bySymbol = Object.fromEntries((Array.isArray(data) ? data : []).map(t => [t.symbol, parseFloat(t.price)]));
+    return cleanPrices(Object.fromEntries(list.map(m => [m, bySymbol[symbols[m]]])), 'Binance');
+  },
+  // klines rows: [openTime, open, high, low, close, volume, closeTime, quoteVolume, trades, ...]
+  fetchCandles: async (market, timeframe, { limit = 500, ...options } = {}) => {
+    if (!symbols[market]) throw new Error(`Binance doesn't quote ${market}`);
+    const data = await getJson(
+      `https://api.binance.com/api/v3/klines?symbol=${symbols[market]}&interval=${timeframe}&limit=${Math.min(limit, 1000)}`,
+      options,
+      'Binance'
+    );
+    return cleanCandles((Array.isArray(data) ? data : []).map(row => ({
+      time: row[0],
+      open: parseFloat(row[1]),
+      high: parseFloat(row[2]),
+      low: parseFloat(row[3]),
+      close: parseFloat(row[4]),
+      volume: parseFloat(row[5]),
+      ticks: row[8]
+    })), 'Binance');
+  },
+  stream: {
+    // Combined stream: the channels are part of the URL, nothing to send
+    url: (markets) => `wss://stream.binance.com:9443/stream?streams=${
+      quoted(symbols, markets).map(m => `${symbols[m].toLowerCase()}@aggTrade`).join('/')
+    }`,
+    subscribe: () => [],
+    parse: (message) => {
+      const market = marketFor(symbols, message.data?.s);
+      const price = parseFloat(message.data?.p);
+      return market && price > 0 ? { [market]: price } : null;
+    }
+  }
+});
+
+/**
+ * Kraken public Ticker (last trade price), streamed from the v2 ticker channel
+ * @param {Object} options - { weight, pairs } where pairs maps market -> { pair, result, ws }: the
+ *   REST request pair, the key the answer comes under (Kraken uses legacy names for some,
+ *   XBTUSD -> XXBTZUSD) and the WebSocket v2 symbol
+ * @returns {Object} - Provider
+ */
+export const createKrakenProvider = ({ weight = 1, pairs = getFeedIds('kraken') } = {}) => {
+  const wsSymbols = Object.fromEntries(Object.entries(pairs).map(([market, ids]) => [market, ids.ws]));
+
+  return {
+    id: 'kraken',
+    name: 'Kraken',
+    weight,
+    fetchPrices: async (markets, options) => {
+      const list = quoted(pairs, markets);
+      const data = await getJson(
+        `https://api.kraken.com/0/public/Ticker?pair=${list.map(m => pairs[m].pair).join(',')}`,
+        options,
+        'Kraken'
+      );
+      if (data.error?.length > 0) throw new Error(`Kraken API error: ${data.error.join(', ')}`);
+
+      const result = data.result || {};
+      return cleanPrices(Object.fromEntries(list.map(m => {
+        const ticker = result[pairs[m].result] ?? result[pairs[m].pair];
+        return [m, ticker ? parseFloat(ticker.c[0]) : undefined];
+      })), 'Kraken');
+    },
+    // OHLC rows: [time (s), open, high, low, close, vwap, volume, count]; at most 720 are returned
+    fetchCandles: async (market, timeframe, { limit = 720, ...options } = {}) => {
+      if (!pairs[market]) throw new Error(`Kraken doesn't quote ${market}`);
+      const data = await getJson(
+        `https://api.kraken.com/0/public/OHLC?pair=${pairs[market].pair}&interval=${TIMEFRAME_MS[timeframe] / 60000}`,
+        options,
+        'Kraken'
+      );
+      if (data.error?.length > 0) throw new Error(`Kraken API error: ${data.error.join(', ')}`);
+
+      const rows = data.result?.[pairs[market].result] ?? data.result?.[pairs[market].pair] ?? [];
+      return cleanCandles(rows.map(row => ({
+        time: row[0] * 1000,
+        open: parseFloat(row[1]),
+        high: parseFloat(row[2]),
+        low: parseFloat(row[3]),
+        close: parseFloat(row[4]),
+        volume: parseFloat(row[6]),
+        ticks: row[7]
+      })).slice(-limit), 'Kraken');
+    },
+    stream: {
+      url: () => 'wss://ws.kraken.com/v2',
+      subscribe: (markets) => [{
+        method: 'subscribe',
+        params: { channel: 'ticker', symbol: quoted(wsSymbols, markets).map(m => wsSymbols[m]) }
+      }],
+      // Snapshots and updates both carry the full ticker; heartbeats carry nothing
+      parse: (message) => {
+        if (message.channel !== 'ticker' || !Array.isArray(message.data)) return null;
+        return Object.fromEntries(message.data
+          .map(ticker => [marketFor(wsSymbols, ticker.symbol), ticker.last])
+          .filter(([market, price]) => market && price > 0));
+      }
+    }
+  };
+};
+
+/**
+ * The local stand-in server (scripts/mock-price-server.js): REST on /prices and /candles
+ * and a WebSocket that sends a snapshot on subscribe, then ticks
+ * @param {Object} options - { weight, url } where url is the server's http origin
+ * @returns {Object} - Provider
+ */
+export const createLocalProvider = ({ weight = 1, url = 'http://localhost:8787' } = {}) => ({
+  id: 'local',
+  name: 'Local',
+  weight,
+  fetchPrices: async (markets, options) => {
+    const data = await getJson(`${url}/prices?markets=${markets.join(',')}`, options, 'Local feed');
+    return cleanPrices(Object.fromEntries(markets.map(m => [m, data.prices?.[m]])), 'Local feed');
+  },
+  fetchCandles: async (market, timeframe, { limit = 500, ...options } = {}) => {
+    const data = await getJson(`${url}/candles?market=${market}&timeframe=${timeframe}&limit=${limit}`, options, 'Local feed');
+    return cleanCandles(Array.isArray(data.candles) ? data.candles : [], 'Local feed');
+  },
+  stream: {
+    url: () => url.replace(/^http/, 'ws'),
+    subscribe: (markets) => [{ type: 'subscribe', markets }],
+    parse: (message, markets) => (
+      message.type === 'snapshot' || message.type === 'ticker'
+        ? Object.fromEntries(markets.filter(m => message.prices?.[m] > 0).map(m => [m, message.prices[m]]))
+        : null
+    )
+  }
+});
+
+/**
+ * Offline provider: a random walk from fixed prices
+ * @param {Object} options - { id, name, weight, basePrices, volatility, bias, failureRate, random }
+ *   where volatility is the largest step per fetch (fraction), bias a constant offset (fraction)
+ *   to simulate a mispriced source, and failureRate the chance a fetch rejects
+ * @returns {Object} - Provider
+ */
+export const createMockProvider = ({
+  id = 'mock',
+  name = 'Mock',
+  weight = 1,
+  basePrices = MOCK_BASE_PRICES,
+  volatility = 0.001,
+  bias = 0,
+  failureRate = 0,
+  random = Math.random
+} = {}) => {
+  let current = { ...basePrices };
+
+  return {
+    id,
+    name,
+    weight,
+    fetchPrices: async (markets) => {
+      if (random() < failureRate) throw new Error(`${name} feed unavailable`);
+
+      current = Object.fromEntries(Object.entries(current).map(([market, price]) => [
+        market,
+        price * (1 + (random() - 0.5) * 2 * volatility)
+      ]));
+      return cleanPrices(
+        Object.fromEntries(quoted(current, markets).map(m => [m, current[m] * (1 + bias)])),
+        name
+      );
+    }
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  coingecko: createCoinGeckoProvider,
+  binance: createBinanceProvider,
+  kraken: createKrakenProvider,
+  local: createLocalProvider,
+  mock: createMockProvider
+};
+
+export const PROVIDER_IDS = Object.keys(PROVIDER_FACTORIES);
+
+export const DEFAULT_FEED_CONFIG = 'coingecko,binance,kraken';
+
+/**
+ * Build providers from a config string such as "coingecko,binance:2,kraken" (id[:weight], comma
+ * separated). Unknown ids are skipped with a warning. The local provider reads its server
+ * from `localUrl`.
+ * @param {string} config
+ * @returns {Array} - Providers
+ */
+export const createProviders = (config = DEFAULT_FEED_CONFIG, { localUrl } = {}) => config
+  .split(',')
+  .map(entry => entry.trim())
+  .filter(Boolean)
+  .flatMap(entry => {
+    const [id, weight] = entry.split(':');
+    const factory = PROVIDER_FACTORIES[id.toLowerCase()];
+    if (!factory) {
+      console.warn(`⚠️ Unknown price feed "${id}", expected one of ${PROVIDER_IDS.join(', ')}`);
+      return [];
+    }
+    const parsed = parseFloat(weight);
+    return [factory({
+      ...(Number.isFinite(parsed) && parsed > 0 ? { weight: parsed } : {}),
+      ...(localUrl ? { url: localUrl } : {})
+    })];
+  });
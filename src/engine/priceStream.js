@@ -0,0 +1,175 @@
+/**
+ * WebSocket streaming for price providers.
+ *
+ * A provider that can stream carries a `stream` descriptor next to fetchPrices:
+ * - url(markets): socket URL
+ * - subscribe(markets): messages (objects, sent as JSON) to send once the socket opens
+ * - parse(message, markets): map of market -> price for a ticker message, null otherwise
+ *
+ * createStreamConnection keeps one provider's socket alive. It subscribes on
+ * every (re)connect, reports SYNCING until the first prices arrive, treats a
+ * silent socket as dead, and reconnects with exponential backoff plus jitter.
+ * The WebSocket class, timers and random source are injectable so it runs in
+ * Node and tests.
+ */
+
+export const STREAM_STATES = ['CONNECTING', 'SYNCING', 'LIVE', 'RECONNECTING', 'CLOSED'];
+
+// Reconnect delays double from the base up to the cap
+export const RECONNECT_BASE_DELAY = 500;
+export const RECONNECT_MAX_DELAY = 30000;
+
+// A socket with no message (ticks or heartbeats) for this long is reconnected
+export const STREAM_STALE_TIMEOUT = 15000;
+
+/**
+ * Delay before a reconnect attempt ("equal jitter": half fixed, half random)
+ * @param {number} attempt - Reconnects tried since the stream was last live, from 0
+ * @param {Object} options - { baseDelay, maxDelay, random }
+ * @returns {number} - Milliseconds
+ */
+export const getReconnectDelay = (attempt, {
+  baseDelay = RECONNECT_BASE_DELAY,
+  maxDelay = RECONNECT_MAX_DELAY,
+  random = Math.random
+} = {}) => {
+  const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+  return ceiling / 2 + random() * (ceiling / 2);
+};
+
+/**
+ * Keep a provider's stream connected
+ * @param {Object} provider - Provider with a `stream` descriptor
+ * @param {Array} markets - Markets to subscribe to
+ * @param {Object} options - { onPrices(prices, time), onStateChange(state, detail), WebSocket,
+ *   timers, random, baseDelay, maxDelay, staleTimeout, now } where timers is { setTimeout, clearTimeout }
+ *   and detail carries { reason, delay, attempt } while RECONNECTING
+ * @returns {Object} - { start, stop, getState }
+ */
+export const createStreamConnection = (provider, markets, {
+  onPrices,
+  onStateChange,
+  WebSocket: Socket = globalThis.WebSocket,
+  timers = globalThis,
+  random = Math.random,
+  baseDelay = RECONNECT_BASE_DELAY,
+  maxDelay = RECONNECT_MAX_DELAY,
+  staleTimeout = STREAM_STALE_TIMEOUT,
+  now = () => Date.now()
+} = {}) => {
+  let socket = null;
+  let state = 'CLOSED';
+  let attempt = 0;
+  let stopped = true;
+  let reconnectTimer = null;
+  let staleTimer = null;
+
+  const setState = (next, detail = {}) => {
+    if (next === state && next !== 'RECONNECTING') return;
+    state = next;
+    onStateChange?.(next, detail);
+  };
+
+  // Drop a socket without its close event starting another reconnect
+  const discard = (ws) => {
+    ws.onopen = null;
+    ws.onmessage = null;
+    ws.onerror = null;
+    ws.onclose = null;
+    try {
+      ws.close();
+    } catch {
+      // already closed
+    }
+  };
+
+  const scheduleReconnect = (reason) => {
+    timers.clearTimeout(staleTimer);
+    if (stopped) return;
+
+    const delay = getReconnectDelay(attempt, { baseDelay, maxDelay, random });
+    attempt += 1;
+    setState('RECONNECTING', { reason, delay, attempt });
+    reconnectTimer = timers.setTimeout(connect, delay);
+  };
+
+  const armStaleTimer = (ws) => {
+    timers.clearTimeout(staleTimer);
+    staleTimer = timers.setTimeout(() => {
+      if (socket !== ws) return;
+      socket = null;
+      discard(ws);
+      scheduleReconnect('no data');
+    }, staleTimeout);
+  };
+
+  const connect = () => {
+    if (stopped) return;
+    setState('CONNECTING');
+
+    let ws;
+    try {
+      ws = new Socket(provider.stream.url(markets));
+    } catch (error) {
+      scheduleReconnect(error.message);
+      return;
+    }
+    socket = ws;
+
+    ws.onopen = () => {
+      // Resubscribe on every connect; the first prices after it resync the feed
+      provider.stream.subscribe(markets).forEach(message => ws.send(JSON.stringify(message)));
+      setState('SYNCING');
+      armStaleTimer(ws);
+    };
+
+    ws.onmessage = (event) => {
+      armStaleTimer(ws);
+
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return; // not JSON, ignore
+      }
+
+      const prices = provider.stream.parse(message, markets);
+      if (!prices || Object.keys(prices).length === 0) return;
+
+      attempt = 0; // only a stream that delivers resets the backoff
+      setState('LIVE');
+      onPrices?.(prices, now());
+    };
+
+    // Browsers follow an error with a close event, but not every client does
+    // (Node's leaves a failed handshake CONNECTING), so either one reconnects
+    const fail = (reason) => {
+      if (socket !== ws) return;
+      socket = null;
+      discard(ws);
+      scheduleReconnect(reason);
+    };
+    ws.onerror = () => fail('error');
+    ws.onclose = (event) => fail(`closed (${event?.code ?? 'unknown'})`);
+  };
+
+  return {
+    start: () => {
+      if (!stopped) return;
+      stopped = false;
+      attempt = 0;
+      connect();
+    },
+    stop: () => {
+      stopped = true;
+      timers.clearTimeout(reconnectTimer);
+      timers.clearTimeout(staleTimer);
+      if (socket) {
+        discard(socket);
+        socket = null;
+      }
+      setState('CLOSED');
+    },
+    getState: () => state
+  };
+};
@@ -0,0 +1,75 @@
+/**
+ * Index, mark and last-trade prices per market.
+ *
+ * - index: the external spot price (median of the spot feeds, or the demo fallback)
+ * - last: the price the perp last traded at (index plus the simulated premium)
+ * - mark: a smoothed fair price used for liquidations, stops and margin
+ *
+ * The mark follows the last-trade price through an exponential moving average.
+ * A jump larger than MAX_MARK_DEVIATION is held back until it has been seen for
+ * MARK_CONFIRM_SAMPLES samples in a row, so a single bad feed tick cannot
+ * liquidate positions while a real move is still picked up a few seconds later.
+ */
+
+export const PRICE_SOURCES = ['MARK', 'LAST', 'INDEX'];
+
+// Weight of the newest sample in the mark's moving average
+export const MARK_SMOOTHING = 0.3;
+
+// Largest move (2%) the mark follows without confirmation
+export const MAX_MARK_DEVIATION = 0.02;
+
+// Consecutive samples a larger move must persist before the mark jumps to it
+export const MARK_CONFIRM_SAMPLES = 5;
+
+/**
+ * Advance one market's mark price towards a target price
+ * @param {Object|undefined} previous - { mark, pendingSamples } from the last sample
+ * @param {number} target - Latest last-trade (or index) price
+ * @returns {Object} - { mark, pendingSamples }
+ */
+export const updateMarkPrice = (previous, target) => {
+  if (!previous?.mark) return { mark: target, pendingSamples: 0 };
+
+  const deviation = Math.abs(target - previous.mark) / previous.mark;
+  if (deviation > MAX_MARK_DEVIATION) {
+    const pendingSamples = previous.pendingSamples + 1;
+    return pendingSamples >= MARK_CONFIRM_SAMPLES
+      ? { mark: target, pendingSamples: 0 } // confirmed move
+      : { mark: previous.mark, pendingSamples };
+  }
+
+  return {
+    mark: previous.mark + MARK_SMOOTHING * (target - previous.mark),
+    pendingSamples: 0
+  };
+};
+
+/**
+ * Sample the index and last-trade prices of every market into a new snapshot
+ * @param {Object} previous - Map of market -> { index, last, mark, pendingSamples }
+ * @param {Object} indexPrices - Map of market -> index price
+ * @param {Object} lastPrices - Map of market -> last-trade price (defaults to the index)
+ * @returns {Object} - Map of market -> { index, last, mark, pendingSamples }
+ */
+export const updateMarketPrices = (previous, indexPrices, lastPrices = {}) => Object.fromEntries(
+  Object.entries(indexPrices).map(([market, index]) => {
+    if (!index) return [market, previous[market] ?? { index: null, last: null, mark: null, pendingSamples: 0 }];
+
+    const last = lastPrices[market] || index;
+    return [market, { index, last, ...updateMarkPrice(previous[market], last) }];
+  })
+);
+
+/**
+ * Flatten one price type out of a snapshot
+ * @param {Object} marketPrices - Map of market -> { index, last, mark }
+ * @param {string} source - MARK, LAST or INDEX
+ * @returns {Object} - Map of market -> price
+ */
+export const selectPrices = (marketPrices, source = 'MARK') => {
+  const key = source.toLowerCase();
+  return Object.fromEntries(
+    Object.entries(marketPrices).map(([market, snapshot]) => [market, snapshot[key]])
+  );
+};
@@ -0,0 +1,1361 @@
+/**
+ * Framework-free trading engine.
+ *
+ * Every function here is pure: it takes an account state and returns a new
+ * one, never touching React, the DOM or localStorage. The hooks, Node scripts
+ * and unit tests all run the same position math through this module.
+ *
+ * Position model (risk-based):
+ * - `riskAmount` is the margin posted and the maximum loss at liquidation
+ * - `size` is the notional exposure (riskAmount * leverage)
+ * - PnL = (priceDiff / entryPrice) * size * directionMultiplier
+ * - Maintenance margin is tiered by market and notional
+ * - Liquidation happens when margin + PnL <= maintenance margin (margin ratio >= 100%)
+ *   and closes at the bankruptcy price, charging a liquidation fee
+ *
+ * Cross-margin positions (`marginMode: 'CROSS'`) instead share the free balance
+ * and each other's PnL, and are liquidated together on the account margin ratio.
+ *
+ * Trading fees follow a maker/taker schedule (see fees.js) passed in as
+ * `{ feeSchedule }`; without one, trades are fee-free. Every trade returns its
+ * itemized fees and adds to the account's `feesPaid` and 30-day `volume`.
+ * Whatever closes is also recorded in the account's `tradeHistory` (see history.js).
+ */
+
+import { getFeeRates, recordVolume } from './fees.js';
+import { appendTradeHistory } from './history.js';
+import { getMarket, getMarketField } from './markets.js';
+
+// Map risk modes to leverage
+export const LEVERAGE_BY_RISK_MODE = {
+  SAFE: 2,
+  BALANCED: 5,
+  DEGENERATE: 10
+};
+
+export const DEFAULT_BALANCE = 1000;
+
+// ONE_WAY nets every order on a market into a single position; HEDGE keeps
+// each fill as its own position
+export const POSITION_MODES = ['ONE_WAY', 'HEDGE'];
+
+// ISOLATED risks only the position's own margin; CROSS backs it with the whole account
+export const MARGIN_MODES = ['ISOLATED', 'CROSS'];
+
+// Maintenance margin brackets per market (from the market registry). Like tax
+// brackets, each rate applies only to the part of the notional inside its
+// bracket, so the requirement grows smoothly with size. Each bracket also caps
+// the leverage of a position whose notional reaches it.
+export const MAINTENANCE_TIERS = getMarketField('maintenanceTiers');
+
+// Markets without their own brackets use the most conservative ones
+const DEFAULT_MAINTENANCE_TIERS = MAINTENANCE_TIERS.SOL;
+
+// Charged on the notional of a liquidated position, out of the margin left at mark
+export const LIQUIDATION_FEE_RATE = 0.003;
+
+// Funding payments and fees kept in the account's fundingHistory and feeHistory, newest first
+export const MAX_FUNDING_HISTORY = 1000;
+export const MAX_FEE_HISTORY = 1000;
+
+/**
+ * Create an empty account
+ * @param {number} balance - Starting free balance (default: 1000)
+ * @returns {Object} - { balance, positions, orders, positionMode, marginMode, feesPaid, volume,
+ *   tradeHistory, fundingHistory, feeHistory }
+ */
+export const createAccount = (balance = DEFAULT_BALANCE) => ({
+  balance,
+  positions: [],
+  orders: [], // resting orders, their margin is reserved out of balance
+  positionMode: 'ONE_WAY',
+  marginMode: 'ISOLATED', // default for new orders, each position keeps its own
+  feesPaid: 0, // trading and liquidation fees paid since the account was created
+  volume: [], // daily traded notional { day, notional }, sets the fee tier
+  tradeHistory: [], // closed positions and slices, newest first
+  fundingHistory: [], // funding payments, newest first
+  feeHistory: [] // itemized fees (see feeItem), newest first
+});
+
+/**
+ * Switch between ONE_WAY and HEDGE mode. Only allowed while flat, since
+ * existing hedged positions cannot be netted retroactively.
+ * @param {Object} state - Account state
+ * @param {string} mode - ONE_WAY or HEDGE
+ * @returns {Object} - { state } or { state, error }
+ */
+export const setPositionMode = (state, mode) => {
+  if (!POSITION_MODES.includes(mode)) {
+    return { state, error: 'Invalid position mode' };
+  }
+  if (state.positions.length > 0 || state.orders.length > 0) {
+    return { state, error: 'Close all positions and cancel open orders before switching position mode' };
+  }
+  return { state: { ...state, positionMode: mode } };
+};
+
+/**
+ * Set the account's default margin mode for new orders. Open positions keep
+ * the mode they were opened with.
+ * @param {Object} state - Account state
+ * @param {string} mode - ISOLATED or CROSS
+ * @returns {Object} - { state } or { state, error }
+ */
+export const setMarginMode = (state, mode) => {
+  if (!MARGIN_MODES.includes(mode)) {
+    return { state, error: 'Invalid margin mode' };
+  }
+  return { state: { ...state, marginMode: mode } };
+};
+
+/**
+ * Resolve the leverage for an order from the risk mode or a custom override
+ * @param {string} riskMode - SAFE, BALANCED or DEGENERATE
+ * @param {string|number} customLeverage - Optional custom leverage (used when set)
+ * @returns {number}
+ */
+export const resolveLeverage = (riskMode, customLeverage) => (
+  customLeverage ? parseFloat(customLeverage) : LEVERAGE_BY_RISK_MODE[riskMode]
+);
+
+const parsePrice = (value) => (value ? parseFloat(value) : null);
+
+/**
+ * Order type, trigger prices, TP/SL, scale-out levels and trailing stop from the advanced settings form values
+ * @param {Object} advancedSettings - { orderType, limitPrice, stopPrice, takeProfit, stopLoss,
+ *   takeProfitLevels: [{ price, percent }], trailingStop, trailingStopType, marginMode, maxSlippage } as strings
+ * @returns {Object} - { type, limitPrice, stopPrice, takeProfit, stopLoss, takeProfitLevels,
+ *   trailingStop, marginMode, maxSlippage } with numbers or null
+ */
+export const parseOrderSettings = (advancedSettings) => ({
+  type: advancedSettings.orderType || 'MARKET',
+  limitPrice: parsePrice(advancedSettings.limitPrice),
+  stopPrice: parsePrice(advancedSettings.stopPrice),
+  takeProfit: parsePrice(advancedSettings.takeProfit),
+  stopLoss: parsePrice(advancedSettings.stopLoss),
+  takeProfitLevels: (advancedSettings.takeProfitLevels || [])
+    .filter(level => level.price)
+    .map(level => ({ price: parseFloat(level.price), percent: parsePrice(level.percent) })),
+  trailingStop: advancedSettings.trailingStop
+    ? { type: advancedSettings.trailingStopType || 'PERCENT', value: parseFloat(advancedSettings.trailingStop) }
+    : null,
+  marginMode: advancedSettings.marginMode || null, // null uses the account default
+  maxSlippage: parsePrice(advancedSettings.maxSlippage) // percent, null uses the default tolerance
+});
+
+const directionMultiplier = (direction) => (direction === 'LONG' ? 1 : -1);
+
+const isCross = (position) => position.marginMode === 'CROSS';
+
+/**
+ * Unrealized PnL of a position at a given price
+ * @param {Object} position - Position with entryPrice, size (notional) and direction
+ * @param {number} price - Mark price
+ * @returns {number}
+ */
+export const calculatePnL = (position, price) => {
+  const priceDiff = price - position.entryPrice;
+  return (priceDiff / position.entryPrice) * position.size * directionMultiplier(position.direction);
+};
+
+/**
+ * Maintenance margin required for a notional on a market
+ * @param {string} market - Market symbol (see markets.js)
+ * @param {number} notional - Position size in USD
+ * @returns {number}
+ */
+export const calculateMaintenanceMargin = (market, notional) => {
+  const tiers = MAINTENANCE_TIERS[market] || DEFAULT_MAINTENANCE_TIERS;
+  let floor = 0;
+  let margin = 0;
+
+  for (const tier of tiers) {
+    if (notional <= floor) break;
+    margin += (Math.min(notional, tier.upTo) - floor) * tier.rate;
+    floor = tier.upTo;
+  }
+
+  return margin;
+};
+
+/**
+ * Highest leverage a position of this notional may use: the market's cap or
+ * that of the bracket the notional falls in, whichever is lower
+ * @param {string} market - Market symbol (see markets.js)
+ * @param {number} notional - Position size in USD
+ * @returns {number}
+ */
+export const calculateMaxLeverage = (market, notional) => {
+  const tiers = MAINTENANCE_TIERS[market] || DEFAULT_MAINTENANCE_TIERS;
+  const tier = tiers.find(t => notional <= t.upTo) || tiers[tiers.length - 1];
+  return Math.min(getMarket(market)?.maxLeverage ?? Infinity, tier.maxLeverage ?? Infinity);
+};
+
+/**
+ * Price at which an isolated position's remaining margin falls to its
+ * maintenance margin
+ * @param {string} direction - LONG or SHORT
+ * @param {number} entryPrice
+ * @param {number} leverage
+ * @param {number} maintenanceRate - Maintenance margin / notional (default: 0, liquidation at full loss)
+ * @returns {number}
+ */
+export const calculateLiquidationPrice = (direction, entryPrice, leverage, maintenanceRate = 0) => (
+  direction === 'LONG'
+    ? entryPrice * (1 - 1 / leverage + maintenanceRate)
+    : entryPrice * (1 + 1 / leverage - maintenanceRate)
+);
+
+/**
+ * Price at which a position's PnL equals `-loss` (by default its whole margin)
+ * @param {Object} position - { entryPrice, size, direction, initialMargin }
+ * @param {number} loss - Loss to absorb
+ * @returns {number}
+ */
+export const calculateBankruptcyPrice = (position, loss = position.initialMargin) => (
+  position.entryPrice * (1 - directionMultiplier(position.direction) * loss / position.size)
+);
+
+// Refresh the maintenance margin after a size or mode change. Isolated
+// liquidation prices follow it; cross ones are refreshed on the next mark.
+const withMaintenance = (position) => {
+  const maintenanceMargin = calculateMaintenanceMargin(position.market, position.size);
+  if (isCross(position)) return { ...position, maintenanceMargin };
+
+  return {
+    ...position,
+    maintenanceMargin,
+    liquidationPrice: calculateLiquidationPrice(
+      position.direction, position.entryPrice, position.size / position.initialMargin, maintenanceMargin / position.size
+    )
+  };
+};
+
+/**
+ * Margin ratio of an isolated position: maintenance margin over what is left of
+ * its margin. It is liquidated at 100% (1).
+ * @param {Object} position
+ * @param {number} price - Mark price
+ * @returns {number}
+ */
+export const calculatePositionMarginRatio = (position, price) => {
+  const equity = position.initialMargin + calculatePnL(position, price);
+  return equity > 0 ? position.maintenanceMargin / equity : Infinity;
+};
+
+/**
+ * Margin summary of the cross-margin pool: the free balance plus the margin and
+ * unrealized PnL of every cross position, against their maintenance margin.
+ * The account is liquidated when the margin ratio reaches 100%.
+ * @param {Object} state - Account state
+ * @param {Object} prices - Map of market -> price; positions without a price use their last PnL
+ * @returns {Object} - { marginBalance, positionMargin, maintenanceMargin, unrealizedPnL, marginRatio }
+ */
+export const calculateAccountMargin = (state, prices = {}) => {
+  const cross = state.positions.filter(isCross);
+  const unrealizedPnL = cross.reduce(
+    (sum, p) => sum + (prices[p.market] ? calculatePnL(p, prices[p.market]) : p.unrealizedPnL),
+    0
+  );
+  const positionMargin = cross.reduce((sum, p) => sum + p.initialMargin, 0);
+  const maintenanceMargin = cross.reduce((sum, p) => sum + p.maintenanceMargin, 0);
+  const marginBalance = state.balance + positionMargin + unrealizedPnL;
+
+  return {
+    marginBalance,
+    positionMargin,
+    maintenanceMargin,
+    unrealizedPnL,
+    marginRatio: marginBalance > 0 ? maintenanceMargin / marginBalance : (maintenanceMargin > 0 ? Infinity : 0)
+  };
+};
+
+/**
+ * Balance available for new margin. Unrealized cross-margin losses are already
+ * committed against the free balance; unrealized gains are not spendable.
+ * @param {Object} state - Account state
+ * @returns {number}
+ */
+export const calculateAvailableBalance = (state) => {
+  const crossPnL = state.positions.filter(isCross).reduce((sum, p) => sum + p.unrealizedPnL, 0);
+  return Math.max(0, state.balance + Math.min(0, crossPnL));
+};
+
+/**
+ * Total account equity: free balance, margin posted in positions and their
+ * unrealized PnL, plus margin reserved by resting orders
+ * @param {Object} state - Account state
+ * @param {Object} prices - Map of market -> price; positions without a price use their last PnL
+ * @returns {number}
+ */
+export const calculateEquity = (state, prices = {}) => (
+  state.balance
+  + state.positions.reduce(
+    (sum, p) => sum + p.initialMargin + (prices[p.market] ? calculatePnL(p, prices[p.market]) : p.unrealizedPnL),
+    0
+  )
+  + state.orders.reduce((sum, o) => sum + o.reservedMargin, 0)
+);
+
+/**
+ * Margin, notional and fee an order will consume. The leverage is capped by the
+ * market and by the maintenance bracket of the notional, and the margin must
+ * stay above the maintenance margin. Markets in the registry, given a price,
+ * also require at least one lot.
+ * @param {Object} order - { market, leverage, riskAmount | size }
+ * @param {number} feeRate
+ * @param {number} price - Expected fill price, for the lot size check
+ * @returns {Object} - { riskAmount, notionalSize, fee, totalCost } or { error }
+ */
+export const calculateOrderCost = (order, feeRate = 0, price = null) => {
+  const leverage = order.leverage;
+  if (!leverage || leverage <= 0) {
+    return { error: 'Invalid leverage' };
+  }
+
+  const market = getMarket(order.market);
+  if (market && leverage > market.maxLeverage) {
+    return { error: `Leverage on ${market.symbol} is capped at ${market.maxLeverage}x` };
+  }
+
+  const riskAmount = order.riskAmount ?? order.size / leverage;
+  if (!riskAmount || riskAmount <= 0) {
+    return { error: 'Invalid order size' };
+  }
+
+  const notionalSize = riskAmount * leverage;
+  // Such an order would be liquidated as soon as it opened
+  if (calculateMaintenanceMargin(order.market, notionalSize) >= riskAmount) {
+    return { error: 'Margin does not cover the maintenance margin; lower the leverage' };
+  }
+  const maxLeverage = calculateMaxLeverage(order.market, notionalSize);
+  if (leverage > maxLeverage) {
+    return { error: `Leverage on a $${notionalSize.toFixed(0)} ${order.market} position is capped at ${maxLeverage}x` };
+  }
+  if (market && price > 0 && notionalSize / price < market.lotSize) {
+    return { error: `Order is below the minimum size of ${market.lotSize} ${market.symbol}` };
+  }
+
+  const fee = notionalSize * feeRate;
+
+  return { riskAmount, notionalSize, fee, totalCost: riskAmount + fee };
+};
+
+// Maker and taker rates of the account's volume tier; no schedule means no fees
+const feeRatesFor = (state, feeSchedule, now) => getFeeRates(state.volume, feeSchedule ?? null, now);
+
+/**
+ * One itemized fee
+ * @returns {Object} - { type: OPEN | CLOSE | LIQUIDATION, liquidity: MAKER | TAKER | null,
+ *   positionId, market, direction, notional, rate, amount, time }
+ */
+const feeItem = (type, liquidity, position, notional, amount, now) => ({
+  type,
+  liquidity,
+  positionId: position.id,
+  market: position.market,
+  direction: position.direction,
+  notional,
+  rate: notional > 0 ? amount / notional : 0,
+  amount,
+  time: now
+});
+
+// Add fees to the account's total and ledger; trades (not liquidations) also count towards volume
+const bookFees = (state, items) => items.reduce((next, item) => ({
+  ...next,
+  feesPaid: (next.feesPaid ?? 0) + item.amount,
+  feeHistory: item.amount > 0
+    ? [item, ...(next.feeHistory || [])].slice(0, MAX_FEE_HISTORY)
+    : (next.feeHistory ?? []),
+  volume: item.type === 'LIQUIDATION' ? (next.volume ?? []) : recordVolume(next.volume, item.notional, item.time)
+}), state);
+
+// Netting slices (REDUCE) are covered by the fee of the order that reduced them
+const closeFeeItems = (closed, now) => closed
+  .filter(p => p.exitReason !== 'REDUCE')
+  .map(p => (p.liquidation
+    ? feeItem('LIQUIDATION', null, p, p.size, p.closeFee, now)
+    : feeItem('CLOSE', 'TAKER', p, p.size, p.closeFee, now)));
+
+const insufficientBalance = (required, available) => (
+  `Insufficient balance. Required: $${required.toFixed(2)}, Available: $${available.toFixed(2)}`
+);
+
+// Position and order ids are the creation time, bumped past every id the
+// account already holds (and any taken earlier in the same step) so fills and
+// placements in the same millisecond still get their own
+const nextId = (state, now, taken = []) => {
+  const ids = [
+    ...state.positions.map(p => p.id),
+    ...state.orders.map(o => o.id),
+    ...(state.tradeHistory || []).map(t => t.positionId),
+    ...taken
+  ];
+  return ids.length === 0 ? now : Math.max(now, Math.max(...ids) + 1);
+};
+
+const buildPosition = (order, cost, price, now, id) => withMaintenance({
+  id,
+  market: order.market,
+  entryPrice: price,
+  direction: order.direction,
+  size: cost.notionalSize, // display notional size
+  riskAmount: cost.riskAmount, // max loss at liquidation (isolated)
+  riskMode: order.riskMode,
+  leverage: order.leverage,
+  marginMode: order.marginMode || 'ISOLATED',
+  initialMargin: cost.riskAmount,
+  marginUsed: cost.riskAmount,
+  liquidationPrice: calculateLiquidationPrice(order.direction, price, order.leverage),
+  unrealizedPnL: 0,
+  openTime: now,
+  openedAt: new Date(now).toLocaleTimeString(),
+  takeProfit: order.takeProfit ?? null,
+  stopLoss: order.stopLoss ?? null,
+  takeProfitLevels: (order.takeProfitLevels || []).map(level => ({ ...level, hit: false })),
+  initialSize: cost.notionalSize, // take-profit level percents refer to this
+  trailingStop: createTrailingStop(order.trailingStop, order.direction, price),
+  openFee: cost.fee ?? 0,
+  fundingPaid: 0, // cumulative funding, see applyFunding
+  fundingReceived: 0
+});
+
+const findNettingPosition = (state, market) => (
+  state.positionMode === 'ONE_WAY' ? state.positions.find(p => p.market === market) : null
+);
+
+/**
+ * Add to a same-side position. The entry becomes the quantity-weighted average
+ * (quantity = notional / entry), and leverage and liquidation are recomputed
+ * from the combined margin. The position keeps its own margin mode.
+ */
+const increasePosition = (existing, fill) => {
+  const size = existing.size + fill.size;
+  const quantity = existing.size / existing.entryPrice + fill.size / fill.entryPrice;
+  const entryPrice = size / quantity;
+  const riskAmount = existing.riskAmount + fill.riskAmount;
+  const leverage = size / riskAmount;
+
+  const merged = withMaintenance({
+    ...existing,
+    entryPrice,
+    size,
+    riskAmount,
+    initialMargin: existing.initialMargin + fill.initialMargin,
+    marginUsed: existing.marginUsed + fill.marginUsed,
+    openFee: (existing.openFee ?? 0) + (fill.openFee ?? 0),
+    leverage,
+    initialSize: (existing.initialSize ?? existing.size) + fill.size,
+    takeProfit: fill.takeProfit ?? existing.takeProfit,
+    stopLoss: fill.stopLoss ?? existing.stopLoss,
+    takeProfitLevels: fill.takeProfitLevels?.length ? fill.takeProfitLevels : existing.takeProfitLevels,
+    trailingStop: existing.trailingStop ?? fill.trailingStop
+  });
+
+  return { ...merged, unrealizedPnL: calculatePnL(merged, fill.entryPrice) };
+};
+
+/**
+ * Book a filled position whose margin and fee are already debited from the
+ * balance. HEDGE mode appends it. ONE_WAY mode nets it into the position on the
+ * same market: same side increases it; opposite side reduces, closes or flips
+ * it, refunding the margin of the part that only reduced.
+ * @returns {Object} - { state, position, closed } where position is the resulting
+ *   position on the market (null when flat) and closed the reduced slice (or null)
+ */
+const applyFill = (state, fill, now) => {
+  const existing = findNettingPosition(state, fill.market);
+
+  if (!existing) {
+    return { state: { ...state, positions: [...state.positions, fill] }, position: fill, closed: null };
+  }
+
+  if (existing.direction === fill.direction) {
+    const merged = increasePosition(existing, fill);
+    return {
+      state: { ...state, positions: state.positions.map(p => (p.id === existing.id ? merged : p)) },
+      position: merged,
+      closed: null
+    };
+  }
+
+  // The order's fee was debited up front and already covers the reduced notional, so the
+  // slice settles fee-free; that share of the fee is still its closing fee in the records
+  const reducedNotional = Math.min(existing.size, fill.size);
+  const split = splitPosition(existing, reducedNotional / existing.size, fill.entryPrice, 'REDUCE', 0, now);
+  const usedShare = reducedNotional / fill.size;
+  const refund = fill.riskAmount * usedShare;
+  const reduceFee = (fill.openFee ?? 0) * usedShare;
+
+  const closed = { ...split.closed, closeFee: reduceFee };
+  const remaining = split.remaining && {
+    ...split.remaining,
+    partialCloses: split.remaining.partialCloses.map((slice, i, all) => (
+      i === all.length - 1 ? { ...slice, fee: reduceFee } : slice
+    ))
+  };
+
+  const flipped = usedShare < 1 - DUST_FRACTION
+    ? { ...scalePosition(fill, 1 - usedShare), initialSize: fill.size * (1 - usedShare) }
+    : null;
+
+  const positions = state.positions
+    .map(p => (p.id === existing.id ? remaining : p))
+    .filter(Boolean);
+
+  return {
+    state: {
+      ...state,
+      balance: state.balance + closed.returned + refund,
+      positions: flipped ? [...positions, flipped] : positions,
+      tradeHistory: appendTradeHistory(state.tradeHistory, [closed], now)
+    },
+    position: remaining || flipped,
+    closed
+  };
+};
+
+/**
+ * Open a position at the given fill price, or net into the existing one in ONE_WAY mode
+ * @param {Object} state - Account state { balance, positions, orders, positionMode }
+ * @param {Object} order - { market, direction, leverage, riskAmount | size, riskMode, marginMode, takeProfit, stopLoss }
+ *   `riskAmount` is the margin to post; `size` (notional) is accepted instead and converted via leverage;
+ *   `marginMode` falls back to the account default
+ * @param {number} price - Fill price
+ * @param {Object} options - { feeSchedule, now }; market orders pay the taker rate
+ * @returns {Object} - { state, position, closed, fee, fees } or { state, error } when the order is rejected
+ */
+export const openPosition = (state, order, price, { feeSchedule, now = Date.now() } = {}) => {
+  if (!price) {
+    return { state, error: 'No price available' };
+  }
+
+  const cost = calculateOrderCost(order, feeRatesFor(state, feeSchedule, now).taker, price);
+  if (cost.error) {
+    return { state, error: cost.error };
+  }
+
+  // In one-way mode the part of an opposite order that reduces the position needs no margin
+  const netting = findNettingPosition(state, order.market);
+  const reducingShare = netting && netting.direction !== order.direction
+    ? Math.min(netting.size, cost.notionalSize) / cost.notionalSize
+    : 0;
+  const required = cost.fee + cost.riskAmount * (1 - reducingShare);
+  const available = calculateAvailableBalance(state);
+
+  if (available < required) {
+    return { state, error: insufficientBalance(required, available) };
+  }
+
+  const fill = buildPosition({ ...order, marginMode: order.marginMode || state.marginMode }, cost, price, now, nextId(state, now));
+  const result = applyFill({ ...state, balance: state.balance - cost.totalCost }, fill, now);
+  const fees = [feeItem('OPEN', 'TAKER', fill, cost.notionalSize, cost.fee, now)];
+
+  return { ...result, state: bookFees(result.state, fees), fee: cost.fee, fees };
+};
+
+/**
+ * Shared trigger check used by TP/SL and entry orders
+ * @param {number} price - Current mark price
+ * @param {number} level - Trigger level
+ * @param {boolean} triggerAbove - true fires at or above the level, false at or below
+ * @returns {boolean}
+ */
+export const isTriggered = (price, level, triggerAbove) => (
+  triggerAbove ? price >= level : price <= level
+);
+
+export const ORDER_TYPES = ['MARKET', 'LIMIT', 'STOP', 'STOP_LIMIT'];
+
+const hasStop = (order) => order.type === 'STOP' || order.type === 'STOP_LIMIT';
+const hasLimit = (order) => order.type === 'LIMIT' || order.type === 'STOP_LIMIT';
+
+/**
+ * Human-readable trigger and limit prices of an order
+ * @param {Object} order
+ * @returns {string} - e.g. "$96000.00 stop → $96100.00 limit"
+ */
+export const describeOrderPrice = (order) => [
+  hasStop(order) && `$${order.stopPrice.toFixed(2)} stop`,
+  hasLimit(order) && `$${order.limitPrice.toFixed(2)} limit`
+].filter(Boolean).join(' → ');
+
+/**
+ * Expected entry price of an order: the limit for limit orders, the trigger for
+ * stop-market orders and the current price for market orders
+ * @param {Object} order - { type, limitPrice, stopPrice }
+ * @param {number} currentPrice
+ * @returns {number}
+ */
+export const estimateEntryPrice = (order, currentPrice) => {
+  if (hasLimit(order) && order.limitPrice) return order.limitPrice;
+  if (hasStop(order) && order.stopPrice) return order.stopPrice;
+  return currentPrice;
+};
+
+const recordEvent = (order, type, price, now) => ({
+  ...order,
+  events: [...(order.events || []), { type, price, time: now }]
+});
+
+/**
+ * Advance one order against the current price.
+ * Stops fire on a breakout (buy stop at or above, sell stop at or below); a
+ * triggered STOP fills at market and a triggered STOP_LIMIT becomes a limit.
+ * Limits fill when the price trades through them (buy at or below, sell at or above).
+ * A limit that was already resting fills at its limit price as a maker; one
+ * that is marketable the moment it becomes active fills at the current price as a taker.
+ * @returns {Object} - { order, fillPrice, maker } where fillPrice is set when the order fills
+ */
+const stepOrder = (order, price, now, isNew) => {
+  const isLong = order.direction === 'LONG';
+  let current = order;
+  let limitWasResting = !isNew && (order.type === 'LIMIT' || order.triggered);
+
+  if (hasStop(order) && !order.triggered) {
+    if (!isTriggered(price, order.stopPrice, isLong)) return { order };
+
+    current = recordEvent({ ...order, triggered: true }, 'TRIGGERED', price, now);
+    limitWasResting = false;
+    if (order.type === 'STOP') return { order: current, fillPrice: price, maker: false };
+  }
+
+  if (!isTriggered(price, current.limitPrice, !isLong)) return { order: current };
+
+  return {
+    order: current,
+    fillPrice: limitWasResting ? current.limitPrice : price,
+    maker: limitWasResting
+  };
+};
+
+/**
+ * Whether an entry order would fill as soon as it is placed or amended at this
+ * price (paying the taker rate) instead of resting on the book
+ * @param {Object} order - { type, direction, limitPrice, stopPrice }
+ * @param {number} price - Current price of the order's market
+ * @returns {boolean}
+ */
+export const isMarketable = (order, price) => (
+  order.type === 'MARKET' || Boolean(price && stepOrder({ ...order, triggered: false }, price, 0, true).fillPrice)
+);
+
+const validateOrderPrices = (order) => {
+  if (!ORDER_TYPES.includes(order.type) || order.type === 'MARKET') {
+    return 'Invalid order type';
+  }
+  if (hasLimit(order) && (!order.limitPrice || order.limitPrice <= 0)) {
+    return 'Invalid limit price';
+  }
+  if (hasStop(order) && (!order.stopPrice || order.stopPrice <= 0)) {
+    return 'Invalid stop price';
+  }
+  return null;
+};
+
+const fillOrder = (order, fillPrice, fee, now, id) => {
+  const filledOrder = recordEvent(order, 'FILLED', fillPrice, now);
+  const cost = { riskAmount: order.riskAmount, notionalSize: order.size, fee };
+
+  return {
+    ...buildPosition(order, cost, fillPrice, now, id),
+    orderId: order.id,
+    orderType: order.type,
+    orderEvents: filledOrder.events
+  };
+};
+
+// Fill an order that is marketable as placed or amended, as a taker; the
+// state's balance already has the order's cost taken out
+const fillMarketable = (state, step, cost, now) => {
+  const fill = fillOrder(step.order, step.fillPrice, cost.fee, now, nextId(state, now, [step.order.id]));
+  const result = applyFill(state, fill, now);
+  const fees = [feeItem('OPEN', 'TAKER', fill, cost.notionalSize, cost.fee, now)];
+  return { ...result, state: bookFees(result.state, fees), fee: cost.fee, fees };
+};
+
+/**
+ * Place a LIMIT, STOP or STOP_LIMIT entry order. Its margin and a taker fee are
+ * reserved out of the balance until it fills or is cancelled. An order whose
+ * conditions are already met fills immediately (as a taker) instead of resting.
+ * @param {Object} state - Account state
+ * @param {Object} order - openPosition order fields plus type, limitPrice and/or stopPrice
+ * @param {number} price - Current price of the order's market
+ * @param {Object} options - { feeSchedule, now }
+ * @returns {Object} - { state, order } when resting, { state, position, closed, fee, fees } when filled, or { state, error }
+ */
+export const placeOrder = (state, order, price, { feeSchedule, now = Date.now() } = {}) => {
+  const priceError = validateOrderPrices(order);
+  if (priceError) {
+    return { state, error: priceError };
+  }
+
+  const cost = calculateOrderCost(order, feeRatesFor(state, feeSchedule, now).taker, estimateEntryPrice(order, price));
+  if (cost.error) {
+    return { state, error: cost.error };
+  }
+
+  const available = calculateAvailableBalance(state);
+  if (available < cost.totalCost) {
+    return { state, error: insufficientBalance(cost.totalCost, available) };
+  }
+
+  const restingOrder = recordEvent({
+    id: nextId(state, now),
+    type: order.type,
+    market: order.market,
+    direction: order.direction,
+    limitPrice: hasLimit(order) ? order.limitPrice : null,
+    stopPrice: hasStop(order) ? order.stopPrice : null,
+    triggered: false,
+    riskAmount: cost.riskAmount,
+    size: cost.notionalSize,
+    leverage: order.leverage,
+    riskMode: order.riskMode,
+    marginMode: order.marginMode || state.marginMode || 'ISOLATED',
+    takeProfit: order.takeProfit ?? null,
+    stopLoss: order.stopLoss ?? null,
+    takeProfitLevels: order.takeProfitLevels || [],
+    trailingStop: order.trailingStop ?? null, // settings only, anchored on fill
+    reservedMargin: cost.totalCost,
+    createdAt: new Date(now).toLocaleTimeString()
+  }, 'PLACED', price ?? null, now);
+
+  const balance = state.balance - cost.totalCost;
+  const step = price ? stepOrder(restingOrder, price, now, true) : { order: restingOrder };
+
+  if (step.fillPrice) {
+    return fillMarketable({ ...state, balance }, step, cost, now);
+  }
+
+  return {
+    state: { ...state, balance, orders: [...state.orders, step.order] },
+    order: step.order
+  };
+};
+
+/**
+ * Cancel a resting order and release its reserved margin
+ * @param {Object} state - Account state
+ * @param {number} orderId
+ * @param {Object} options - { now }
+ * @returns {Object} - { state, cancelled } where cancelled is the removed order (or null if not found)
+ */
+export const cancelOrder = (state, orderId, { now = Date.now() } = {}) => {
+  const order = state.orders.find(o => o.id === orderId);
+  if (!order) return { state, cancelled: null };
+
+  return {
+    state: {
+      ...state,
+      balance: state.balance + order.reservedMargin,
+      orders: state.orders.filter(o => o.id !== orderId)
+    },
+    cancelled: recordEvent(order, 'CANCELLED', null, now)
+  };
+};
+
+/**
+ * Amend a resting order's trigger/limit price, size, leverage or TP/SL.
+ * The margin reservation is adjusted by the difference in cost. Like a new
+ * order, one the amend makes marketable fills immediately as a taker.
+ * @param {Object} state - Account state
+ * @param {number} orderId
+ * @param {Object} changes - Any of { limitPrice, stopPrice, riskAmount, leverage, takeProfit, stopLoss }
+ * @param {number} price - Current price of the order's market
+ * @param {Object} options - { feeSchedule, now }
+ * @returns {Object} - { state, order } when still resting, { state, position, closed, fee, fees } when filled,
+ *   or { state, error }
+ */
+export const amendOrder = (state, orderId, changes, price, { feeSchedule, now = Date.now() } = {}) => {
+  const order = state.orders.find(o => o.id === orderId);
+  if (!order) return { state, error: 'Order not found' };
+
+  const amended = { ...order, ...changes };
+  const priceError = validateOrderPrices(amended);
+  if (priceError) {
+    return { state, error: priceError };
+  }
+
+  const cost = calculateOrderCost(
+    { market: amended.market, leverage: amended.leverage, riskAmount: amended.riskAmount },
+    feeRatesFor(state, feeSchedule, now).taker,
+    estimateEntryPrice(amended, price)
+  );
+  if (cost.error) {
+    return { state, error: cost.error };
+  }
+
+  // Unrealized cross losses limit what can be reserved but stay in the balance
+  const available = calculateAvailableBalance(state) + order.reservedMargin;
+  if (available < cost.totalCost) {
+    return { state, error: insufficientBalance(cost.totalCost, available) };
+  }
+
+  const updatedOrder = recordEvent({
+    ...amended,
+    size: cost.notionalSize,
+    reservedMargin: cost.totalCost
+  }, 'AMENDED', null, now);
+
+  const balance = state.balance + order.reservedMargin - cost.totalCost;
+  const step = price ? stepOrder(updatedOrder, price, now, true) : { order: updatedOrder };
+
+  if (step.fillPrice) {
+    return fillMarketable({ ...state, balance, orders: state.orders.filter(o => o.id !== orderId) }, step, cost, now);
+  }
+
+  return {
+    state: {
+      ...state,
+      balance,
+      orders: state.orders.map(o => (o.id === orderId ? step.order : o))
+    },
+    order: step.order
+  };
+};
+
+/**
+ * Trigger stops and fill crossed orders. Fills consume the margin already
+ * reserved by the order; limits that rested on the book pay the maker rate and
+ * get back the rest of the taker fee reserved at placement.
+ * @param {Object} state - Account state
+ * @param {Object} prices - Map of market -> price
+ * @param {Object} options - { feeSchedule, now }
+ * @returns {Object} - { state, filled, triggered, closed, fees } where filled lists the
+ *   fills, triggered the stop orders that fired this tick, closed any slices
+ *   reduced by netting in ONE_WAY mode and fees the itemized fill fees
+ */
+export const fillOrders = (state, prices, { feeSchedule, now = Date.now() } = {}) => {
+  const rates = feeRatesFor(state, feeSchedule, now);
+  const filled = [];
+  const triggered = [];
+  const orders = [];
+  const fees = [];
+  let feeRefund = 0;
+
+  state.orders.forEach(order => {
+    const price = prices[order.market];
+    if (!price) {
+      orders.push(order);
+      return;
+    }
+
+    const step = stepOrder(order, price, now, false);
+    if (step.order.triggered && !order.triggered) {
+      triggered.push(step.order);
+    }
+
+    if (!step.fillPrice) {
+      orders.push(step.order);
+      return;
+    }
+
+    const fee = order.size * (step.maker ? rates.maker : rates.taker);
+    feeRefund += order.reservedMargin - order.riskAmount - fee;
+
+    const fill = fillOrder(step.order, step.fillPrice, fee, now, nextId(state, now, filled.map(f => f.id)));
+    filled.push(fill);
+    fees.push(feeItem('OPEN', step.maker ? 'MAKER' : 'TAKER', fill, order.size, fee, now));
+  });
+
+  if (filled.length === 0 && triggered.length === 0) return { state, filled, triggered, closed: [], fees };
+
+  const booked = bookFees({ ...state, balance: state.balance + feeRefund, orders }, fees);
+
+  // Book fills one by one so each nets against the result of the previous one
+  return filled.reduce((result, fill) => {
+    const next = applyFill(result.state, fill, now);
+    return { ...result, state: next.state, closed: next.closed ? [...result.closed, next.closed] : result.closed };
+  }, { state: booked, filled, triggered, closed: [], fees });
+};
+
+const trailingDistance = (trailingStop, bestPrice) => (
+  trailingStop.type === 'PERCENT' ? bestPrice * (trailingStop.value / 100) : trailingStop.value
+);
+
+const trailingLevel = (trailingStop, direction, bestPrice) => (
+  direction === 'LONG'
+    ? bestPrice - trailingDistance(trailingStop, bestPrice)
+    : bestPrice + trailingDistance(trailingStop, bestPrice)
+);
+
+/**
+ * Create a trailing stop anchored at a price
+ * @param {Object} settings - { type: 'PERCENT' | 'AMOUNT', value }
+ * @param {string} direction - LONG or SHORT
+ * @param {number} price - Starting best price (usually entry or current mark)
+ * @returns {Object|null} - { type, value, bestPrice, level } or null when settings are invalid
+ */
+export const createTrailingStop = (settings, direction, price) => {
+  if (!settings || !settings.value || settings.value <= 0) return null;
+  if (settings.type === 'PERCENT' && settings.value >= 100) return null;
+
+  const trailingStop = { type: settings.type, value: settings.value, bestPrice: price };
+  return { ...trailingStop, level: trailingLevel(trailingStop, direction, price) };
+};
+
+/**
+ * Ratchet a trailing stop with the latest price. The best price only ever
+ * improves (highest for longs, lowest for shorts), so the level never loosens.
+ * @param {Object} trailingStop - { type, value, bestPrice, level }
+ * @param {string} direction - LONG or SHORT
+ * @param {number} price - Current mark price
+ * @returns {Object}
+ */
+export const ratchetTrailingStop = (trailingStop, direction, price) => {
+  const bestPrice = direction === 'LONG'
+    ? Math.max(trailingStop.bestPrice, price)
+    : Math.min(trailingStop.bestPrice, price);
+  if (bestPrice === trailingStop.bestPrice) return trailingStop;
+
+  return { ...trailingStop, bestPrice, level: trailingLevel(trailingStop, direction, bestPrice) };
+};
+
+/**
+ * Attach, replace or remove (settings = null) the trailing stop of an open position
+ * @param {Object} state - Account state
+ * @param {number} positionId
+ * @param {Object|null} settings - { type: 'PERCENT' | 'AMOUNT', value }
+ * @param {number} price - Current mark price, used as the starting best price
+ * @returns {Object} - { state, position } or { state, error }
+ */
+export const setTrailingStop = (state, positionId, settings, price) => {
+  const position = state.positions.find(p => p.id === positionId);
+  if (!position) return { state, error: 'Position not found' };
+
+  const trailingStop = settings ? createTrailingStop(settings, position.direction, price) : null;
+  if (settings && !trailingStop) return { state, error: 'Invalid trailing stop distance' };
+
+  const updated = { ...position, trailingStop };
+  return {
+    state: { ...state, positions: state.positions.map(p => (p.id === positionId ? updated : p)) },
+    position: updated
+  };
+};
+
+/**
+ * Settle a position at a price, returning margin + PnL - fee to the balance.
+ * Shared by manual closes, TP/SL and trailing stops.
+ */
+const settle = (position, price, reason, feeRate) => {
+  const pnl = calculatePnL(position, price);
+  const fee = position.size * feeRate;
+
+  return {
+    ...position,
+    unrealizedPnL: pnl,
+    exitPrice: price,
+    exitReason: reason,
+    realizedPnL: pnl,
+    closeFee: fee,
+    returned: position.initialMargin + pnl - fee
+  };
+};
+
+// Below this share of the original size a remainder is treated as fully closed
+const DUST_FRACTION = 1e-6;
+
+const scalePosition = (position, fraction) => withMaintenance({
+  ...position,
+  size: position.size * fraction,
+  riskAmount: position.riskAmount * fraction,
+  initialMargin: position.initialMargin * fraction,
+  marginUsed: position.marginUsed * fraction,
+  openFee: (position.openFee ?? 0) * fraction,
+  // Funding so far is split pro rata between the closed slice and the remainder
+  fundingPaid: (position.fundingPaid ?? 0) * fraction,
+  fundingReceived: (position.fundingReceived ?? 0) * fraction
+});
+
+/**
+ * Split a position, settling `fraction` of it at `price` and keeping the rest
+ * open at the same entry. Margin, PnL and fees are released pro rata.
+ * @returns {Object} - { closed, remaining } where remaining is null on a full close
+ */
+const splitPosition = (position, fraction, price, reason, feeRate, now) => {
+  if (fraction >= 1 - DUST_FRACTION) {
+    return { closed: settle(position, price, reason, feeRate), remaining: null };
+  }
+
+  const closed = {
+    ...settle(scalePosition(position, fraction), price, reason, feeRate),
+    partial: true,
+    closedFraction: fraction
+  };
+
+  const remaining = scalePosition(position, 1 - fraction);
+  return {
+    closed,
+    remaining: {
+      ...remaining,
+      unrealizedPnL: calculatePnL(remaining, price),
+      partialCloses: [
+        ...(position.partialCloses || []),
+        { reason, price, size: closed.size, pnl: closed.realizedPnL, fee: closed.closeFee, time: now }
+      ]
+    }
+  };
+};
+
+const detectTrigger = (position, price) => {
+  const isLong = position.direction === 'LONG';
+
+  if (position.takeProfit && isTriggered(price, position.takeProfit, isLong)) {
+    return 'TAKE_PROFIT';
+  }
+  if (position.stopLoss && isTriggered(price, position.stopLoss, !isLong)) {
+    return 'STOP_LOSS';
+  }
+  if (position.trailingStop && isTriggered(price, position.trailingStop.level, !isLong)) {
+    return 'TRAILING_STOP';
+  }
+  // Cross positions are liquidated together on the account margin ratio
+  if (!isCross(position) && calculatePositionMarginRatio(position, price) >= 1) {
+    return 'LIQUIDATION';
+  }
+  return null;
+};
+
+/**
+ * Liquidate a group of positions that share collateral: one isolated position
+ * (its own margin) or every cross position (their margins plus the free
+ * balance). The liquidation fee comes out of the equity left at mark; the
+ * positions then close at their bankruptcy prices, so the collateral is used up
+ * exactly and whatever remained goes to the insurance fund. When the mark has
+ * already gapped past bankruptcy, the fee is waived and the fund absorbs the gap.
+ * @param {Array} positions
+ * @param {Object} prices - Map of market -> mark price
+ * @param {number} freeBalance - Balance backing the group beyond its margins (0 for isolated)
+ * @param {number} now
+ * @returns {Array} - Closed positions, each with a `liquidation` record
+ */
+const liquidate = (positions, prices, freeBalance, now) => {
+  const markPrices = positions.map(p => prices[p.market] ?? p.entryPrice);
+  const markPnLs = positions.map((p, i) => calculatePnL(p, markPrices[i]));
+  const totalSize = positions.reduce((sum, p) => sum + p.size, 0);
+  const collateral = freeBalance + positions.reduce((sum, p) => sum + p.initialMargin, 0);
+  const equity = collateral + markPnLs.reduce((sum, pnl) => sum + pnl, 0);
+
+  const fullFees = positions.map(p => p.size * LIQUIDATION_FEE_RATE);
+  const totalFullFees = fullFees.reduce((sum, fee) => sum + fee, 0);
+  const feeScale = totalFullFees > 0 ? Math.min(1, Math.max(0, equity) / totalFullFees) : 0;
+  const fees = fullFees.map(fee => fee * feeScale);
+
+  // Spread the difference between mark and bankruptcy by notional
+  const totalPnL = fees.reduce((sum, fee) => sum + fee, 0) - collateral;
+  const gap = totalPnL - markPnLs.reduce((sum, pnl) => sum + pnl, 0);
+
+  return positions.map((position, i) => {
+    const pnl = markPnLs[i] + gap * (position.size / totalSize);
+    const bankruptcyPrice = calculateBankruptcyPrice(position, -pnl);
+
+    return {
+      ...position,
+      unrealizedPnL: pnl,
+      exitPrice: bankruptcyPrice,
+      exitReason: 'LIQUIDATION',
+      realizedPnL: pnl,
+      closeFee: fees[i],
+      returned: position.initialMargin + pnl - fees[i],
+      liquidation: {
+        positionId: position.id,
+        market: position.market,
+        direction: position.direction,
+        size: position.size,
+        marginMode: position.marginMode || 'ISOLATED',
+        markPrice: markPrices[i],
+        bankruptcyPrice,
+        margin: position.initialMargin + markPnLs[i], // margin left at mark
+        maintenanceMargin: position.maintenanceMargin,
+        fee: fees[i],
+        time: now
+      }
+    };
+  });
+};
+
+/**
+ * Price at which a cross position alone would exhaust the pool's buffer above
+ * maintenance, assuming every other price stays where it is
+ */
+const crossLiquidationPrice = (position, price, buffer) => {
+  const quantity = position.size / position.entryPrice;
+  return Math.max(0, price - directionMultiplier(position.direction) * buffer / quantity);
+};
+
+/**
+ * Liquidate every cross position once the pool's margin balance no longer
+ * covers its maintenance margin, otherwise refresh their liquidation prices.
+ * A shortfall beyond the pool is absorbed, so the balance never goes negative.
+ */
+const checkCrossMargin = (state, prices, now) => {
+  if (!state.positions.some(isCross)) return { state, closed: [] };
+
+  const { marginBalance, maintenanceMargin } = calculateAccountMargin(state, prices);
+
+  if (marginBalance <= maintenanceMargin) {
+    const closed = liquidate(state.positions.filter(isCross), prices, state.balance, now);
+    const totalReturn = closed.reduce((sum, p) => sum + p.returned, 0);
+
+    return {
+      state: {
+        ...state,
+        balance: Math.max(0, state.balance + totalReturn),
+        positions: state.positions.filter(p => !isCross(p))
+      },
+      closed
+    };
+  }
+
+  const buffer = marginBalance - maintenanceMargin;
+  return {
+    state: {
+      ...state,
+      positions: state.positions.map(p => (isCross(p) && prices[p.market]
+        ? { ...p, liquidationPrice: crossLiquidationPrice(p, prices[p.market], buffer) }
+        : p))
+    },
+    closed: []
+  };
+};
+
+/**
+ * Scale out through any take-profit levels crossed at `price`, nearest first.
+ * Each level closes `percent` of the original size; a level without a percent
+ * closes whatever is left.
+ * @returns {Object} - { position, closed } where position is null once fully closed
+ */
+const applyTakeProfitLevels = (position, price, feeRate, now) => {
+  const isLong = position.direction === 'LONG';
+  const originalSize = position.initialSize ?? position.size;
+  const levels = [...position.takeProfitLevels].sort((a, b) => (isLong ? a.price - b.price : b.price - a.price));
+  const closed = [];
+  let current = position;
+
+  for (const level of levels) {
+    if (level.hit || !isTriggered(price, level.price, isLong)) continue;
+
+    const fraction = level.percent
+      ? Math.min(1, (originalSize * level.percent / 100) / current.size)
+      : 1;
+    const split = splitPosition(current, fraction, price, 'TAKE_PROFIT', feeRate, now);
+    closed.push(split.closed);
+    if (!split.remaining) return { position: null, closed };
+
+    current = {
+      ...split.remaining,
+      takeProfitLevels: current.takeProfitLevels.map(l => (l === level ? { ...l, hit: true } : l))
+    };
+  }
+
+  return { position: current, closed };
+};
+
+/**
+ * Update unrealized PnL and trailing stops for every position, scale out of
+ * crossed take-profit levels and close those hitting TP, SL, their trailing
+ * stop or liquidation. Cross positions are then checked against the account
+ * margin ratio as a group.
+ * @param {Object} state - Account state
+ * @param {Object} prices - Map of market -> price
+ * @param {Object} options - { feeSchedule, now }; triggered closes pay the taker rate
+ * @returns {Object} - { state, closed, liquidations, fees } where closed lists settled
+ *   positions (and partial slices, flagged `partial`) with exitReason,
+ *   liquidations the liquidation records { markPrice, bankruptcyPrice, margin, fee, ... }
+ *   and fees the itemized close and liquidation fees
+ */
+export const markToMarket = (state, prices, { feeSchedule, now = Date.now() } = {}) => {
+  const feeRate = feeRatesFor(state, feeSchedule, now).taker;
+  const closed = [];
+  const positions = [];
+
+  // In one pass: update PnL, detect closures, collect closed positions
+  state.positions.forEach(position => {
+    const price = prices[position.market];
+    if (!price) {
+      positions.push(position);
+      return;
+    }
+
+    let marked = position.trailingStop
+      ? { ...position, trailingStop: ratchetTrailingStop(position.trailingStop, position.direction, price) }
+      : position;
+
+    if (marked.takeProfitLevels?.length) {
+      const scaled = applyTakeProfitLevels(marked, price, feeRate, now);
+      closed.push(...scaled.closed);
+      if (!scaled.position) return;
+      marked = scaled.position;
+    }
+
+    const reason = detectTrigger(marked, price);
+    if (reason === 'LIQUIDATION') {
+      closed.push(...liquidate([marked], prices, 0, now));
+      return;
+    }
+    if (reason) {
+      closed.push(settle(marked, price, reason, feeRate));
+      return;
+    }
+
+    positions.push({ ...marked, unrealizedPnL: calculatePnL(marked, price) });
+  });
+
+  const totalReturn = closed.reduce((sum, p) => sum + p.returned, 0);
+  const cross = checkCrossMargin({ ...state, balance: state.balance + totalReturn, positions }, prices, now);
+  const allClosed = [...closed, ...cross.closed];
+  const fees = closeFeeItems(allClosed, now);
+
+  return {
+    state: bookFees({ ...cross.state, tradeHistory: appendTradeHistory(cross.state.tradeHistory, allClosed, now) }, fees),
+    closed: allClosed,
+    liquidations: allClosed.filter(p => p.liquidation).map(p => p.liquidation),
+    fees
+  };
+};
+
+/**
+ * Move an open position between isolated and cross margin. A position can only
+ * become isolated while its own margin stays above its maintenance margin.
+ * @param {Object} state - Account state
+ * @param {number} positionId
+ * @param {string} mode - ISOLATED or CROSS
+ * @param {number} price - Current mark price of the position's market
+ * @returns {Object} - { state, position } or { state, error }
+ */
+export const setPositionMarginMode = (state, positionId, mode, price) => {
+  const position = state.positions.find(p => p.id === positionId);
+  if (!position) return { state, error: 'Position not found' };
+  if (!MARGIN_MODES.includes(mode)) return { state, error: 'Invalid margin mode' };
+
+  const updated = withMaintenance({ ...position, marginMode: mode });
+  if (mode === 'ISOLATED' && price && calculatePositionMarginRatio(updated, price) >= 1) {
+    return { state, error: 'Position margin does not cover its maintenance margin' };
+  }
+
+  return {
+    state: { ...state, positions: state.positions.map(p => (p.id === positionId ? updated : p)) },
+    position: updated
+  };
+};
+
+/**
+ * Close all or part of a position at the given price. The remainder keeps its
+ * entry price; margin, PnL and fees are released pro rata.
+ * @param {Object} state - Account state
+ * @param {number} positionId
+ * @param {number} price - Exit price
+ * @param {Object} options - { feeSchedule, fraction (0-1), notional, now }; closes
+ *   the whole position when neither fraction nor notional is given, at the taker rate
+ * @returns {Object} - { state, closed, fees } where closed is the settled slice (or null if not found)
+ */
+export const closePosition = (state, positionId, price, { feeSchedule, fraction, notional, now = Date.now() } = {}) => {
+  const position = state.positions.find(p => p.id === positionId);
+  if (!position || !price) return { state, closed: null, fees: [] };
+
+  const requested = notional ? notional / position.size : (fraction ?? 1);
+  if (!(requested > 0)) return { state, closed: null, fees: [] };
+
+  const feeRate = feeRatesFor(state, feeSchedule, now).taker;
+  const { closed, remaining } = splitPosition(position, Math.min(requested, 1), price, 'MANUAL', feeRate, now);
+  const fees = closeFeeItems([closed], now);
+
+  return {
+    state: bookFees({
+      ...state,
+      balance: state.balance + closed.returned,
+      positions: remaining
+        ? state.positions.map(p => (p.id === positionId ? remaining : p))
+        : state.positions.filter(p => p.id !== positionId),
+      tradeHistory: appendTradeHistory(state.tradeHistory, [closed], now)
+    }, fees),
+    closed,
+    fees
+  };
+};
+
+/**
+ * Close every position at the current prices
+ * @param {Object} state - Account state
+ * @param {Object} prices - Map of market -> price
+ * @param {Object} options - { feeSchedule, now }
+ * @returns {Object} - { state, closed, fees }
+ */
+export const closeAllPositions = (state, prices, options) => (
+  state.positions.reduce((result, position) => {
+    const next = closePosition(result.state, position.id, prices[position.market], options);
+    return {
+      state: next.state,
+      closed: next.closed ? [...result.closed, next.closed] : result.closed,
+      fees: [...result.fees, ...next.fees]
+    };
+  }, { state, closed: [], fees: [] })
+);
+
+/**
+ * Charge one funding period to every open position (longs pay shorts when the
+ * rate is positive). Each payment is made on the position's value at mark,
+ * added to its cumulative `fundingPaid` / `fundingReceived` and logged in the
+ * account's `fundingHistory`. Isolated positions settle it in their own margin,
+ * which moves their liquidation price; cross positions settle it in the balance.
+ * @param {Object} state - Account state
+ * @param {number|Object} rates - One rate for every market, or a map of market -> rate
+ * @param {Object} options - { prices, now } where prices are mark prices; positions
+ *   without one pay on their entry notional
+ * @returns {Object} - { state, payment, payments } where payment is the total paid
+ *   and payments lists { positionId, market, direction, rate, amount, time }
+ */
+export const applyFunding = (state, rates, { prices = {}, now = Date.now() } = {}) => {
+  const payments = [];
+  let crossPayment = 0;
+
+  const positions = state.positions.map(position => {
+    const rate = typeof rates === 'number' ? rates : rates[position.market];
+    if (!rate) return position;
+
+    const price = prices[position.market];
+    const value = price ? position.size * (price / position.entryPrice) : position.size;
+    const amount = value * rate * directionMultiplier(position.direction); // > 0 is paid
+
+    payments.push({
+      positionId: position.id,
+      market: position.market,
+      direction: position.direction,
+      rate,
+      amount,
+      time: now
+    });
+
+    const funded = {
+      ...position,
+      fundingPaid: (position.fundingPaid ?? 0) + Math.max(0, amount),
+      fundingReceived: (position.fundingReceived ?? 0) + Math.max(0, -amount)
+    };
+
+    if (isCross(position)) {
+      crossPayment += amount;
+      return funded;
+    }
+
+    return withMaintenance({
+      ...funded,
+      initialMargin: position.initialMargin - amount,
+      marginUsed: position.marginUsed - amount
+    });
+  });
+
+  const payment = payments.reduce((sum, p) => sum + p.amount, 0);
+
+  return {
+    state: {
+      ...state,
+      balance: state.balance - crossPayment,
+      positions,
+      fundingHistory: [...payments, ...(state.fundingHistory || [])].slice(0, MAX_FUNDING_HISTORY)
+    },
+    payment,
+    payments
+  };
+};
@@ -0,0 +1,101 @@
+import { useState, useEffect } from 'react';
+import * as accounts from '../engine/accounts';
+
+const readStorage = (key) => {
+  try {
+    return localStorage.getItem(key);
+  } catch (error) {
+    console.warn(`⚠️ Failed to read ${key}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Custom hook that keeps the registry of named accounts in localStorage
+ * @returns {Object} - { accounts, activeAccount, createAccount, switchAccount, renameAccount,
+ *   duplicateAccount, deleteAccount } where the actions return an error message or null
+ */
+export const useAccounts = () => {
+  const [registry, setRegistry] = useState(() => accounts.parseRegistry(readStorage(accounts.ACCOUNTS_STORAGE_KEY)));
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(accounts.ACCOUNTS_STORAGE_KEY, JSON.stringify(registry));
+    } catch (error) {
+      console.warn('⚠️ Failed to save accounts:', error);
+    }
+  }, [registry]);
+
+  const activeAccount = registry.accounts.find(a => a.id === registry.activeId);
+
+  const createAccount = ({ name, startingBalance }) => {
+    const result = accounts.addAccount(registry, { name, startingBalance }, Date.now());
+    if (result.error) return result.error;
+
+    setRegistry(accounts.setActiveAccount(result.registry, result.account.id));
+    console.log(`✅ Created account ${result.account.name} with $${startingBalance.toFixed(2)}`);
+    return null;
+  };
+
+  const switchAccount = (id) => {
+    setRegistry(prev => accounts.setActiveAccount(prev, id));
+  };
+
+  const renameAccount = (id, name) => {
+    const result = accounts.renameAccount(registry, id, name);
+    if (result.error) return result.error;
+
+    setRegistry(result.registry);
+    return null;
+  };
+
+  // The copy starts from the original's last autosave
+  const duplicateAccount = (id) => {
+    const source = registry.accounts.find(a => a.id === id);
+    if (!source) return 'Account not found';
+
+    const name = accounts.getCopyName(registry, source.name);
+    const result = accounts.addAccount(registry, { name, startingBalance: source.startingBalance }, Date.now());
+    if (result.error) return result.error;
+
+    const saved = readStorage(accounts.getAccountStorageKey(id));
+    try {
+      if (saved) localStorage.setItem(accounts.getAccountStorageKey(result.account.id), saved);
+    } catch (error) {
+      console.warn('⚠️ Failed to copy account state:', error);
+      return 'Not enough storage to copy the account';
+    }
+
+    setRegistry(result.registry);
+    console.log(`✅ Duplicated ${source.name} as ${name}`);
+    return null;
+  };
+
+  const deleteAccount = (id) => {
+    const result = accounts.removeAccount(registry, id);
+    if (result.error) return result.error;
+
+    try {
+      localStorage.removeItem(accounts.getAccountStorageKey(id));
+      localStorage.removeItem(accounts.getAccountBackupKey(id));
+    } catch (error) {
+      console.warn('⚠️ Failed to clear account state:', error);
+    }
+
+    setRegistry(result.registry);
+    console.log(`🗑️ Deleted account ${registry.accounts.find(a => a.id === id)?.name}`);
+    return null;
+  };
+
+  return {
+    accounts: registry.accounts,
+    activeAccount,
+    createAccount,
+    switchAccount,
+    renameAccount,
+    duplicateAccount,
+    deleteAccount
+  };
+};
+
+export default useAccounts;
@@ -0,0 +1,111 @@
+import { useState, useEffect, useRef } from 'react';
+import * as candleModel from '../engine/candles';
+import { MARKET_SYMBOLS } from '../engine/markets';
+
+// A history request that hasn't answered within this long counts as failed
+export const BACKFILL_TIMEOUT = 10000;
+
+const fetchWithTimeout = (provider, market, timeframe, limit, timeout) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  return provider.fetchCandles(market, timeframe, { limit, signal: controller.signal }).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Custom hook that aggregates prices into OHLCV candles for every market and timeframe,
+ * backfilled once from the first provider that has history for the market
+ * @param {Object} prices - Map of market -> price, sampled every sampleInterval
+ * @param {Object} options - { providers, markets, retention, sampleInterval, timeout } where
+ *   providers are tried in order for history (see fetchCandles in engine/priceFeeds) and
+ *   retention maps timeframe -> candles kept
+ * @returns {Object} - { candles, backfill } where candles maps market -> timeframe -> candles
+ *   (oldest first) and backfill maps market -> { status, source, error } with status LOADING,
+ *   DONE or UNAVAILABLE
+ */
+export const useCandles = (prices, {
+  providers = [],
+  markets = MARKET_SYMBOLS,
+  retention = candleModel.DEFAULT_RETENTION,
+  sampleInterval = 1000,
+  timeout = BACKFILL_TIMEOUT
+} = {}) => {
+  const [candles, setCandles] = useState(() => candleModel.createCandleStore(markets));
+  const [backfill, setBackfill] = useState(() => {
+    const status = providers.some(provider => provider.fetchCandles) ? 'LOADING' : 'UNAVAILABLE';
+    return Object.fromEntries(markets.map(market => [market, { status, source: null, error: null }]));
+  });
+
+  // The interval and backfill read the latest prices and configuration without restarting
+  const pricesRef = useRef(prices);
+  const configRef = useRef({ providers, markets, retention, timeout });
+  useEffect(() => {
+    pricesRef.current = prices;
+    configRef.current = { providers, markets, retention, timeout };
+  });
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setCandles(prev => candleModel.updateCandles(prev, pricesRef.current, Date.now(), {
+        retention: configRef.current.retention
+      }));
+    }, sampleInterval);
+
+    return () => clearInterval(interval);
+  }, [sampleInterval]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const { providers: configured, markets: list, retention: kept, timeout: limit } = configRef.current;
+    const sources = configured.filter(provider => provider.fetchCandles);
+
+    // One market at a time, every timeframe from the same source, to stay within rate limits
+    const backfillMarket = async (market) => {
+      let lastError = 'No provider has history';
+
+      for (const provider of sources) {
+        const results = await Promise.allSettled(candleModel.TIMEFRAMES.map(timeframe => (
+          fetchWithTimeout(provider, market, timeframe, kept[timeframe], limit)
+        )));
+        if (cancelled) return;
+
+        const fetched = candleModel.TIMEFRAMES.filter((_, i) => results[i].status === 'fulfilled');
+        if (fetched.length === 0) {
+          const reason = results[0].reason;
+          lastError = reason?.name === 'AbortError' ? 'Request timed out' : reason?.message ?? String(reason);
+          continue;
+        }
+
+        setCandles(prev => ({
+          ...prev,
+          [market]: Object.fromEntries(candleModel.TIMEFRAMES.map((timeframe, i) => {
+            const live = prev[market]?.[timeframe] ?? [];
+            return [timeframe, results[i].status === 'fulfilled'
+              ? candleModel.mergeCandles(live, results[i].value, kept[timeframe])
+              : live];
+          }))
+        }));
+        setBackfill(prev => ({ ...prev, [market]: { status: 'DONE', source: provider.name, error: null } }));
+        console.log(`🕯️ Backfilled ${market} candles (${fetched.join(', ')}) from ${provider.name}`);
+        return;
+      }
+
+      setBackfill(prev => ({ ...prev, [market]: { status: 'UNAVAILABLE', source: null, error: lastError } }));
+      if (sources.length > 0) console.warn(`⚠️ No candle history for ${market}, building from live prices:`, lastError);
+    };
+
+    (async () => {
+      for (const market of list) {
+        if (cancelled) return;
+        await backfillMarket(market);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { candles, backfill };
+};
+
+export default useCandles;
@@ -0,0 +1,31 @@
+import { useState, useEffect, useRef } from 'react';
+import { EQUITY_SAMPLE_INTERVAL, appendEquitySample } from '../engine/equity';
+
+/**
+ * Custom hook that samples account equity into a timeline
+ * @param {number} equity - Current account equity
+ * @param {Array} initialSamples - Saved { time, equity } points to continue from
+ * @param {number} sampleInterval - How often equity is sampled (default: EQUITY_SAMPLE_INTERVAL)
+ * @returns {Array} - { time, equity } points, oldest first
+ */
+export const useEquityHistory = (equity, initialSamples = [], sampleInterval = EQUITY_SAMPLE_INTERVAL) => {
+  const [samples, setSamples] = useState(() => appendEquitySample(initialSamples, equity, Date.now()));
+
+  // The interval reads the latest equity without restarting
+  const equityRef = useRef(equity);
+  useEffect(() => {
+    equityRef.current = equity;
+  });
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setSamples(prev => appendEquitySample(prev, equityRef.current, Date.now()));
+    }, sampleInterval);
+
+    return () => clearInterval(interval);
+  }, [sampleInterval]);
+
+  return samples;
+};
+
+export default useEquityHistory;
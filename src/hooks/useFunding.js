@@ -0,0 +1,57 @@
+import { useState, useEffect, useRef } from 'react';
+import * as funding from '../engine/funding';
+
+/**
+ * Custom hook that simulates the perp premium over the index and settles funding
+ * on a fixed schedule
+ * @param {Object} indexPrices - Map of market -> index price
+ * @param {Function} onSettle - Called with (rates, perpPrices, time) at every funding time
+ * @param {number} sampleInterval - How often the premium is stepped and sampled (default: 1000ms)
+ * @returns {Object} - { perpPrices, premiums, predictedRates, nextFundingTime, timeToFunding, sampledAt }
+ *   where sampledAt is the wall-clock time of the last sample
+ */
+export const useFunding = (indexPrices, onSettle, sampleInterval = 1000) => {
+  const [snapshot, setSnapshot] = useState(() => {
+    const now = Date.now();
+    return { tracker: funding.createFundingTracker(now), time: now };
+  });
+  const { tracker } = snapshot;
+
+  // The interval reads the latest prices and callback without restarting
+  const indexPricesRef = useRef(indexPrices);
+  const onSettleRef = useRef(onSettle);
+  useEffect(() => {
+    indexPricesRef.current = indexPrices;
+    onSettleRef.current = onSettle;
+  });
+
+  useEffect(() => {
+    let current = funding.createFundingTracker();
+
+    const interval = setInterval(() => {
+      const now = Date.now();
+      current = funding.samplePremium(current, indexPricesRef.current, Math.random);
+
+      if (now >= current.nextFundingTime) {
+        const rates = funding.predictFundingRates(current);
+        onSettleRef.current(rates, funding.getPerpPrices(current, indexPricesRef.current), now);
+        current = funding.resetFundingTracker(current, now);
+      }
+
+      setSnapshot({ tracker: current, time: now });
+    }, sampleInterval);
+
+    return () => clearInterval(interval);
+  }, [sampleInterval]);
+
+  return {
+    perpPrices: funding.getPerpPrices(tracker, indexPrices),
+    premiums: tracker.premiums,
+    predictedRates: funding.predictFundingRates(tracker),
+    nextFundingTime: tracker.nextFundingTime,
+    timeToFunding: Math.max(0, tracker.nextFundingTime - snapshot.time), // ms, as of the last sample
+    sampledAt: snapshot.time
+  };
+};
+
+export default useFunding;
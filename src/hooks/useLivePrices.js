@@ -1,120 +1,221 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { DEFAULT_MARKETS, createProviders } from '../engine/priceFeeds';
+import { aggregatePrices, isSourceHealthy, MAX_QUOTE_AGE, MAX_SOURCE_DEVIATION } from '../engine/priceAggregation';
+import { createStreamConnection } from '../engine/priceStream';
+
+// Providers used when none are passed: CoinGecko, Binance and Kraken, equally weighted
+const DEFAULT_PROVIDERS = createProviders();
+
+// A provider that hasn't answered within this long counts as failed for that poll
+export const REQUEST_TIMEOUT = 5000;
+
+// 'STREAM' subscribes to providers' WebSockets and polls REST only while a stream is down
+export const PRICE_TRANSPORTS = ['STREAM', 'REST'];
+
+// Stream ticks are batched into one render at most this often
+export const STREAM_PUBLISH_INTERVAL = 250;
+
+/**
+ * Overall transport health: REST (streaming off or unsupported), STREAMING (every stream live),
+ * PARTIAL (some live) or FALLBACK (none live, prices come from REST polling)
+ * @param {Object} streamStates - Map of provider id -> stream state
+ * @returns {string}
+ */
+export const getConnectionState = (streamStates) => {
+  const states = Object.values(streamStates);
+  if (states.length === 0) return 'REST';
+
+  const live = states.filter(state => state === 'LIVE').length;
+  if (live === states.length) return 'STREAMING';
+  return live > 0 ? 'PARTIAL' : 'FALLBACK';
+};
+
+const fetchWithTimeout = (provider, markets, timeout) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  return provider.fetchPrices(markets, { signal: controller.signal }).finally(() => clearTimeout(timer));
+};
 
 /**
- * Custom hook for fetching real-time crypto prices from CoinGecko API
- * @param {Array} symbols - Array of crypto symbols (e.g., ['bitcoin', 'ethereum', 'solana'])
- * @param {number} pollInterval - Polling interval in milliseconds (default: 2000ms for better sync)
+ * Custom hook for real-time index prices aggregated from several spot feeds. Providers that can
+ * stream are followed over WebSocket; the rest, and any whose stream is down, are polled.
+ * @param {Array} providers - Price providers (see engine/priceFeeds)
+ * @param {number} pollInterval - Polling interval in milliseconds (default: 2000ms for better sync);
+ *   also the spacing of priceHistory points
  * @param {number} maxHistoryPoints - Maximum number of historical price points to keep (default: 50)
- * @returns {Object} - { prices, priceHistory, isLoading, error, lastFetchTime }
+ * @param {Object} options - { markets, maxAge, maxDeviation, timeout, transport } where transport
+ *   is one of PRICE_TRANSPORTS
+ * @returns {Object} - { prices, priceHistory, isLoading, error, lastFetchTime, sources, details,
+ *   connection, refreshPrices } where sources lists each provider's status, details the quotes
+ *   behind each market's price and connection the getConnectionState result
  */
 export const useLivePrices = (
-  symbols = ['bitcoin', 'ethereum', 'solana'],
+  providers = DEFAULT_PROVIDERS,
   pollInterval = 2000,
-  maxHistoryPoints = 50
+  maxHistoryPoints = 50,
+  {
+    markets = DEFAULT_MARKETS,
+    maxAge = MAX_QUOTE_AGE,
+    maxDeviation = MAX_SOURCE_DEVIATION,
+    timeout = REQUEST_TIMEOUT,
+    transport = 'STREAM'
+  } = {}
 ) => {
-  const [prices, setPrices] = useState({
-    BTC: null,
-    ETH: null,
-    SOL: null
-  });
-
-  const [priceHistory, setPriceHistory] = useState({
-    BTC: [],
-    ETH: [],
-    SOL: []
-  });
-
+  const [prices, setPrices] = useState(() => Object.fromEntries(markets.map(market => [market, null])));
+  const [priceHistory, setPriceHistory] = useState(() => Object.fromEntries(markets.map(market => [market, []])));
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [lastFetchTime, setLastFetchTime] = useState(null);
+  const [sources, setSources] = useState([]);
+  const [details, setDetails] = useState({});
+  const [connection, setConnection] = useState('REST');
 
-  // Map CoinGecko IDs to our internal symbols
-  const symbolMap = {
-    bitcoin: 'BTC',
-    ethereum: 'ETH',
-    solana: 'SOL'
-  };
-
-  /**
-   * Fetch prices from CoinGecko API
-   * Uses the free API endpoint with no API key required
-   */
-  const fetchPrices = useCallback(async () => {
-    try {
-      // CoinGecko free API endpoint for multiple coins
-      const ids = symbols.join(',');
-      const url = `https://api.coingecko.com/api/v3/simple/price?ids=${ids}&vs_currencies=usd`;
-
-      const response = await fetch(url);
-
-      if (!response.ok) {
-        throw new Error(`CoinGecko API error: ${response.status}`);
-      }
-
-      const data = await response.json();
+  // Polls read the latest configuration without restarting
+  const configRef = useRef({ providers, markets, maxAge, maxDeviation, timeout, maxHistoryPoints });
+  useEffect(() => {
+    configRef.current = { providers, markets, maxAge, maxDeviation, timeout, maxHistoryPoints };
+  });
 
-      // Transform API response to our format
-      const newPrices = {};
-      const currentTime = Date.now();
+  const pollRef = useRef(null);
 
-      symbols.forEach(symbol => {
-        const internalSymbol = symbolMap[symbol];
-        if (data[symbol] && data[symbol].usd) {
-          newPrices[internalSymbol] = data[symbol].usd;
+  useEffect(() => {
+    let cancelled = false;
+    let inFlight = false;
+    let publishTimer = null;
+    let statuses = {}; // provider id -> { name, weight, prices, lastSuccess, error, failures }
+    const streamStates = {}; // provider id -> stream state, for providers being streamed
+    const lastRequest = {}; // provider id -> time of the last REST request
+
+    // Aggregate the latest quotes; only polls extend the history so its spacing stays even
+    const publish = ({ record }) => {
+      clearTimeout(publishTimer);
+      publishTimer = null;
+
+      const config = configRef.current;
+      const now = Date.now();
+      const aggregated = aggregatePrices(statuses, config.markets, { now, maxAge: config.maxAge, maxDeviation: config.maxDeviation });
+      const newPrices = Object.fromEntries(Object.entries(aggregated.prices).filter(([, price]) => price !== null));
+
+      setSources(Object.entries(statuses).map(([id, status]) => ({
+        id,
+        ...status,
+        stream: streamStates[id] ?? null,
+        healthy: isSourceHealthy(status, now, config.maxAge)
+      })));
+      setDetails(aggregated.details);
+      setConnection(getConnectionState(streamStates));
+
+      if (Object.keys(newPrices).length === 0) {
+        // Set error state but don't clear existing prices
+        if (Object.keys(statuses).length > 0) {
+          setError(`No healthy price sources (${Object.values(statuses).map(s => `${s.name}: ${s.error ?? 'stale'}`).join('; ')})`);
+          setIsLoading(false);
         }
-      });
-
-      // Update current prices
-      setPrices(prevPrices => ({
-        ...prevPrices,
-        ...newPrices
-      }));
-
-      // Update price history
-      setPriceHistory(prevHistory => {
-        const newHistory = { ...prevHistory };
+        return;
+      }
 
-        Object.entries(newPrices).forEach(([symbol, price]) => {
-          if (price !== null) {
-            newHistory[symbol] = [...(prevHistory[symbol] || []), price].slice(-maxHistoryPoints);
-          }
+      setPrices(prevPrices => ({ ...prevPrices, ...newPrices }));
+      if (record) {
+        setPriceHistory(prevHistory => {
+          const newHistory = { ...prevHistory };
+          Object.entries(newPrices).forEach(([symbol, price]) => {
+            newHistory[symbol] = [...(prevHistory[symbol] || []), price].slice(-config.maxHistoryPoints);
+          });
+          return newHistory;
         });
-
-        return newHistory;
-      });
-
-      // Clear any previous errors and update status
-      setError(null);
-      setLastFetchTime(currentTime);
+      }
       setIsLoading(false);
-
-    } catch (err) {
-      // Handle API failures gracefully
-      console.error('🚨 CoinGecko API fetch failed:', err.message);
-
-      // Set error state but don't clear existing prices
-      setError(err.message);
-
-      // If this is the first fetch, set loading to false
-      if (isLoading) {
-        setIsLoading(false);
+      setError(null);
+      setLastFetchTime(now);
+    };
+
+    const schedulePublish = () => {
+      if (cancelled || publishTimer) return;
+      publishTimer = setTimeout(() => publish({ record: false }), STREAM_PUBLISH_INTERVAL);
+    };
+
+    const streamable = transport === 'STREAM' && typeof globalThis.WebSocket === 'function'
+      ? configRef.current.providers.filter(provider => provider.stream)
+      : [];
+    const connections = streamable.map(provider => createStreamConnection(provider, configRef.current.markets, {
+      onPrices: (quotes, time) => {
+        const previous = statuses[provider.id] ?? { prices: {} };
+        statuses = {
+          ...statuses,
+          [provider.id]: {
+            name: provider.name,
+            weight: provider.weight,
+            prices: { ...previous.prices, ...quotes },
+            lastSuccess: time,
+            error: null,
+            failures: 0
+          }
+        };
+        schedulePublish();
+      },
+      onStateChange: (state, { reason, delay, attempt }) => {
+        streamStates[provider.id] = state;
+        if (state === 'LIVE') console.log(`📡 ${provider.name} stream live`);
+        // Only the first failure is logged; the backoff keeps retrying quietly
+        if (state === 'RECONNECTING' && attempt === 1) {
+          console.warn(`⚠️ ${provider.name} stream down (${reason}), polling REST until it reconnects in ${Math.round(delay)}ms`);
+        }
+        schedulePublish();
       }
+    }));
+
+    const poll = async () => {
+      if (inFlight) return; // a slow provider shouldn't stack up requests
+      inFlight = true;
+
+      // Live streams need no polling; rate-limited APIs are asked no more often than they allow
+      const config = configRef.current;
+      const started = Date.now();
+      const due = config.providers.filter(provider => (
+        streamStates[provider.id] !== 'LIVE' &&
+        started - (lastRequest[provider.id] ?? 0) >= (provider.restInterval ?? 0)
+      ));
+      due.forEach(provider => { lastRequest[provider.id] = started; });
+
+      const results = await Promise.allSettled(
+        due.map(provider => fetchWithTimeout(provider, config.markets, config.timeout))
+      );
+      inFlight = false;
+      if (cancelled) return;
+
+      const now = Date.now();
+      statuses = { ...statuses };
+      due.forEach((provider, i) => {
+        const previous = statuses[provider.id] ?? { prices: {}, lastSuccess: null, failures: 0 };
+        const result = results[i];
+        // A stream that came up while the request was out has newer prices
+        if (streamStates[provider.id] === 'LIVE') return;
+
+        if (result.status === 'fulfilled') {
+          statuses[provider.id] = { name: provider.name, weight: provider.weight, prices: result.value, lastSuccess: now, error: null, failures: 0 };
+          return;
+        }
 
-      // Don't update lastFetchTime on error to indicate stale data
-    }
-  }, [symbols, symbolMap, maxHistoryPoints, isLoading]);
+        const message = result.reason?.name === 'AbortError' ? 'Request timed out' : result.reason?.message ?? String(result.reason);
+        if (previous.failures === 0) console.error(`🚨 ${provider.name} price fetch failed:`, message);
+        statuses[provider.id] = { ...previous, name: provider.name, weight: provider.weight, error: message, failures: previous.failures + 1 };
+      });
 
-  // Initial fetch on mount
-  useEffect(() => {
-    fetchPrices();
-  }, []); // Only run once on mount
+      publish({ record: true });
+    };
 
-  // Set up polling interval
-  useEffect(() => {
-    const interval = setInterval(fetchPrices, pollInterval);
+    pollRef.current = poll;
+    connections.forEach(connection => connection.start());
+    poll();
+    const interval = setInterval(poll, pollInterval);
 
-    return () => clearInterval(interval);
-  }, [fetchPrices, pollInterval]);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+      clearTimeout(publishTimer);
+      connections.forEach(connection => connection.stop());
+    };
+  }, [pollInterval, transport]);
 
   return {
     prices,
@@ -122,8 +223,11 @@ export const useLivePrices = (
     isLoading,
     error,
     lastFetchTime,
+    sources,
+    details,
+    connection,
     // Utility function to manually refresh prices
-    refreshPrices: fetchPrices
+    refreshPrices: () => pollRef.current?.()
   };
 };
 
@@ -0,0 +1,46 @@
+import { useState, useEffect, useRef } from 'react';
+import * as priceModel from '../engine/prices';
+
+/**
+ * Custom hook that derives index, last-trade and smoothed mark prices per market
+ * @param {Object} indexPrices - Map of market -> index price (the external feed)
+ * @param {Object} lastPrices - Map of market -> last-trade price of the perp
+ * @param {Function} onMark - Called with (markPrices) after every mark update
+ * @param {number} sampleInterval - How often the mark is updated (default: 1000ms)
+ * @returns {Object} - { marketPrices, markPrices } where marketPrices maps
+ *   market -> { index, last, mark } and markPrices market -> mark
+ */
+export const useMarketPrices = (indexPrices, lastPrices, onMark, sampleInterval = 1000) => {
+  const [snapshot, setSnapshot] = useState(() => {
+    const marketPrices = priceModel.updateMarketPrices({}, indexPrices, lastPrices);
+    return { marketPrices, markPrices: priceModel.selectPrices(marketPrices, 'MARK') };
+  });
+
+  // The interval reads the latest feed and callback without restarting
+  const indexPricesRef = useRef(indexPrices);
+  const lastPricesRef = useRef(lastPrices);
+  const onMarkRef = useRef(onMark);
+  const marketPricesRef = useRef(snapshot.marketPrices);
+  useEffect(() => {
+    indexPricesRef.current = indexPrices;
+    lastPricesRef.current = lastPrices;
+    onMarkRef.current = onMark;
+  });
+
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const marketPrices = priceModel.updateMarketPrices(marketPricesRef.current, indexPricesRef.current, lastPricesRef.current);
+      const markPrices = priceModel.selectPrices(marketPrices, 'MARK');
+      marketPricesRef.current = marketPrices;
+
+      setSnapshot({ marketPrices, markPrices });
+      onMarkRef.current?.(markPrices);
+    }, sampleInterval);
+
+    return () => clearInterval(interval);
+  }, [sampleInterval]);
+
+  return snapshot;
+};
+
+export default useMarketPrices;
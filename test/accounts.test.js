@@ -0,0 +1,97 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as accounts from '../src/engine/accounts.js';
+import { STORAGE_KEY } from '../src/engine/persistence.js';
+
+const withSecond = () => accounts.addAccount(accounts.createRegistry(0), { name: 'Scalping', startingBalance: 500 }, 1000);
+
+describe('registry', () => {
+  it('keeps the Main account on the original storage key', () => {
+    assert.equal(accounts.getAccountStorageKey(accounts.DEFAULT_ACCOUNT_ID), STORAGE_KEY);
+    assert.equal(accounts.getAccountStorageKey('acct-1'), `${STORAGE_KEY}:acct-1`);
+  });
+
+  it('falls back to a fresh registry when the saved one is unreadable', () => {
+    assert.deepEqual(accounts.parseRegistry('{nope', 5), accounts.createRegistry(5));
+    assert.deepEqual(accounts.parseRegistry(JSON.stringify({ accounts: [{ id: 'x' }] }), 5), accounts.createRegistry(5));
+  });
+
+  it('activates the first account when the saved active id is gone', () => {
+    const { registry } = withSecond();
+    const parsed = accounts.parseRegistry(JSON.stringify({ ...registry, activeId: 'acct-404' }));
+
+    assert.equal(parsed.activeId, accounts.DEFAULT_ACCOUNT_ID);
+    assert.equal(parsed.accounts.length, 2);
+  });
+});
+
+describe('adding and naming', () => {
+  it('adds an inactive account with a timestamp id', () => {
+    const { registry, account } = withSecond();
+
+    assert.equal(account.id, 'acct-1000');
+    assert.equal(account.startingBalance, 500);
+    assert.equal(registry.activeId, accounts.DEFAULT_ACCOUNT_ID);
+  });
+
+  it('bumps the id when two accounts are created in the same ms', () => {
+    const { registry } = withSecond();
+    const { account } = accounts.addAccount(registry, { name: 'Swing' }, 1000);
+
+    assert.equal(account.id, 'acct-1001');
+  });
+
+  it('rejects empty, duplicate and overlong names and bad balances', () => {
+    const { registry } = withSecond();
+
+    assert.match(accounts.addAccount(registry, { name: '  ' }).error, /required/);
+    assert.match(accounts.addAccount(registry, { name: 'scalping' }).error, /already exists/);
+    assert.match(accounts.addAccount(registry, { name: 'x'.repeat(33) }).error, /at most 32/);
+    assert.match(accounts.addAccount(registry, { name: 'Swing', startingBalance: 0 }).error, /positive/);
+  });
+
+  it('lets an account keep its own name on rename', () => {
+    const { registry, account } = withSecond();
+
+    assert.equal(accounts.renameAccount(registry, account.id, 'Scalping').error, undefined);
+    assert.match(accounts.renameAccount(registry, account.id, 'main').error, /already exists/);
+  });
+});
+
+describe('duplicating and deleting', () => {
+  it('names copies so they never clash', () => {
+    const { registry } = withSecond();
+    const first = accounts.getCopyName(registry, 'Scalping');
+    const { registry: withCopy } = accounts.addAccount(registry, { name: first }, 2000);
+
+    assert.equal(first, 'Scalping (copy)');
+    assert.equal(accounts.getCopyName(withCopy, 'Scalping'), 'Scalping (copy) 2');
+  });
+
+  it('keeps copy names within the length limit', () => {
+    const name = 'x'.repeat(accounts.MAX_ACCOUNT_NAME_LENGTH);
+
+    assert.equal(accounts.getCopyName(accounts.createRegistry(0), name).length, accounts.MAX_ACCOUNT_NAME_LENGTH);
+  });
+
+  it('activates the first remaining account when the active one is deleted', () => {
+    const { registry, account } = withSecond();
+    const active = accounts.setActiveAccount(registry, account.id);
+    const result = accounts.removeAccount(active, account.id);
+
+    assert.equal(result.registry.activeId, accounts.DEFAULT_ACCOUNT_ID);
+    assert.equal(result.registry.accounts.length, 1);
+  });
+
+  it("won't delete the last account", () => {
+    const registry = accounts.createRegistry(0);
+
+    assert.match(accounts.removeAccount(registry, accounts.DEFAULT_ACCOUNT_ID).error, /last account/);
+  });
+
+  it('ignores unknown ids when switching', () => {
+    const registry = accounts.createRegistry(0);
+
+    assert.equal(accounts.setActiveAccount(registry, 'acct-404'), registry);
+  });
+});
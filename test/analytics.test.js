@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as analytics from '../src/engine/analytics.js';
+
+const trade = (netPnL, closeTime, overrides = {}) => ({
+  market: 'BTC',
+  direction: 'LONG',
+  riskMode: 'SAFE',
+  exitReason: 'MANUAL',
+  netPnL,
+  closeTime,
+  fees: 1,
+  netFunding: 0,
+  ...overrides
+});
+
+// Newest first, as stored in tradeHistory
+const records = [
+  trade(30, 5000),
+  trade(-50, 4000, { market: 'ETH', direction: 'SHORT' }),
+  trade(-100, 3000, { exitReason: 'LIQUIDATION', riskMode: 'DEGENERATE' }),
+  trade(20, 2000),
+  trade(100, 1000)
+];
+
+describe('calculateTradeStats', () => {
+  const stats = analytics.calculateTradeStats(records, { startingBalance: 1000 });
+
+  it('scores wins and losses on net PnL, liquidations as losses', () => {
+    assert.equal(stats.trades, 5);
+    assert.equal(stats.wins, 3);
+    assert.equal(stats.losses, 2);
+    assert.equal(stats.winRate, 0.6);
+    assert.equal(stats.averageWin, 50);
+    assert.equal(stats.averageLoss, -75);
+    assert.equal(stats.profitFactor, 1);
+    assert.equal(stats.netPnL, 0);
+    assert.equal(stats.fees, 5);
+  });
+
+  it('measures the drawdown on the realized equity after each trade, oldest first', () => {
+    // 1000 -> 1100 -> 1120 (peak) -> 1020 -> 970 (trough) -> 1000
+    assert.equal(stats.maxDrawdown, 150);
+    assert.equal(stats.maxDrawdownPercent, 150 / 1120);
+  });
+
+  it('tracks streaks in close order', () => {
+    assert.equal(stats.longestWinStreak, 2);
+    assert.equal(stats.longestLossStreak, 2);
+    assert.equal(stats.currentStreak, 1);
+  });
+
+  it('has nothing to say about an empty history', () => {
+    const empty = analytics.calculateTradeStats([]);
+
+    assert.equal(empty.trades, 0);
+    assert.equal(empty.winRate, null);
+    assert.equal(empty.profitFactor, null);
+    assert.equal(empty.sharpe, null);
+  });
+
+  it('reports an infinite profit factor without losses', () => {
+    assert.equal(analytics.calculateTradeStats([trade(10, 1000)]).profitFactor, Infinity);
+  });
+});
+
+describe('calculateRiskAdjustedReturns', () => {
+  it('needs at least two trades', () => {
+    assert.deepEqual(analytics.calculateRiskAdjustedReturns([0.1]), { sharpe: null, sortino: null });
+  });
+
+  it('only penalizes downside moves in the Sortino ratio', () => {
+    const { sharpe, sortino } = analytics.calculateRiskAdjustedReturns([0.1, 0.3, -0.1]);
+
+    assert.ok(Math.abs(sharpe - 0.1 / 0.2) < 1e-9);
+    assert.ok(Math.abs(sortino - 0.1 / Math.sqrt(0.01 / 3)) < 1e-9);
+  });
+});
+
+describe('breakdownTradeStats', () => {
+  it('groups by the field, busiest first', () => {
+    const byMarket = analytics.breakdownTradeStats(records, 'market');
+
+    assert.deepEqual(byMarket.map(group => [group.value, group.trades]), [['BTC', 4], ['ETH', 1]]);
+    assert.equal(byMarket[1].netPnL, -50);
+  });
+});
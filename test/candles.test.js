@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as candles from '../src/engine/candles.js';
+import { createKrakenProvider } from '../src/engine/priceFeeds.js';
+
+const T0 = Date.UTC(2026, 0, 1);
+const candle = (time, open, high, low, close, volume = 0, ticks = 1) => ({ time, open, high, low, close, volume, ticks });
+
+describe('updateCandles', () => {
+  it('buckets samples into every timeframe', () => {
+    let store = candles.createCandleStore(['BTC', 'ETH']);
+    store = candles.updateCandles(store, { BTC: 100 }, T0);
+    store = candles.updateCandles(store, { BTC: 105 }, T0 + 10000);
+    store = candles.updateCandles(store, { BTC: 95 }, T0 + 20000);
+    store = candles.updateCandles(store, { BTC: 101 }, T0 + 61000);
+
+    assert.deepEqual(store.BTC['1m'], [candle(T0, 100, 105, 95, 95, 0, 3), candle(T0 + 60000, 101, 101, 101, 101)]);
+    assert.deepEqual(store.BTC['5m'], [candle(T0, 100, 105, 95, 101, 0, 4)]);
+    assert.deepEqual(store.ETH['1m'], []);
+  });
+
+  it('ignores invalid prices and samples older than the last candle', () => {
+    const series = [candle(T0 + 60000, 1, 1, 1, 1)];
+
+    assert.equal(candles.addTick(series, 2, T0, '1m'), series);
+    assert.equal(candles.addTick(series, NaN, T0 + 60000, '1m'), series);
+  });
+
+  it('keeps only the retention', () => {
+    const series = candles.addTick([candle(T0, 1, 1, 1, 1)], 2, T0 + 60000, '1m', { retention: 1 });
+
+    assert.deepEqual(series.map(c => c.time), [T0 + 60000]);
+  });
+});
+
+describe('mergeCandles', () => {
+  const live = [candle(T0, 100, 105, 95, 95, 0, 3), candle(T0 + 60000, 101, 101, 101, 101)];
+  const history = [candle(T0, 99, 110, 98, 100, 7, 9), candle(T0 - 60000, 90, 99, 89, 98, 5, 3)];
+
+  it('fills earlier buckets and widens the shared one', () => {
+    assert.deepEqual(candles.mergeCandles(live, history, 720), [
+      candle(T0 - 60000, 90, 99, 89, 98, 5, 3),
+      candle(T0, 99, 110, 95, 95, 7, 9),
+      candle(T0 + 60000, 101, 101, 101, 101)
+    ]);
+  });
+
+  it('takes history alone when nothing is live yet', () => {
+    assert.deepEqual(candles.mergeCandles([], history, 1), [history[0]]);
+  });
+});
+
+describe('fetchCandles', () => {
+  it('reads Kraken OHLC rows oldest first and drops broken ones', async () => {
+    const fetch = async (url) => {
+      assert.match(url, /pair=XDGUSD&interval=240/);
+      return { ok: true, json: async () => ({ error: [], result: { XDGUSD: [[2, '1', '2', '0.5', '1.2', '1', '11', 4], [1, '1', '2', '0.5', '1.5', '1', '10', 3], [3, '1', '0.1', '2', '1', '1', '1', 1]] } }) };
+    };
+    const series = await createKrakenProvider().fetchCandles('DOGE', '4h', { fetch });
+
+    assert.deepEqual(series, [candle(1000, 1, 2, 0.5, 1.5, 10, 3), candle(2000, 1, 2, 0.5, 1.2, 11, 4)]);
+  });
+});
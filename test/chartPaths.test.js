@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildSmoothPath, getPriceTicks } from '../src/components/chartPaths.js';
+
+describe('buildSmoothPath', () => {
+  it('needs at least two points', () => {
+    assert.equal(buildSmoothPath([{ x: 0, y: 0 }]), '');
+  });
+
+  it('leaves and enters each point horizontally', () => {
+    const path = buildSmoothPath([{ x: 0, y: 10 }, { x: 30, y: 40 }]);
+
+    assert.equal(path, 'M 0 10 C 10 10, 20 40, 30 40');
+  });
+
+  it('can continue an existing path', () => {
+    assert.ok(buildSmoothPath([{ x: 0, y: 10 }, { x: 30, y: 40 }], { moveTo: false }).startsWith(' C'));
+  });
+});
+
+describe('getPriceTicks', () => {
+  it('picks a 1, 2 or 5 step that keeps to about count levels', () => {
+    assert.deepEqual(getPriceTicks(94870, 95130), [94900, 95000, 95100]);
+    assert.deepEqual(getPriceTicks(3480, 3560), [3480, 3500, 3520, 3540, 3560]);
+    assert.deepEqual(getPriceTicks(100, 118), [100, 105, 110, 115]);
+  });
+
+  it('only returns levels inside the range', () => {
+    const ticks = getPriceTicks(137.3, 142.9);
+
+    assert.ok(ticks.every(tick => tick >= 137.3 && tick <= 142.9));
+    assert.ok(ticks.length >= 2);
+  });
+
+  it('returns just the price for a flat range', () => {
+    assert.deepEqual(getPriceTicks(95000, 95000), [95000]);
+  });
+});
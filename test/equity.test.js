@@ -0,0 +1,63 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as equity from '../src/engine/equity.js';
+
+describe('appendEquitySample', () => {
+  it('appends finite samples only', () => {
+    const samples = equity.appendEquitySample([], 1000, 1);
+
+    assert.deepEqual(samples, [{ time: 1, equity: 1000 }]);
+    assert.equal(equity.appendEquitySample(samples, NaN, 2), samples);
+  });
+
+  it('thins the older half once full and keeps the recent half intact', () => {
+    let samples = [];
+    for (let i = 0; i <= equity.MAX_EQUITY_SAMPLES; i++) {
+      samples = equity.appendEquitySample(samples, 1000 + i, i);
+    }
+
+    const half = Math.floor((equity.MAX_EQUITY_SAMPLES + 1) / 2);
+    assert.equal(samples.length, Math.ceil(half / 2) + (equity.MAX_EQUITY_SAMPLES + 1 - half));
+    assert.equal(samples[0].time, 0);
+    assert.equal(samples[1].time, 2);
+    assert.equal(samples.at(-1).time, equity.MAX_EQUITY_SAMPLES);
+  });
+});
+
+describe('calculateDrawdownSeries', () => {
+  it('tracks the running peak', () => {
+    const series = equity.calculateDrawdownSeries([
+      { time: 1, equity: 1000 },
+      { time: 2, equity: 1200 },
+      { time: 3, equity: 900 }
+    ]);
+
+    assert.deepEqual(series.map(s => [s.peak, s.drawdown]), [[1000, 0], [1200, 0], [1200, 300]]);
+  });
+});
+
+describe('collectEquityEvents', () => {
+  const account = {
+    positions: [{ id: 5000, openTime: 5000, market: 'ETH', direction: 'SHORT' }],
+    tradeHistory: [
+      { positionId: 1000, openTime: 1000, closeTime: 4000, market: 'BTC', direction: 'LONG', exitReason: 'LIQUIDATION', netPnL: -100 },
+      { positionId: 1000, openTime: 1000, closeTime: 2000, market: 'BTC', direction: 'LONG', exitReason: 'TAKE_PROFIT', netPnL: 12.5 }
+    ],
+    fundingHistory: [
+      { time: 3000, amount: 0.5 },
+      { time: 3000, amount: -0.2 }
+    ]
+  };
+
+  it('marks each position open once, then its closes and merged funding, oldest first', () => {
+    const events = equity.collectEquityEvents(account);
+
+    assert.deepEqual(events.map(e => e.type), ['OPEN', 'CLOSE', 'FUNDING', 'LIQUIDATION', 'OPEN']);
+    assert.equal(events[1].label, 'Close LONG BTC: +$12.50');
+    assert.equal(events[2].label, 'Funding paid: $0.3000');
+  });
+
+  it('skips events before the start of the chart', () => {
+    assert.deepEqual(equity.collectEquityEvents(account, 3500).map(e => e.time), [4000, 5000]);
+  });
+});
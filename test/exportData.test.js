@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as engine from '../src/engine/tradingEngine.js';
+import { FEE_TIERS } from '../src/engine/fees.js';
+import * as exportData from '../src/engine/exportData.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const LONG_BTC = { market: 'BTC', direction: 'LONG', leverage: 10, riskAmount: 100, riskMode: 'DEGENERATE' };
+const options = (now) => ({ feeSchedule: FEE_TIERS, now });
+
+// Open, pay funding and close BTC on day 1; open ETH and get liquidated on day 2
+const buildAccount = () => {
+  let state = engine.setPositionMode(engine.createAccount(1000), 'HEDGE').state;
+  const btc = engine.openPosition(state, LONG_BTC, 95000, options(DAY));
+  state = engine.applyFunding(btc.state, 0.001, { prices: { BTC: 95000 }, now: DAY + 1000 }).state;
+  state = engine.closePosition(state, btc.position.id, 95950, options(DAY + 2000)).state;
+  const eth = engine.openPosition(state, { ...LONG_BTC, market: 'ETH' }, 3500, options(2 * DAY));
+  return engine.markToMarket(eth.state, { ETH: 3000 }, options(2 * DAY + 1000)).state;
+};
+
+const account = buildAccount();
+
+describe('getExportRows', () => {
+  it('lists trades oldest first with snake_case columns', () => {
+    const rows = exportData.getExportRows(account, 'trades');
+
+    assert.deepEqual(rows.map(r => r.market), ['BTC', 'ETH']);
+    assert.deepEqual(Object.keys(rows[0]), exportData.EXPORT_COLUMNS.trades.map(c => c.name));
+    assert.equal(rows[0].close_time, new Date(DAY + 2000).toISOString());
+  });
+
+  it('filters by time range and market', () => {
+    // The ETH liquidation gapped past bankruptcy, so only its opening fee was booked
+    assert.equal(exportData.getExportRows(account, 'fees', { from: 2 * DAY }).length, 1);
+    assert.equal(exportData.getExportRows(account, 'fees', { to: DAY + 2000, market: 'ETH' }).length, 0);
+    assert.equal(exportData.getExportRows(account, 'fees', { market: 'BTC' }).length, 2);
+  });
+
+  it('carries the mark and bankruptcy prices of liquidations', () => {
+    const [row] = exportData.getExportRows(account, 'liquidations');
+
+    assert.equal(row.market, 'ETH');
+    assert.equal(row.mark_price, 3000);
+    assert.equal(row.bankruptcy_price, 3150);
+  });
+
+  it('rejects unknown datasets', () => {
+    assert.throws(() => exportData.getExportRows(account, 'orders'), /Unknown export dataset/);
+  });
+});
+
+describe('getBalanceChanges', () => {
+  it('replays realized PnL, fees and funding into the final balance', () => {
+    const changes = exportData.getBalanceChanges(account, 1000);
+
+    assert.ok(Math.abs(changes.at(-1).balance - account.balance) < 1e-9);
+    assert.deepEqual([...new Set(changes.map(c => c.type))].sort(), ['FEE', 'FUNDING', 'REALIZED_PNL']);
+  });
+
+  it('keeps the running balance of the full ledger when filtered', () => {
+    const all = exportData.getExportRows(account, 'balance', { startingBalance: 1000 });
+    const late = exportData.getExportRows(account, 'balance', { startingBalance: 1000, from: 2 * DAY });
+
+    assert.equal(late.at(-1).balance, all.at(-1).balance);
+  });
+});
+
+describe('formats', () => {
+  it('quotes CSV values that need it and leaves missing ones empty', () => {
+    const csv = exportData.toCSV('funding', [
+      { time: 'a,b', position_id: null, market: 'say "hi"', direction: 'LONG', rate: 0.001, amount: 1 }
+    ]);
+
+    assert.equal(csv, 'time,position_id,market,direction,rate,amount\r\n"a,b",,"say ""hi""",LONG,0.001,1\r\n');
+  });
+
+  it('wraps JSON rows with the schema version and filters', () => {
+    const doc = JSON.parse(exportData.toJSON('trades', [], { filters: { from: DAY, market: 'BTC' }, exportedAt: 2 * DAY }));
+
+    assert.equal(doc.schemaVersion, exportData.EXPORT_SCHEMA_VERSION);
+    assert.deepEqual(doc.filters, { from: new Date(DAY).toISOString(), to: null, market: 'BTC' });
+    assert.equal(doc.columns.length, exportData.EXPORT_COLUMNS.trades.length);
+  });
+
+  it('names files by dataset and day', () => {
+    assert.equal(exportData.getExportFilename('trades', 'CSV', DAY), 'perpsx-trades-1970-01-02.csv');
+  });
+});
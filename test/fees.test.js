@@ -0,0 +1,50 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as fees from '../src/engine/fees.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = 100 * DAY + 12 * 60 * 60 * 1000;
+
+describe('volume', () => {
+  it('adds to today\'s bucket and starts a new one each day', () => {
+    let history = fees.recordVolume([], 1000, NOW);
+    history = fees.recordVolume(history, 500, NOW + 1000);
+    history = fees.recordVolume(history, 200, NOW + DAY);
+
+    assert.deepEqual(history.map(bucket => bucket.notional), [1500, 200]);
+  });
+
+  it('only counts the last 30 days', () => {
+    const history = [
+      { day: 100 * DAY - 30 * DAY, notional: 1000000 },
+      { day: 100 * DAY - 29 * DAY, notional: 20000 },
+      { day: 100 * DAY, notional: 30000 }
+    ];
+
+    assert.equal(fees.getRollingVolume(history, NOW), 50000);
+  });
+});
+
+describe('fee tiers', () => {
+  it('picks the highest tier the volume reaches', () => {
+    assert.equal(fees.getFeeTier(0).tier.name, 'VIP 0');
+    assert.equal(fees.getFeeTier(50000).tier.name, 'VIP 1');
+    assert.equal(fees.getFeeTier(249999).nextTier.name, 'VIP 2');
+    assert.equal(fees.getFeeTier(10000000).nextTier, null);
+  });
+
+  it('charges nothing without a schedule', () => {
+    const rates = fees.getFeeRates([{ day: 100 * DAY, notional: 60000 }], null, NOW);
+
+    assert.equal(rates.maker, 0);
+    assert.equal(rates.taker, 0);
+    assert.equal(rates.volume, 60000);
+  });
+
+  it('drops the rates as volume grows', () => {
+    const rates = fees.getFeeRates([{ day: 100 * DAY, notional: 60000 }], fees.FEE_TIERS, NOW);
+
+    assert.equal(rates.maker, 0.00016);
+    assert.equal(rates.taker, 0.00045);
+  });
+});
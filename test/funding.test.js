@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as funding from '../src/engine/funding.js';
+
+const assertNear = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+describe('calculateFundingRate', () => {
+  it('pays the interest rate when the premium is inside the band', () => {
+    assertNear(funding.calculateFundingRate(0.0003), funding.FUNDING_INTEREST_RATE);
+    assertNear(funding.calculateFundingRate(-0.0002), funding.FUNDING_INTEREST_RATE);
+  });
+
+  it('follows the premium outside the band', () => {
+    assertNear(funding.calculateFundingRate(0.002), 0.002 - funding.FUNDING_CLAMP);
+    assertNear(funding.calculateFundingRate(-0.002), -0.002 + funding.FUNDING_CLAMP);
+  });
+
+  it('caps extreme premiums', () => {
+    assert.equal(funding.calculateFundingRate(0.05), funding.FUNDING_CAP);
+    assert.equal(funding.calculateFundingRate(-0.05), -funding.FUNDING_CAP);
+  });
+});
+
+describe('funding tracker', () => {
+  it('schedules funding on multiples of the interval', () => {
+    assert.equal(funding.getNextFundingTime(45000), 60000);
+    assert.equal(funding.getNextFundingTime(60000), 90000);
+  });
+
+  it('averages the sampled premiums into the predicted rate', () => {
+    const high = () => 1; // pushes the premium up by the full noise every step
+    let tracker = funding.createFundingTracker(0);
+    tracker = funding.samplePremium(tracker, { BTC: 95000, ETH: null }, high);
+    tracker = funding.samplePremium(tracker, { BTC: 95000, ETH: null }, high);
+
+    assert.equal(tracker.samples.BTC.count, 2);
+    assert.equal(tracker.samples.ETH, undefined);
+
+    const average = tracker.samples.BTC.sum / 2;
+    assert.equal(funding.predictFundingRates(tracker).BTC, funding.calculateFundingRate(average));
+  });
+
+  it('prices the perp at the index plus its premium', () => {
+    const tracker = { ...funding.createFundingTracker(0), premiums: { BTC: 0.001 } };
+
+    assertNear(funding.getPerpPrices(tracker, { BTC: 100000, ETH: 3000 }).BTC, 100100);
+    assert.equal(funding.getPerpPrices(tracker, { BTC: 100000, ETH: 3000 }).ETH, 3000);
+  });
+
+  it('clears the samples but keeps the premiums for the next period', () => {
+    const tracker = funding.samplePremium(funding.createFundingTracker(0), { BTC: 95000 }, () => 1);
+    const reset = funding.resetFundingTracker(tracker, 30000);
+
+    assert.deepEqual(reset.samples, {});
+    assert.equal(reset.premiums.BTC, tracker.premiums.BTC);
+    assert.equal(reset.nextFundingTime, 60000);
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as history from '../src/engine/history.js';
+
+const closedPosition = (overrides = {}) => ({
+  id: 1000,
+  openTime: 1000,
+  market: 'BTC',
+  direction: 'LONG',
+  leverage: 10,
+  size: 1000,
+  entryPrice: 95000,
+  exitPrice: 95950,
+  exitReason: 'MANUAL',
+  realizedPnL: 10,
+  openFee: 0.5,
+  closeFee: 0.5,
+  fundingPaid: 2,
+  fundingReceived: 0.5,
+  ...overrides
+});
+
+describe('createTradeRecord', () => {
+  it('nets fees and funding out of the realized PnL', () => {
+    const record = history.createTradeRecord(closedPosition(), 61000);
+
+    assert.equal(record.fees, 1);
+    assert.equal(record.netFunding, -1.5);
+    assert.equal(record.netPnL, 7.5);
+    assert.equal(record.holdDuration, 60000);
+    assert.equal(record.marginMode, 'ISOLATED');
+  });
+
+  it('falls back to the id for positions saved without an open time', () => {
+    const record = history.createTradeRecord(closedPosition({ openTime: undefined, id: 500 }), 1500);
+
+    assert.equal(record.openTime, 500);
+  });
+});
+
+describe('appendTradeHistory', () => {
+  it('puts the newest records first with unique ids', () => {
+    const first = history.appendTradeHistory([], [closedPosition()], 2000);
+    const next = history.appendTradeHistory(first, [closedPosition({ id: 1 }), closedPosition({ id: 2 })], 3000);
+
+    assert.deepEqual(next.map(r => r.positionId), [2, 1, 1000]);
+    assert.equal(new Set(next.map(r => r.id)).size, 3);
+  });
+
+  it('drops the oldest records beyond the limit', () => {
+    const full = Array.from({ length: history.MAX_TRADE_HISTORY }, (_, i) => ({ id: `old-${i}` }));
+    const next = history.appendTradeHistory(full, [closedPosition()], 2000);
+
+    assert.equal(next.length, history.MAX_TRADE_HISTORY);
+    assert.equal(next[0].positionId, 1000);
+    assert.equal(next.at(-1).id, `old-${history.MAX_TRADE_HISTORY - 2}`);
+  });
+});
+
+describe('filterTradeHistory', () => {
+  const records = [
+    history.createTradeRecord(closedPosition(), 2000),
+    history.createTradeRecord(closedPosition({ market: 'ETH', direction: 'SHORT', realizedPnL: -20 }), 2000),
+    history.createTradeRecord(closedPosition({ exitReason: 'LIQUIDATION', realizedPnL: -100 }), 2000)
+  ];
+
+  it('classifies outcomes on net PnL', () => {
+    assert.deepEqual(records.map(history.getTradeOutcome), ['WIN', 'LOSS', 'LIQUIDATED']);
+  });
+
+  it('counts liquidations as losses', () => {
+    assert.equal(history.filterTradeHistory(records, { outcome: 'LOSS' }).length, 2);
+    assert.equal(history.filterTradeHistory(records, { outcome: 'LIQUIDATED' }).length, 1);
+  });
+
+  it('combines market and direction filters', () => {
+    assert.equal(history.filterTradeHistory(records, { market: 'BTC', direction: 'LONG' }).length, 2);
+    assert.equal(history.filterTradeHistory(records, { market: 'ALL', direction: 'SHORT' }).length, 1);
+  });
+});
+
+describe('formatDuration', () => {
+  it('uses the two largest units', () => {
+    assert.equal(history.formatDuration(45000), '45s');
+    assert.equal(history.formatDuration(725000), '12m 05s');
+    assert.equal(history.formatDuration(12000000), '3h 20m');
+    assert.equal(history.formatDuration(187200000), '2d 4h');
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as markets from '../src/engine/markets.js';
+import { BOOK_CONFIG, generateOrderBook } from '../src/engine/orderBook.js';
+import { calculateMaintenanceMargin } from '../src/engine/tradingEngine.js';
+
+describe('market registry', () => {
+  it('lists markets in registry order with BTC first', () => {
+    assert.equal(markets.DEFAULT_MARKET, 'BTC');
+    assert.deepEqual(markets.MARKET_SYMBOLS, Object.keys(markets.MARKETS));
+  });
+
+  it('maps feed ids per provider', () => {
+    assert.equal(markets.getFeedIds('binance').DOGE, 'DOGEUSDT');
+    assert.deepEqual(markets.getFeedIds('nope'), {});
+  });
+
+  it('only maps fields the market defines', () => {
+    const tiers = markets.getMarketField('maintenanceTiers');
+
+    assert.ok(tiers.BTC);
+    assert.equal('DOGE' in tiers, false);
+  });
+});
+
+describe('fallbacks', () => {
+  it('treats unknown markets as HIGH volatility', () => {
+    assert.equal(markets.getVolatility('PEPE'), markets.VOLATILITY_PROFILES.HIGH);
+    assert.equal(markets.getVolatility('BTC'), markets.VOLATILITY_PROFILES.LOW);
+  });
+
+  it('gives markets without tiers the most conservative ones', () => {
+    assert.equal(calculateMaintenanceMargin('DOGE', 20000), calculateMaintenanceMargin('SOL', 20000));
+  });
+
+  it('gives markets without a book shape the default one with their own tick and lot', () => {
+    assert.equal(BOOK_CONFIG.DOGE.spreadBps, BOOK_CONFIG.SOL.spreadBps);
+    assert.equal(BOOK_CONFIG.DOGE.tickSize, 0.00001);
+    assert.equal(BOOK_CONFIG.DOGE.lotSize, 1);
+  });
+
+  it('still builds a book for an unknown market', () => {
+    const book = generateOrderBook('PEPE', 100);
+
+    assert.equal(book.bids.length, BOOK_CONFIG.BTC.levels);
+    assert.ok(book.asks[0].price > book.bids[0].price);
+  });
+
+  it('formats prices with two decimals for unknown markets and ... without a price', () => {
+    assert.equal(markets.formatMarketPrice('DOGE', 0.35), '$0.35000');
+    assert.equal(markets.formatMarketPrice('PEPE', 1234.5), '$1,234.50');
+    assert.equal(markets.formatMarketPrice('BTC', null), '...');
+  });
+});
+
+describe('searchMarkets', () => {
+  it('lists every market for an empty query', () => {
+    assert.equal(markets.searchMarkets('  ').length, markets.MARKET_SYMBOLS.length);
+  });
+
+  it('ranks symbol matches before name matches', () => {
+    assert.deepEqual(markets.searchMarkets('sol').map(m => m.symbol), ['SOL']);
+    assert.deepEqual(markets.searchMarkets('ETH').map(m => m.symbol), ['ETH']);
+    assert.deepEqual(markets.searchMarkets('aval').map(m => m.symbol), ['AVAX']);
+  });
+
+  it('matches names anywhere, case-insensitively', () => {
+    assert.deepEqual(markets.searchMarkets('COIN').map(m => m.symbol), ['BTC', 'DOGE']);
+  });
+});
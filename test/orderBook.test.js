@@ -0,0 +1,89 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as orderBook from '../src/engine/orderBook.js';
+
+const book = orderBook.generateOrderBook('BTC', 95000);
+
+describe('generateOrderBook', () => {
+  it('ladders bids below and asks above the mid, best first', () => {
+    assert.equal(book.bids.length, orderBook.BOOK_CONFIG.BTC.levels);
+    assert.ok(book.bids[0].price < 95000 && book.asks[0].price > 95000);
+    assert.ok(book.asks.every((level, i) => i === 0 || level.price > book.asks[i - 1].price));
+    assert.ok(book.bids.every((level, i) => i === 0 || level.price < book.bids[i - 1].price));
+  });
+
+  it('is reproducible for the same mid', () => {
+    assert.deepEqual(orderBook.generateOrderBook('BTC', 95000), book);
+  });
+
+  it('needs a price', () => {
+    assert.equal(orderBook.generateOrderBook('BTC', null), null);
+  });
+});
+
+describe('walkBook', () => {
+  it('fills a small order at the best level', () => {
+    const fill = orderBook.walkBook(book, 'LONG', 1000);
+
+    assert.equal(fill.levelsUsed, 1);
+    assert.ok(Math.abs(fill.price - book.asks[0].price) < 1e-6);
+    assert.ok(fill.slippage > 0);
+  });
+
+  it('walks deeper levels at a volume-weighted price', () => {
+    const notional = book.bids[0].notional + book.bids[1].notional / 2;
+    const fill = orderBook.walkBook(book, 'SHORT', notional);
+
+    assert.equal(fill.levelsUsed, 2);
+    assert.equal(fill.worstPrice, book.bids[1].price);
+    assert.ok(fill.price < book.bids[0].price && fill.price > book.bids[1].price);
+  });
+
+  it('rejects orders larger than the book', () => {
+    const { error } = orderBook.walkBook(book, 'LONG', 1e9);
+
+    assert.match(error, /Not enough liquidity/);
+  });
+});
+
+describe('quoteMarketOrder', () => {
+  it('rejects fills beyond the slippage tolerance', () => {
+    const thin = orderBook.generateOrderBook('BTC', 95000, { baseDepth: 1000 });
+    const { error, slippage } = orderBook.quoteMarketOrder(thin, 'LONG', 20000, { maxSlippage: 0.01 });
+
+    assert.ok(slippage * 100 > 0.01);
+    assert.match(error, /exceeds max 0.01%/);
+  });
+
+  it('passes fills inside it', () => {
+    assert.equal(orderBook.quoteMarketOrder(book, 'LONG', 1000).error, undefined);
+  });
+});
+
+describe('groupLevels', () => {
+  const levels = [
+    { price: 95000.3, quantity: 1, notional: 95000.3 },
+    { price: 95000.9, quantity: 2, notional: 190001.8 },
+    { price: 95001.2, quantity: 1, notional: 95001.2 }
+  ];
+
+  it('offers the native tick and coarser multiples', () => {
+    assert.deepEqual(orderBook.getGroupingSizes(0.1), [0.1, 1, 10, 100]);
+  });
+
+  it('rounds asks up so a bucket never shows a better price than its liquidity', () => {
+    const grouped = orderBook.groupLevels(levels, 'asks', 1);
+
+    assert.deepEqual(grouped.map(b => b.price), [95001, 95002]);
+    assert.equal(grouped[0].quantity, 3);
+    assert.equal(grouped[1].cumulativeQuantity, 4);
+  });
+
+  it('rounds bids down', () => {
+    const bids = levels.map(level => ({ ...level, price: level.price - 2 })).reverse();
+    const grouped = orderBook.groupLevels(bids, 'bids', 1);
+
+    assert.deepEqual(grouped.map(b => b.price), [94999, 94998]);
+    assert.equal(grouped[0].quantity, 1);
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as persistence from '../src/engine/persistence.js';
+import * as engine from '../src/engine/tradingEngine.js';
+
+// A version 0 save from the old useTradingEngine model
+const LEGACY = {
+  balance: 800,
+  selectedMarket: 'ETH',
+  positions: [{ id: 1000, market: 'BTC', direction: 'LONG', entryPrice: 95000, size: 1000, leverage: 5 }]
+};
+
+// A current save with one of each record, built by the engine
+const buildSnapshot = () => {
+  const order = { market: 'BTC', direction: 'LONG', leverage: 10, riskAmount: 100, riskMode: 'DEGENERATE' };
+  let state = engine.setPositionMode(engine.createAccount(1000), 'HEDGE').state;
+  const closed = engine.openPosition(state, order, 95000, { now: 1000 });
+  state = engine.closePosition(closed.state, closed.position.id, 96000, { now: 2000 }).state;
+  state = engine.openPosition(state, order, 95000, { now: 3000 }).state;
+  state = engine.applyFunding(state, 0.001, { prices: { BTC: 95000 }, now: 4000 }).state;
+  state = engine.placeOrder(state, { ...order, type: 'STOP_LIMIT', stopPrice: 97000, limitPrice: 97500 }, 95000, { now: 5000 }).state;
+  return {
+    ...state,
+    version: persistence.STATE_VERSION,
+    feeHistory: [{ type: 'OPEN', amount: 0.5, time: 1000 }],
+    equityHistory: [{ time: 1000, equity: 1000 }],
+    riskMode: 'SAFE',
+    positionSize: 25,
+    pnlPriceSource: 'LAST',
+    portfolioTab: 'HISTORY',
+    advancedSettings: { orderType: 'LIMIT', takeProfitLevels: [] }
+  };
+};
+
+describe('migrations', () => {
+  it('bring an unversioned save up to STATE_VERSION', () => {
+    const state = persistence.migrateState(LEGACY);
+    const [position] = state.positions;
+
+    assert.equal(state.version, persistence.STATE_VERSION);
+    assert.equal(state.positionMode, 'HEDGE');
+    assert.equal(state.feesPaid, 0);
+    assert.deepEqual(state.tradeHistory, []);
+    assert.equal(position.riskAmount, 200);
+    assert.equal(position.initialMargin, 200);
+    assert.equal(position.marginMode, 'ISOLATED');
+    assert.equal(position.openTime, 1000);
+  });
+
+  it('rebuild the maintenance margin of positions saved before maintenance brackets', () => {
+    const position = {
+      id: 1000, market: 'BTC', direction: 'LONG', entryPrice: 95000, size: 1000, leverage: 10,
+      riskAmount: 100, initialMargin: 100, maintenanceMargin: 0, liquidationPrice: 85500
+    };
+    const [migrated] = persistence.migrateState({ ...LEGACY, version: 1, positions: [position] }).positions;
+
+    assert.equal(migrated.maintenanceMargin, 4);
+    assert.equal(migrated.liquidationPrice, engine.calculateLiquidationPrice('LONG', 95000, 10, 0.004));
+  });
+
+  it('leave fields the save already has', () => {
+    const state = persistence.migrateState({ ...LEGACY, version: 1, positionMode: 'ONE_WAY', feesPaid: 3 });
+
+    assert.equal(state.positionMode, 'ONE_WAY');
+    assert.equal(state.feesPaid, 3);
+  });
+
+  it('refuse saves from a newer app', () => {
+    assert.throws(() => persistence.migrateState({ ...LEGACY, version: persistence.STATE_VERSION + 1 }), /newer than this app/);
+  });
+});
+
+describe('validation', () => {
+  it('drops malformed positions and orders and refunds their margin', () => {
+    const { state, problems } = persistence.validateState({
+      ...persistence.migrateState(LEGACY),
+      positions: [{ market: 'BTC', direction: 'SIDEWAYS', initialMargin: 50 }],
+      orders: [{ market: 'BTC', direction: 'LONG', reservedMargin: 'lots' }, { market: 'BTC', reservedMargin: 25 }]
+    });
+
+    assert.equal(state.positions.length, 0);
+    assert.equal(state.orders.length, 0);
+    assert.equal(state.balance, 875);
+    assert.equal(problems.length, 3);
+  });
+
+  it('resets settings that hold an unknown value', () => {
+    const { state, problems } = persistence.validateState({ ...persistence.migrateState(LEGACY), selectedMarket: 'XYZ' });
+
+    assert.equal(state.selectedMarket, undefined);
+    assert.match(problems[0], /selectedMarket/);
+  });
+
+  it('keeps a clean snapshot as it is', () => {
+    const snapshot = buildSnapshot();
+    const { state, problems } = persistence.validateState(snapshot);
+
+    assert.deepEqual(problems, []);
+    assert.deepEqual(state, snapshot);
+  });
+
+  it('drops positions without an id and rebuilds their derived fields', () => {
+    const snapshot = buildSnapshot();
+    const [position] = snapshot.positions;
+    const { state, problems } = persistence.validateState({
+      ...snapshot,
+      positions: [
+        { ...position, unrealizedPnL: 'NaN', maintenanceMargin: null, takeProfitLevels: {} },
+        { ...position, id: undefined }
+      ]
+    });
+
+    assert.equal(state.positions.length, 1);
+    assert.equal(state.positions[0].unrealizedPnL, 0);
+    assert.equal(state.positions[0].maintenanceMargin, engine.calculateMaintenanceMargin('BTC', position.size));
+    assert.deepEqual(state.positions[0].takeProfitLevels, []);
+    assert.equal(state.balance, snapshot.balance + position.initialMargin);
+    assert.deepEqual(problems.slice(0, 2), ['Dropped 1 invalid entry from positions', 'Repaired 1 entry in positions']);
+  });
+
+  it('drops orders missing a price their type needs, or a type, size or risk amount', () => {
+    const snapshot = buildSnapshot();
+    const [order] = snapshot.orders;
+    const broken = [
+      { ...order, limitPrice: null },
+      { ...order, type: 'LIMIT', stopPrice: 97000, limitPrice: undefined },
+      { ...order, type: 'MARKET' },
+      { ...order, type: undefined },
+      { ...order, size: -1 },
+      { ...order, riskAmount: 'lots' }
+    ];
+    const { state } = persistence.validateState({
+      ...snapshot,
+      orders: [...broken, { ...order, type: 'STOP', limitPrice: null, events: null }]
+    });
+
+    assert.equal(state.orders.length, 1);
+    assert.equal(state.orders[0].type, 'STOP');
+    assert.deepEqual(state.orders[0].events, []);
+    assert.equal(state.balance, snapshot.balance + broken.length * order.reservedMargin);
+  });
+
+  it('drops trades without a size or net PnL and defaults their fees', () => {
+    const snapshot = buildSnapshot();
+    const [trade] = snapshot.tradeHistory;
+    const { state } = persistence.validateState({
+      ...snapshot,
+      tradeHistory: [{ ...trade, openFee: null }, { ...trade, size: 0 }, { ...trade, netPnL: '12' }]
+    });
+
+    assert.equal(state.tradeHistory.length, 1);
+    assert.equal(state.tradeHistory[0].openFee, 0);
+  });
+
+  it('drops ledger entries without a time or amount', () => {
+    const snapshot = buildSnapshot();
+    const { state, problems } = persistence.validateState({
+      ...snapshot,
+      fundingHistory: [...snapshot.fundingHistory, { time: 5000 }],
+      feeHistory: [...snapshot.feeHistory, { amount: 1 }],
+      equityHistory: [...snapshot.equityHistory, { time: 2000, equity: null }],
+      volume: 'lots'
+    });
+
+    assert.equal(state.fundingHistory.length, snapshot.fundingHistory.length);
+    assert.equal(state.feeHistory.length, 1);
+    assert.equal(state.equityHistory.length, 1);
+    assert.deepEqual(state.volume, []);
+    assert.equal(problems.length, 4);
+  });
+
+  it('resets order form settings the UI cannot show', () => {
+    const { state, problems } = persistence.validateState({
+      ...buildSnapshot(),
+      riskMode: 'YOLO',
+      positionSize: -50,
+      pnlPriceSource: 'ORACLE',
+      portfolioTab: 'SETTINGS',
+      advancedSettings: { orderType: 'LIMIT', takeProfitLevels: 'none' }
+    });
+
+    assert.equal(state.riskMode, undefined);
+    assert.equal(state.positionSize, undefined);
+    assert.equal(state.pnlPriceSource, undefined);
+    assert.equal(state.portfolioTab, undefined);
+    assert.deepEqual(state.advancedSettings, { orderType: 'LIMIT', takeProfitLevels: [] });
+    assert.equal(problems.length, 5);
+  });
+
+  it('reports unreadable saves instead of throwing', () => {
+    assert.match(persistence.parseSavedState('{nope').error, /JSON/);
+    assert.match(persistence.parseSavedState('{"balance":"lots"}').error, /balance/);
+    assert.equal(persistence.parseSavedState(null).state, null);
+  });
+});
+
+describe('backups', () => {
+  it('round-trip a snapshot', () => {
+    const snapshot = persistence.migrateState(LEGACY);
+    const { state, error, exportedAt } = persistence.parseBackup(persistence.createBackup(snapshot, 0));
+
+    assert.equal(error, null);
+    assert.equal(exportedAt, '1970-01-01T00:00:00.000Z');
+    assert.deepEqual(state.positions, snapshot.positions);
+  });
+
+  it('accept a bare snapshot and reject other JSON', () => {
+    assert.equal(persistence.parseBackup(JSON.stringify(LEGACY)).state.balance, 800);
+    assert.match(persistence.parseBackup('[1, 2]').error, /Not a PerpsX backup/);
+  });
+});
@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as aggregation from '../src/engine/priceAggregation.js';
+import { createProviders, createBinanceProvider } from '../src/engine/priceFeeds.js';
+
+describe('weightedMedian', () => {
+  it('follows the weight, not the count', () => {
+    assert.equal(aggregation.weightedMedian([{ price: 1, weight: 1 }, { price: 2, weight: 1 }, { price: 3, weight: 3 }]), 3);
+  });
+
+  it('splits an exact tie between the two middle prices', () => {
+    assert.equal(aggregation.weightedMedian([{ price: 100, weight: 1 }, { price: 102, weight: 1 }]), 101);
+  });
+
+  it('is null without samples', () => {
+    assert.equal(aggregation.weightedMedian([]), null);
+  });
+});
+
+describe('aggregatePrices', () => {
+  const NOW = 100000;
+  const source = (price, age = 0, weight = 1) => ({ weight, prices: { BTC: price }, lastSuccess: NOW - age });
+
+  it('rejects an outlier once three sources quote', () => {
+    const { prices, details } = aggregation.aggregatePrices(
+      { a: source(95000), b: source(95010), c: source(97000) },
+      ['BTC'],
+      { now: NOW }
+    );
+
+    assert.equal(prices.BTC, 95005);
+    assert.deepEqual(details.BTC.quotes.map(q => q.rejected), [false, false, true]);
+  });
+
+  it('keeps every quote with fewer than three sources', () => {
+    const { details } = aggregation.aggregatePrices({ a: source(95000), b: source(97000) }, ['BTC'], { now: NOW });
+
+    assert.equal(details.BTC.quotes.filter(q => q.rejected).length, 0);
+  });
+
+  it('leaves out stale sources and markets nobody quotes', () => {
+    const { prices } = aggregation.aggregatePrices(
+      { a: source(95000), b: source(90000, aggregation.MAX_QUOTE_AGE + 1) },
+      ['BTC', 'ETH'],
+      { now: NOW }
+    );
+
+    assert.equal(prices.BTC, 95000);
+    assert.equal(prices.ETH, null);
+  });
+});
+
+describe('providers', () => {
+  it('are built from id[:weight] config and skip unknown ids', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const providers = createProviders('binance:2, kraken, nope');
+
+    assert.deepEqual(providers.map(p => [p.id, p.weight]), [['binance', 2], ['kraken', 1]]);
+    assert.equal(console.warn.mock.callCount(), 1);
+  });
+
+  it('parse quotes through an injected fetch', async () => {
+    const fetch = async () => ({ ok: true, json: async () => [{ symbol: 'BTCUSDT', price: '95010.5' }, { symbol: 'ETHUSDT', price: '0' }] });
+    const prices = await createBinanceProvider().fetchPrices(['BTC', 'ETH'], { fetch });
+
+    assert.deepEqual(prices, { BTC: 95010.5 });
+  });
+});
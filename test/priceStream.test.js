@@ -0,0 +1,172 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as priceStream from '../src/engine/priceStream.js';
+
+// Timers that only fire when the test advances the clock
+const createFakeTimers = () => {
+  let time = 0;
+  let nextId = 1;
+  const pending = new Map();
+
+  return {
+    setTimeout: (callback, delay) => {
+      pending.set(nextId, { callback, at: time + delay });
+      return nextId++;
+    },
+    clearTimeout: (id) => pending.delete(id),
+    advance: (ms) => {
+      const until = time + ms;
+      for (;;) {
+        const [id, timer] = [...pending].sort((a, b) => a[1].at - b[1].at)[0] || [];
+        if (!timer || timer.at > until) break;
+        pending.delete(id);
+        time = timer.at;
+        timer.callback();
+      }
+      time = until;
+    },
+    pendingCount: () => pending.size
+  };
+};
+
+// WebSocket stand-in that records every instance so the test can drive it
+const createFakeSocketClass = () => {
+  const sockets = [];
+  class FakeSocket {
+    constructor(url) {
+      this.url = url;
+      this.sent = [];
+      this.closed = false;
+      sockets.push(this);
+    }
+    send(data) { this.sent.push(JSON.parse(data)); }
+    close() { this.closed = true; }
+    open() { this.onopen?.(); }
+    message(data) { this.onmessage?.({ data: JSON.stringify(data) }); }
+    drop(code = 1006) { this.onclose?.({ code }); }
+  }
+  return { FakeSocket, sockets };
+};
+
+const PROVIDER = {
+  id: 'fake',
+  stream: {
+    url: (markets) => `wss://fake/${markets.join(',')}`,
+    subscribe: (markets) => [{ op: 'subscribe', markets }],
+    parse: (message) => (message.type === 'tick' ? message.prices : null)
+  }
+};
+
+const connect = (options = {}) => {
+  const timers = createFakeTimers();
+  const { FakeSocket, sockets } = createFakeSocketClass();
+  const states = [];
+  const ticks = [];
+  const connection = priceStream.createStreamConnection(PROVIDER, ['BTC', 'ETH'], {
+    WebSocket: FakeSocket,
+    timers,
+    random: () => 0,
+    now: () => 42,
+    onStateChange: (state, detail) => states.push({ state, ...detail }),
+    onPrices: (prices, time) => ticks.push({ prices, time }),
+    ...options
+  });
+  connection.start();
+  return { connection, timers, sockets, states, ticks };
+};
+
+describe('getReconnectDelay', () => {
+  it('doubles from the base delay with equal jitter', () => {
+    assert.equal(priceStream.getReconnectDelay(0, { random: () => 0 }), 250);
+    assert.equal(priceStream.getReconnectDelay(0, { random: () => 1 }), 500);
+    assert.equal(priceStream.getReconnectDelay(3, { random: () => 0 }), 2000);
+  });
+
+  it('caps the delay at the maximum', () => {
+    assert.equal(priceStream.getReconnectDelay(20, { random: () => 1 }), priceStream.RECONNECT_MAX_DELAY);
+    assert.equal(priceStream.getReconnectDelay(20, { random: () => 0 }), priceStream.RECONNECT_MAX_DELAY / 2);
+  });
+});
+
+describe('createStreamConnection', () => {
+  it('goes CONNECTING, SYNCING, then LIVE on the first prices', () => {
+    const { connection, sockets, states, ticks } = connect();
+
+    assert.equal(sockets[0].url, 'wss://fake/BTC,ETH');
+    sockets[0].open();
+    assert.equal(connection.getState(), 'SYNCING');
+    sockets[0].message({ type: 'heartbeat' });
+    assert.equal(connection.getState(), 'SYNCING');
+    sockets[0].message({ type: 'tick', prices: { BTC: 95000 } });
+
+    assert.deepEqual(states.map(s => s.state), ['CONNECTING', 'SYNCING', 'LIVE']);
+    assert.deepEqual(ticks, [{ prices: { BTC: 95000 }, time: 42 }]);
+  });
+
+  it('subscribes again on every reconnect', () => {
+    const { sockets, timers } = connect();
+
+    sockets[0].open();
+    sockets[0].drop();
+    timers.advance(priceStream.RECONNECT_BASE_DELAY);
+    sockets[1].open();
+
+    assert.equal(sockets.length, 2);
+    assert.deepEqual(sockets[1].sent, [{ op: 'subscribe', markets: ['BTC', 'ETH'] }]);
+  });
+
+  it('reconnects a socket that goes silent', () => {
+    const { connection, sockets, timers, states } = connect();
+
+    sockets[0].open();
+    timers.advance(priceStream.STREAM_STALE_TIMEOUT - 1);
+    sockets[0].message({ type: 'heartbeat' });
+    timers.advance(priceStream.STREAM_STALE_TIMEOUT - 1);
+    assert.equal(connection.getState(), 'SYNCING');
+
+    timers.advance(1);
+    assert.equal(sockets[0].closed, true);
+    assert.equal(states.at(-1).reason, 'no data');
+    assert.equal(connection.getState(), 'RECONNECTING');
+  });
+
+  it('backs off while failing and resets once prices flow', () => {
+    const { sockets, timers, states } = connect();
+    const delays = () => states.filter(s => s.state === 'RECONNECTING').map(s => s.delay);
+
+    for (let i = 0; i < 3; i++) {
+      sockets.at(-1).drop();
+      timers.advance(priceStream.RECONNECT_MAX_DELAY);
+    }
+    assert.deepEqual(delays(), [250, 500, 1000]);
+
+    sockets.at(-1).open();
+    sockets.at(-1).message({ type: 'tick', prices: { ETH: 3500 } });
+    sockets.at(-1).drop();
+    assert.equal(delays().at(-1), 250);
+  });
+
+  it('caps the backoff', () => {
+    const { sockets, timers, states } = connect({ maxDelay: 2000 });
+
+    for (let i = 0; i < 6; i++) {
+      sockets.at(-1).drop();
+      timers.advance(2000);
+    }
+
+    assert.equal(states.at(-1).state, 'CONNECTING');
+    assert.equal(states.filter(s => s.state === 'RECONNECTING').at(-1).delay, 1000);
+  });
+
+  it('stops without reconnecting', () => {
+    const { connection, sockets, timers } = connect();
+
+    sockets[0].open();
+    connection.stop();
+    sockets[0].drop();
+
+    assert.equal(connection.getState(), 'CLOSED');
+    assert.equal(sockets[0].closed, true);
+    assert.equal(timers.pendingCount(), 0);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as prices from '../src/engine/prices.js';
+
+describe('updateMarkPrice', () => {
+  it('starts at the first price', () => {
+    assert.deepEqual(prices.updateMarkPrice(undefined, 95000), { mark: 95000, pendingSamples: 0 });
+  });
+
+  it('follows small moves through the moving average', () => {
+    const { mark } = prices.updateMarkPrice({ mark: 95000, pendingSamples: 0 }, 96000);
+
+    assert.equal(mark, 95000 + prices.MARK_SMOOTHING * 1000);
+  });
+
+  it('holds back a jump until it has been confirmed', () => {
+    let snapshot = { mark: 95000, pendingSamples: 0 };
+    for (let i = 1; i < prices.MARK_CONFIRM_SAMPLES; i++) {
+      snapshot = prices.updateMarkPrice(snapshot, 80000);
+      assert.equal(snapshot.mark, 95000);
+      assert.equal(snapshot.pendingSamples, i);
+    }
+
+    assert.deepEqual(prices.updateMarkPrice(snapshot, 80000), { mark: 80000, pendingSamples: 0 });
+  });
+
+  it('forgets a single bad tick', () => {
+    const spiked = prices.updateMarkPrice({ mark: 95000, pendingSamples: 0 }, 50000);
+
+    assert.equal(prices.updateMarkPrice(spiked, 95000).pendingSamples, 0);
+  });
+});
+
+describe('updateMarketPrices', () => {
+  it('uses the last-trade price for the mark, falling back to the index', () => {
+    const snapshot = prices.updateMarketPrices({}, { BTC: 95000, ETH: 3500 }, { BTC: 95100 });
+
+    assert.deepEqual(snapshot.BTC, { index: 95000, last: 95100, mark: 95100, pendingSamples: 0 });
+    assert.equal(snapshot.ETH.last, 3500);
+  });
+
+  it('keeps the previous snapshot for markets without a price', () => {
+    const first = prices.updateMarketPrices({}, { BTC: 95000 });
+    const next = prices.updateMarketPrices(first, { BTC: null });
+
+    assert.equal(next.BTC, first.BTC);
+  });
+
+  it('flattens one price type', () => {
+    const snapshot = prices.updateMarketPrices({}, { BTC: 95000 }, { BTC: 95100 });
+
+    assert.deepEqual(prices.selectPrices(snapshot, 'INDEX'), { BTC: 95000 });
+    assert.deepEqual(prices.selectPrices(snapshot), { BTC: 95100 });
+  });
+});
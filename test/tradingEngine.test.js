@@ -0,0 +1,610 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as engine from '../src/engine/tradingEngine.js';
+import { FEE_TIERS } from '../src/engine/fees.js';
+
+const LONG_BTC = { market: 'BTC', direction: 'LONG', leverage: 10, riskAmount: 100, riskMode: 'DEGENERATE' };
+
+describe('openPosition', () => {
+  it('debits the margin and opens at the fill price', () => {
+    const { state, position } = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, { now: 1000 });
+
+    assert.equal(state.balance, 900);
+    assert.equal(state.positions.length, 1);
+    assert.equal(position.entryPrice, 95000);
+    assert.equal(position.size, 1000);
+    assert.equal(position.initialMargin, 100);
+    assert.equal(position.maintenanceMargin, 4);
+    assert.equal(position.liquidationPrice, engine.calculateLiquidationPrice('LONG', 95000, 10, position.maintenanceMargin / position.size));
+  });
+
+  it('accepts a notional size instead of a risk amount', () => {
+    const { position } = engine.openPosition(engine.createAccount(1000), { ...LONG_BTC, riskAmount: undefined, size: 500 }, 95000, { now: 1000 });
+
+    assert.equal(position.riskAmount, 50);
+  });
+
+  it('rejects orders the balance cannot cover', () => {
+    const account = engine.createAccount(50);
+    const result = engine.openPosition(account, LONG_BTC, 95000, { now: 1000 });
+
+    assert.match(result.error, /Insufficient balance/);
+    assert.equal(result.state, account);
+  });
+
+  it('rejects leverage above the market cap', () => {
+    const doge = { ...LONG_BTC, market: 'DOGE', leverage: 50 };
+
+    assert.match(engine.openPosition(engine.createAccount(1000), doge, 0.35, { now: 1000 }).error, /capped at 25x/);
+    assert.ok(engine.openPosition(engine.createAccount(1000), { ...doge, leverage: 25 }, 0.35, { now: 1000 }).position);
+  });
+
+  it('rejects orders below one lot', () => {
+    const tiny = { ...LONG_BTC, riskAmount: 0.5 };
+
+    assert.match(engine.openPosition(engine.createAccount(1000), tiny, 95000, { now: 1000 }).error, /minimum size of 0.0001 BTC/);
+  });
+
+  it('charges the taker fee with a fee schedule', () => {
+    const { state, fee, fees } = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, {
+      feeSchedule: FEE_TIERS,
+      now: 1000
+    });
+
+    assert.equal(fee, 0.5);
+    assert.equal(fees[0].liquidity, 'TAKER');
+    assert.equal(state.balance, 899.5);
+    assert.equal(state.feesPaid, 0.5);
+    assert.equal(state.volume[0].notional, 1000);
+    assert.deepEqual(state.feeHistory.map(f => [f.type, f.amount, f.time]), [['OPEN', 0.5, 1000]]);
+  });
+
+  it('trades fee-free without a schedule', () => {
+    const { state, fee } = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, { now: 1000 });
+
+    assert.equal(fee, 0);
+    assert.equal(state.feesPaid, 0);
+    assert.deepEqual(state.feeHistory, []);
+  });
+});
+
+describe('closePosition', () => {
+  const opened = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, { now: 1000 });
+
+  it('returns margin plus PnL and records the trade', () => {
+    const { state, closed } = engine.closePosition(opened.state, opened.position.id, 95950, { now: 2000 });
+
+    assert.equal(closed.realizedPnL, 10);
+    assert.equal(closed.exitReason, 'MANUAL');
+    assert.equal(state.balance, 1010);
+    assert.equal(state.positions.length, 0);
+    assert.equal(state.tradeHistory.length, 1);
+    assert.equal(state.tradeHistory[0].holdDuration, 1000);
+  });
+
+  it('closes a fraction and keeps the entry of the rest', () => {
+    const { state, closed } = engine.closePosition(opened.state, opened.position.id, 94050, { fraction: 0.25, now: 2000 });
+
+    assert.equal(closed.size, 250);
+    assert.equal(closed.realizedPnL, -2.5);
+    assert.equal(closed.partial, true);
+    assert.equal(state.positions[0].size, 750);
+    assert.equal(state.positions[0].entryPrice, 95000);
+    assert.equal(state.positions[0].initialMargin, 75);
+    assert.equal(state.balance, 900 + 25 - 2.5);
+  });
+
+  it('closes a notional amount', () => {
+    const { state, closed } = engine.closePosition(opened.state, opened.position.id, 95000, { notional: 400, now: 2000 });
+
+    assert.equal(closed.size, 400);
+    assert.equal(state.positions[0].size, 600);
+  });
+
+  it('closes everything when asked for more than the size', () => {
+    const { state, closed } = engine.closePosition(opened.state, opened.position.id, 95000, { notional: 5000, now: 2000 });
+
+    assert.equal(closed.partial, undefined);
+    assert.equal(state.positions.length, 0);
+    assert.equal(state.balance, 1000);
+  });
+
+  it('leaves the state alone for an unknown position', () => {
+    const result = engine.closePosition(opened.state, -1, 95000);
+
+    assert.equal(result.closed, null);
+    assert.equal(result.state, opened.state);
+  });
+});
+
+describe('take-profit levels', () => {
+  const levels = [{ price: 97000, percent: 50 }, { price: 96000, percent: 25 }, { price: 98000, percent: null }];
+  const opened = engine.openPosition(engine.createAccount(1000), { ...LONG_BTC, takeProfitLevels: levels }, 95000, { now: 1000 });
+
+  it('scale out of the nearest level first by a share of the original size', () => {
+    const { state, closed } = engine.markToMarket(opened.state, { BTC: 96000 }, { now: 2000 });
+
+    assert.equal(closed.length, 1);
+    assert.equal(closed[0].size, 250);
+    assert.equal(closed[0].exitReason, 'TAKE_PROFIT');
+    assert.equal(state.positions[0].size, 750);
+    assert.equal(state.positions[0].partialCloses.length, 1);
+  });
+
+  it('fire every level crossed in one jump and never twice', () => {
+    const jumped = engine.markToMarket(opened.state, { BTC: 97000 }, { now: 2000 });
+    const again = engine.markToMarket(jumped.state, { BTC: 97000 }, { now: 3000 });
+
+    assert.deepEqual(jumped.closed.map(c => Math.round(c.size)), [250, 500]);
+    assert.equal(Math.round(jumped.state.positions[0].size), 250);
+    assert.equal(again.closed.length, 0);
+  });
+
+  it('close the rest at a level without a percent, every slice at the current price', () => {
+    const { state, closed } = engine.markToMarket(opened.state, { BTC: 98000 }, { now: 2000 });
+
+    assert.equal(closed.length, 3);
+    assert.equal(state.positions.length, 0);
+    assert.ok(Math.abs(state.balance - (1000 + 3000 / 95000 * 1000)) < 1e-9);
+  });
+});
+
+describe('liquidation', () => {
+  const opened = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, { now: 1000 });
+
+  it('keeps the position open above the liquidation price', () => {
+    const { state, closed } = engine.markToMarket(opened.state, { BTC: 86000 }, { now: 2000 });
+
+    assert.equal(closed.length, 0);
+    assert.equal(state.positions[0].unrealizedPnL, (86000 - 95000) / 95000 * 1000);
+  });
+
+  it('charges the fee out of the margin left and closes at the bankruptcy price', () => {
+    const { state, closed, liquidations } = engine.markToMarket(opened.state, { BTC: 85800 }, { now: 2000 });
+
+    assert.equal(closed[0].exitReason, 'LIQUIDATION');
+    assert.equal(liquidations[0].fee, 3);
+    assert.ok(Math.abs(liquidations[0].bankruptcyPrice - 85785) < 1e-9);
+    assert.equal(state.positions.length, 0);
+    assert.ok(Math.abs(state.balance - 900) < 1e-9);
+  });
+
+  it('waives the fee once the mark has gapped past bankruptcy', () => {
+    const { state, closed, liquidations } = engine.markToMarket(opened.state, { BTC: 85000 }, { now: 2000 });
+
+    assert.equal(closed[0].realizedPnL, -100);
+    assert.equal(liquidations[0].bankruptcyPrice, 85500);
+    assert.equal(liquidations[0].fee, 0);
+    assert.equal(state.balance, 900);
+    assert.equal(state.tradeHistory[0].exitReason, 'LIQUIDATION');
+  });
+
+  it('liquidates shorts on the way up', () => {
+    const short = engine.openPosition(engine.createAccount(1000), { ...LONG_BTC, direction: 'SHORT' }, 95000, { now: 1000 });
+    const { closed } = engine.markToMarket(short.state, { BTC: 105000 }, { now: 2000 });
+
+    assert.equal(closed[0].exitReason, 'LIQUIDATION');
+  });
+
+  it('takes profit before checking liquidation', () => {
+    const withTarget = engine.openPosition(engine.createAccount(1000), { ...LONG_BTC, takeProfit: 96000 }, 95000, { now: 1000 });
+    const { closed } = engine.markToMarket(withTarget.state, { BTC: 96500 }, { now: 2000 });
+
+    assert.equal(closed[0].exitReason, 'TAKE_PROFIT');
+  });
+});
+
+describe('resting orders', () => {
+  const limit = { ...LONG_BTC, type: 'LIMIT', limitPrice: 94000 };
+  const placed = engine.placeOrder(engine.createAccount(1000), limit, 95000, { feeSchedule: FEE_TIERS, now: 1000 });
+
+  it('reserve margin plus the taker fee while resting', () => {
+    assert.equal(placed.state.orders.length, 1);
+    assert.equal(placed.order.reservedMargin, 100.5);
+    assert.equal(placed.state.balance, 899.5);
+  });
+
+  it('are marketable only when they would fill as placed', () => {
+    assert.equal(engine.isMarketable(limit, 95000), false);
+    assert.equal(engine.isMarketable(limit, 93500), true);
+    assert.equal(engine.isMarketable({ ...LONG_BTC, type: 'STOP_LIMIT', stopPrice: 96000, limitPrice: 96500 }, 95000), false);
+    assert.equal(engine.isMarketable({ ...LONG_BTC, type: 'STOP_LIMIT', stopPrice: 94000, limitPrice: 96500 }, 95000), true);
+    assert.equal(engine.isMarketable({ ...LONG_BTC, type: 'MARKET' }, 95000), true);
+  });
+
+  it('fill at the limit as a maker and refund the rest of the fee', () => {
+    const { state, filled, fees } = engine.fillOrders(placed.state, { BTC: 93500 }, { feeSchedule: FEE_TIERS, now: 2000 });
+
+    assert.equal(filled[0].entryPrice, 94000);
+    assert.equal(filled[0].orderId, placed.order.id);
+    assert.equal(fees[0].liquidity, 'MAKER');
+    assert.equal(fees[0].amount, 0.2);
+    assert.equal(state.orders.length, 0);
+    assert.equal(state.positions.length, 1);
+    assert.equal(state.balance, 899.8);
+  });
+
+  it('stay resting until then', () => {
+    const { state, filled } = engine.fillOrders(placed.state, { BTC: 94500 }, { now: 2000 });
+
+    assert.equal(filled.length, 0);
+    assert.equal(state, placed.state);
+  });
+
+  it('release the reservation on cancel', () => {
+    const { state, cancelled } = engine.cancelOrder(placed.state, placed.order.id, { now: 2000 });
+
+    assert.equal(state.balance, 1000);
+    assert.equal(state.orders.length, 0);
+    assert.equal(cancelled.events.at(-1).type, 'CANCELLED');
+  });
+
+  it('re-reserve by the difference on amend', () => {
+    const { state, order } = engine.amendOrder(placed.state, placed.order.id, { riskAmount: 200 }, 95000, { feeSchedule: FEE_TIERS, now: 2000 });
+
+    assert.equal(order.size, 2000);
+    assert.equal(order.reservedMargin, 201);
+    assert.equal(state.balance, 799);
+  });
+
+  it('reject an amend the balance cannot cover', () => {
+    const { state, error } = engine.amendOrder(placed.state, placed.order.id, { riskAmount: 2000 }, 95000);
+
+    assert.match(error, /Insufficient balance/);
+    assert.equal(state, placed.state);
+  });
+
+  it('fill a marketable limit at once at the current price', () => {
+    const { state, position } = engine.placeOrder(engine.createAccount(1000), { ...limit, limitPrice: 96000 }, 95000, { now: 1000 });
+
+    assert.equal(position.entryPrice, 95000);
+    assert.equal(state.orders.length, 0);
+  });
+
+  it('fill at once as a taker when an amend makes them marketable', () => {
+    const { state, position, fees } = engine.amendOrder(placed.state, placed.order.id, { limitPrice: 95500 }, 95010, {
+      feeSchedule: FEE_TIERS,
+      now: 2000
+    });
+
+    assert.equal(position.entryPrice, 95010);
+    assert.equal(position.orderId, placed.order.id);
+    assert.equal(fees[0].liquidity, 'TAKER');
+    assert.equal(state.orders.length, 0);
+    assert.equal(state.balance, 899.5);
+  });
+});
+
+describe('stop orders', () => {
+  it('fill a stop-market at the price that triggered it', () => {
+    const stop = { ...LONG_BTC, type: 'STOP', stopPrice: 96000 };
+    const placed = engine.placeOrder(engine.createAccount(1000), stop, 95000, { now: 1000 });
+
+    assert.equal(engine.fillOrders(placed.state, { BTC: 95900 }, { now: 2000 }).filled.length, 0);
+
+    const { filled, triggered } = engine.fillOrders(placed.state, { BTC: 96100 }, { now: 3000 });
+    assert.equal(triggered.length, 1);
+    assert.equal(filled[0].entryPrice, 96100);
+    assert.deepEqual(filled[0].orderEvents.map(e => e.type), ['PLACED', 'TRIGGERED', 'FILLED']);
+  });
+
+  it('turn a stop-limit into a resting limit once triggered', () => {
+    const stopLimit = { ...LONG_BTC, direction: 'SHORT', type: 'STOP_LIMIT', stopPrice: 94000, limitPrice: 94100 };
+    const placed = engine.placeOrder(engine.createAccount(1000), stopLimit, 95000, { now: 1000 });
+
+    // Gapped below the limit: triggered, but a sell limit above the price waits
+    const gapped = engine.fillOrders(placed.state, { BTC: 93900 }, { now: 2000 });
+    assert.equal(gapped.filled.length, 0);
+    assert.equal(gapped.state.orders[0].triggered, true);
+
+    const { filled, fees } = engine.fillOrders(gapped.state, { BTC: 94200 }, { feeSchedule: FEE_TIERS, now: 3000 });
+    assert.equal(filled[0].entryPrice, 94100);
+    assert.equal(fees[0].liquidity, 'MAKER');
+  });
+
+  it('reject a missing stop price', () => {
+    const { error } = engine.placeOrder(engine.createAccount(1000), { ...LONG_BTC, type: 'STOP' }, 95000);
+
+    assert.equal(error, 'Invalid stop price');
+  });
+});
+
+describe('trailing stops', () => {
+  const opened = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, { now: 1000 });
+  const trailed = engine.setTrailingStop(opened.state, opened.position.id, { type: 'PERCENT', value: 1 }, 95000).state;
+
+  it('ratchet with the best price and never loosen', () => {
+    const up = engine.markToMarket(trailed, { BTC: 96000 }).state;
+    const back = engine.markToMarket(up, { BTC: 95500 }).state;
+
+    assert.equal(up.positions[0].trailingStop.level, 95040);
+    assert.equal(back.positions[0].trailingStop.level, 95040);
+  });
+
+  it('close the position when the level is hit', () => {
+    const up = engine.markToMarket(trailed, { BTC: 96000 }).state;
+    const { closed } = engine.markToMarket(up, { BTC: 95000 });
+
+    assert.equal(closed[0].exitReason, 'TRAILING_STOP');
+  });
+
+  it('trail shorts from the lowest price by a fixed amount', () => {
+    const stop = engine.createTrailingStop({ type: 'AMOUNT', value: 500 }, 'SHORT', 95000);
+    const ratcheted = engine.ratchetTrailingStop(stop, 'SHORT', 94000);
+
+    assert.equal(stop.level, 95500);
+    assert.equal(ratcheted.level, 94500);
+    assert.equal(engine.ratchetTrailingStop(ratcheted, 'SHORT', 94800), ratcheted);
+  });
+
+  it('anchor on the fill price of an order', () => {
+    const { position } = engine.openPosition(engine.createAccount(1000), { ...LONG_BTC, trailingStop: { type: 'AMOUNT', value: 1000 } }, 95000, { now: 1000 });
+
+    assert.equal(position.trailingStop.level, 94000);
+  });
+
+  it('reject a distance of 100% or more', () => {
+    const { error } = engine.setTrailingStop(opened.state, opened.position.id, { type: 'PERCENT', value: 100 }, 95000);
+
+    assert.equal(error, 'Invalid trailing stop distance');
+  });
+});
+
+describe('one-way netting', () => {
+  const opened = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, { now: 1000 });
+
+  it('averages the entry of same-side fills by quantity', () => {
+    const { state, position } = engine.openPosition(opened.state, LONG_BTC, 105000, { now: 2000 });
+
+    assert.equal(state.positions.length, 1);
+    assert.equal(position.size, 2000);
+    assert.equal(position.entryPrice, 2000 / (1000 / 95000 + 1000 / 105000));
+    assert.equal(state.balance, 800);
+  });
+
+  it('reduces on an opposite fill and refunds its margin', () => {
+    const reduce = { ...LONG_BTC, direction: 'SHORT', riskAmount: 40 };
+    const { state, position, closed } = engine.openPosition(opened.state, reduce, 95950, { now: 2000 });
+
+    assert.equal(closed.exitReason, 'REDUCE');
+    assert.equal(closed.size, 400);
+    assert.ok(Math.abs(closed.realizedPnL - 4) < 1e-9);
+    assert.equal(position.direction, 'LONG');
+    assert.equal(position.size, 600);
+    assert.ok(Math.abs(state.balance - (900 + 40 + 4)) < 1e-9);
+  });
+
+  it('flips to the other side when the fill is larger', () => {
+    const flip = { ...LONG_BTC, direction: 'SHORT', riskAmount: 150 };
+    const { state, closed } = engine.openPosition(opened.state, flip, 95000, { now: 2000 });
+
+    assert.equal(closed.size, 1000);
+    assert.equal(state.positions.length, 1);
+    assert.equal(state.positions[0].direction, 'SHORT');
+    assert.equal(Math.round(state.positions[0].size), 500);
+    assert.ok(Math.abs(state.balance - 950) < 1e-9);
+  });
+
+  it('keeps separate positions in hedge mode', () => {
+    const hedge = engine.setPositionMode(engine.createAccount(1000), 'HEDGE').state;
+    const long = engine.openPosition(hedge, LONG_BTC, 95000, { now: 1000 });
+    const { state } = engine.openPosition(long.state, { ...LONG_BTC, direction: 'SHORT' }, 95000, { now: 2000 });
+
+    assert.equal(state.positions.length, 2);
+  });
+
+  it('only switches mode while flat', () => {
+    const { error } = engine.setPositionMode(opened.state, 'HEDGE');
+
+    assert.match(error, /Close all positions/);
+  });
+});
+
+describe('maintenance margin', () => {
+  it('applies each tier rate to the notional inside it', () => {
+    assert.equal(engine.calculateMaintenanceMargin('BTC', 10000), 40);
+    assert.equal(engine.calculateMaintenanceMargin('BTC', 100000), 50000 * 0.004 + 50000 * 0.005);
+  });
+
+  it('falls back to the most conservative tiers for unknown markets', () => {
+    assert.equal(engine.calculateMaintenanceMargin('PEPE', 10000), engine.calculateMaintenanceMargin('SOL', 10000));
+  });
+
+  it('caps leverage by the bracket the notional reaches', () => {
+    assert.equal(engine.calculateMaxLeverage('BTC', 10000), 100);
+    assert.equal(engine.calculateMaxLeverage('BTC', 2000000), 10);
+    assert.equal(engine.calculateMaxLeverage('SOL', 500000), 5);
+    assert.equal(engine.calculateMaxLeverage('DOGE', 5000), 25);
+  });
+
+  it('rejects orders whose margin would not cover the maintenance margin', () => {
+    const sol = { ...LONG_BTC, market: 'SOL', leverage: 50, riskAmount: 10000 };
+
+    assert.ok(engine.calculateMaintenanceMargin('SOL', 500000) >= 10000);
+    assert.match(engine.openPosition(engine.createAccount(100000), sol, 140, { now: 1000 }).error, /maintenance margin/);
+  });
+
+  it('rejects leverage above the cap of the bracket', () => {
+    const sol = { ...LONG_BTC, market: 'SOL', leverage: 20, riskAmount: 25000 };
+
+    assert.match(engine.openPosition(engine.createAccount(100000), sol, 140, { now: 1000 }).error, /capped at 5x/);
+    assert.ok(engine.openPosition(engine.createAccount(100000), { ...sol, leverage: 5, riskAmount: 100000 }, 140, { now: 1000 }).position);
+  });
+
+  it('moves the liquidation price with the position size', () => {
+    const small = engine.openPosition(engine.createAccount(100000), LONG_BTC, 95000, { now: 1000 }).position;
+    const large = engine.openPosition(engine.createAccount(100000), { ...LONG_BTC, riskAmount: 50000 }, 95000, { now: 1000 }).position;
+
+    assert.ok(large.liquidationPrice > small.liquidationPrice);
+  });
+});
+
+describe('cross margin', () => {
+  const LONG_CROSS = { ...LONG_BTC, marginMode: 'CROSS' };
+  const opened = engine.openPosition(engine.createAccount(1000), LONG_CROSS, 95000, { now: 1000 });
+
+  it('survives past the isolated liquidation price on the free balance', () => {
+    const { state, closed } = engine.markToMarket(opened.state, { BTC: 85000 }, { now: 2000 });
+
+    assert.equal(closed.length, 0);
+    assert.equal(state.positions[0].marginMode, 'CROSS');
+  });
+
+  it('liquidates the pool once the margin ratio reaches 100%, using up the free balance', () => {
+    const { state, closed, liquidations } = engine.markToMarket(opened.state, { BTC: 300 }, { now: 2000 });
+    const margin = engine.calculateAccountMargin(opened.state, { BTC: 300 });
+
+    assert.ok(margin.marginRatio >= 1);
+    assert.equal(closed[0].exitReason, 'LIQUIDATION');
+    assert.equal(liquidations[0].marginMode, 'CROSS');
+    assert.equal(state.positions.length, 0);
+    assert.ok(Math.abs(state.balance) < 1e-9);
+  });
+
+  it('never leaves a negative balance', () => {
+    const short = engine.openPosition(engine.createAccount(1000), { ...LONG_CROSS, direction: 'SHORT' }, 95000, { now: 1000 });
+    const { state } = engine.markToMarket(short.state, { BTC: 300000 }, { now: 2000 });
+
+    assert.equal(state.balance, 0);
+  });
+
+  it('holds unrealized losses back from new margin', () => {
+    const marked = engine.markToMarket(opened.state, { BTC: 90000 }, { now: 2000 }).state;
+
+    assert.ok(Math.abs(engine.calculateAvailableBalance(marked) - (900 - 5000 / 95000 * 1000)) < 1e-9);
+  });
+
+  it('keeps unrealized losses in the balance when an order is amended', () => {
+    const marked = engine.markToMarket(opened.state, { BTC: 90000 }, { now: 2000 }).state;
+    const placed = engine.placeOrder(marked, { ...LONG_BTC, type: 'LIMIT', limitPrice: 80000 }, 90000, { now: 3000 });
+    const { state } = engine.amendOrder(placed.state, placed.order.id, { riskAmount: 150 }, 90000, { now: 4000 });
+
+    assert.equal(placed.state.balance, 800);
+    assert.equal(state.balance, 750);
+    assert.equal(state.orders[0].reservedMargin, 150);
+  });
+
+  it('only isolates a position its own margin still covers', () => {
+    const { error } = engine.setPositionMarginMode(opened.state, opened.position.id, 'ISOLATED', 85000);
+    const { position } = engine.setPositionMarginMode(opened.state, opened.position.id, 'ISOLATED', 94000);
+
+    assert.match(error, /does not cover/);
+    assert.equal(position.marginMode, 'ISOLATED');
+    assert.equal(position.maintenanceMargin, engine.calculateMaintenanceMargin('BTC', 1000));
+  });
+});
+
+describe('calculateEquity', () => {
+  it('adds margin, unrealized PnL and order reservations to the balance', () => {
+    const opened = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, { now: 1000 });
+    const { state } = engine.placeOrder(opened.state, { ...LONG_BTC, type: 'LIMIT', limitPrice: 90000 }, 95000, { now: 2000 });
+
+    assert.equal(state.balance, 800);
+    assert.equal(engine.calculateEquity(state, { BTC: 95950 }), 1010);
+  });
+});
+
+describe('applyFunding', () => {
+  it('settles isolated funding in the position margin and moves its liquidation price', () => {
+    const opened = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, { now: 1000 });
+    const { state, payment, payments } = engine.applyFunding(opened.state, 0.001, { prices: { BTC: 95000 }, now: 2000 });
+    const [position] = state.positions;
+
+    assert.equal(payment, 1);
+    assert.equal(payments[0].positionId, opened.position.id);
+    assert.equal(state.balance, 900);
+    assert.equal(position.initialMargin, 99);
+    assert.equal(position.fundingPaid, 1);
+    assert.ok(position.liquidationPrice > opened.position.liquidationPrice);
+    assert.equal(state.fundingHistory[0].amount, 1);
+  });
+
+  it('settles cross funding in the balance', () => {
+    const opened = engine.openPosition(engine.createAccount(1000), { ...LONG_BTC, marginMode: 'CROSS' }, 95000, { now: 1000 });
+    const { state } = engine.applyFunding(opened.state, 0.001, { prices: { BTC: 95000 }, now: 2000 });
+
+    assert.equal(state.balance, 899);
+    assert.equal(state.positions[0].initialMargin, 100);
+  });
+
+  it('pays shorts when the rate is positive, on the value at mark', () => {
+    const opened = engine.openPosition(engine.createAccount(1000), { ...LONG_BTC, direction: 'SHORT' }, 95000, { now: 1000 });
+    const { state, payment } = engine.applyFunding(opened.state, { BTC: 0.001 }, { prices: { BTC: 104500 }, now: 2000 });
+
+    assert.ok(Math.abs(payment + 1.1) < 1e-9);
+    assert.ok(Math.abs(state.positions[0].fundingReceived - 1.1) < 1e-9);
+  });
+
+  it('never takes isolated funding out of an empty balance', () => {
+    const opened = engine.openPosition(engine.createAccount(100), LONG_BTC, 95000, { now: 1000 });
+    const { state } = engine.applyFunding(opened.state, 0.01, { prices: { BTC: 95000 }, now: 2000 });
+
+    assert.equal(state.balance, 0);
+    assert.equal(state.positions[0].initialMargin, 90);
+  });
+
+  it('keeps the balance whole when the position closes', () => {
+    const opened = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, { now: 1000 });
+    const funded = engine.applyFunding(opened.state, -0.002, { prices: { BTC: 95000 }, now: 2000 });
+    const { state } = engine.closePosition(funded.state, opened.position.id, 95000, { now: 3000 });
+
+    assert.equal(state.balance, 1002);
+  });
+});
+
+describe('ids', () => {
+  it('stay unique for orders placed and filled in the same millisecond', () => {
+    const limit = { ...LONG_BTC, type: 'LIMIT', limitPrice: 94000 };
+    let state = engine.setPositionMode(engine.createAccount(1000), 'HEDGE').state;
+    state = engine.placeOrder(state, limit, 95000, { now: 1000 }).state;
+    state = engine.placeOrder(state, limit, 95000, { now: 1000 }).state;
+
+    assert.equal(new Set(state.orders.map(o => o.id)).size, 2);
+
+    const { state: filled } = engine.fillOrders(state, { BTC: 93900 }, { now: 2000 });
+    assert.equal(filled.positions.length, 2);
+    assert.equal(new Set(filled.positions.map(p => p.id)).size, 2);
+  });
+
+  it('depend only on the state, not on earlier calls', () => {
+    const account = engine.createAccount(1000);
+    const first = engine.openPosition(account, LONG_BTC, 95000, { now: 1000 });
+    const again = engine.openPosition(account, LONG_BTC, 95000, { now: 1000 });
+
+    assert.equal(first.position.id, 1000);
+    assert.equal(again.position.id, 1000);
+  });
+
+  it('never reuse the id of a position closed in the same millisecond', () => {
+    const opened = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, { now: 1000 });
+    const { state } = engine.closePosition(opened.state, opened.position.id, 95000, { now: 1000 });
+
+    assert.equal(engine.openPosition(state, LONG_BTC, 95000, { now: 1000 }).position.id, 1001);
+  });
+});
+
+describe('one-way netting', () => {
+  const opened = engine.openPosition(engine.createAccount(1000), LONG_BTC, 95000, { feeSchedule: FEE_TIERS, now: 1000 });
+
+  it('attributes the fee of a reducing fill to the reduced slice', () => {
+    const reduce = { ...LONG_BTC, direction: 'SHORT', riskAmount: 40 };
+    const { state, closed } = engine.openPosition(opened.state, reduce, 95000, { feeSchedule: FEE_TIERS, now: 2000 });
+    const [record] = state.tradeHistory;
+
+    assert.equal(closed.exitReason, 'REDUCE');
+    assert.equal(record.closeFee, 0.2);
+    assert.equal(record.netPnL, -record.openFee - 0.2);
+    // Flat price: the only money that left the account is fees, and the records account for all of it
+    const [position] = state.positions;
+    assert.ok(Math.abs(state.balance + position.initialMargin - (1000 + record.netPnL - position.openFee)) < 1e-9);
+    assert.ok(Math.abs(record.fees + position.openFee - state.feesPaid) < 1e-9);
+  });
+
+  it('splits the fee of a flipping fill between the reduced slice and the new position', () => {
+    const flip = { ...LONG_BTC, direction: 'SHORT', riskAmount: 150 };
+    const { state, closed, fee } = engine.openPosition(opened.state, flip, 95000, { feeSchedule: FEE_TIERS, now: 2000 });
+
+    assert.equal(closed.closeFee + state.positions[0].openFee, fee);
+    assert.equal(state.positions[0].direction, 'SHORT');
+  });
+});